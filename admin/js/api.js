@@ -3,10 +3,27 @@
  * Handles all communication with Google Apps Script backend
  */
 class AdminAPI {
+    // How long before expiry the warning opens (at most half the session)
+    static get SESSION_WARNING_MS() {
+        return 2 * 60 * 1000;
+    }
+
     constructor() {
         this.baseUrl = null;
         this.token = null;
+        this.transportMode = null;
         this.initialized = false;
+        // Set by AdminApp once booted; resolves true when the user has logged in again
+        this.onSessionExpired = null;
+        this.reauthentication = null;
+        // Sliding session state, see startSessionManager()
+        this.sessionHandlers = null;
+        this.sessionTimers = [];
+        this.sessionLength = 0;
+        this.lastActivityAt = 0;
+        this.lastRefreshAt = 0;
+        this.sessionWarningShown = false;
+        this.refreshing = null;
     }
 
     async init() {
@@ -15,6 +32,7 @@ class AdminAPI {
         await window.AppConfig.load();
         this.baseUrl = window.AppConfig.get('APP_SCRIPT_URL');
         this.token = sessionStorage.getItem('adminToken');
+        this.transportMode = window.ApiTransport.resolveMode(this.baseUrl, window.AppConfig.get('API_TRANSPORT'));
         
         if (!this.baseUrl) {
             console.warn('APP_SCRIPT_URL not configured');
@@ -23,14 +41,15 @@ class AdminAPI {
         this.initialized = true;
     }
 
-    async request(endpoint, options = {}) {
+    // recoverSession: false for the login calls themselves, whose 401 is an
+    // ordinary failure returned to the caller
+    async request(endpoint, options = {}, { recoverSession = true } = {}) {
         await this.init();
         
         if (!this.baseUrl) {
             throw new Error('API not configured. Please check your configuration.');
         }
 
-        const url = `${this.baseUrl}${endpoint}`;
         const defaultOptions = {
             method: 'GET',
             headers: {
@@ -43,22 +62,43 @@ class AdminAPI {
             defaultOptions.headers['Authorization'] = `Bearer ${this.token}`;
         }
 
-        const finalOptions = { ...defaultOptions, ...options };
+        // Headers from the caller add to the defaults instead of replacing them
+        const finalOptions = {
+            ...defaultOptions,
+            ...options,
+            headers: { ...defaultOptions.headers, ...options.headers },
+        };
 
         try {
-            const response = await fetch(url, finalOptions);
+            const { url, options: fetchOptions } = await window.ApiTransport.prepare(
+                this.transportMode, this.baseUrl, endpoint, finalOptions
+            );
+            const response = await fetch(url, fetchOptions);
+            const data = await response.json().catch(() => null);
             
-            if (response.status === 401) {
-                // Token expired or invalid
-                this.handleUnauthorized();
+            if (window.ApiTransport.isUnauthorized(response.status, data) && recoverSession) {
+                // Token expired or invalid; replay with the new one after logging in again
+                if (await this.handleUnauthorized()) {
+                    // The replay builds its headers again, so it carries the new token
+                    const headers = { ...options.headers };
+                    delete headers.Authorization;
+                    return this.request(endpoint, { ...options, headers });
+                }
                 throw new Error('Session expired. Please login again.');
             }
+
+            if (window.ApiTransport.isUnauthorized(response.status, data)) {
+                return data;
+            }
+
+            if (window.ApiTransport.isConflict(data)) {
+                throw this.createConflictError(data);
+            }
             
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
+            if (!window.ApiTransport.isEnvelope(data)) {
+                throw new Error((data && data.message) || `HTTP error! status: ${response.status}`);
             }
             
-            const data = await response.json();
             return data;
         } catch (error) {
             console.error('API request failed:', error);
@@ -71,6 +111,20 @@ class AdminAPI {
         return this.request('/auth/login', {
             method: 'POST',
             body: JSON.stringify(credentials),
+        }, { recoverSession: false });
+    }
+
+    async verifyTwoFactor(challenge, code) {
+        return this.request('/auth/2fa/verify', {
+            method: 'POST',
+            body: JSON.stringify({ challenge, code }),
+        }, { recoverSession: false });
+    }
+
+    // Checks the stored token with the server and returns the signed-in user
+    async verifySession() {
+        return this.request('/auth/verify', {
+            method: 'POST',
         });
     }
 
@@ -83,9 +137,50 @@ class AdminAPI {
         });
     }
 
+    // Extends the current session; concurrent calls share one request
+    async refreshSession() {
+        if (!this.refreshing) {
+            this.refreshing = this.request('/auth/refresh', {
+                method: 'POST',
+            }).then(response => {
+                if (response.success) {
+                    this.setSession(response.data);
+                }
+                return response;
+            }).finally(() => {
+                this.refreshing = null;
+            });
+        }
+        return this.refreshing;
+    }
+
+    // params: { user, type, startDate, endDate, page, size }; leave out paging for all records
+    async getAuditLog(params = {}) {
+        const queryString = new URLSearchParams(params).toString();
+        return this.request(`/audit/list${queryString ? '?' + queryString : ''}`);
+    }
+
+    async getSessions() {
+        return this.request('/auth/sessions');
+    }
+
+    async revokeSession(id) {
+        return this.request('/auth/sessions/revoke', {
+            method: 'POST',
+            body: JSON.stringify({ id }),
+        });
+    }
+
+    async revokeOtherSessions() {
+        return this.request('/auth/sessions/revokeOthers', {
+            method: 'POST',
+        });
+    }
+
     async logout() {
+        this.stopSessionManager();
         try {
-            return this.request('/auth/logout', {
+            return await this.request('/auth/logout', {
                 method: 'POST',
             });
         } finally {
@@ -93,29 +188,124 @@ class AdminAPI {
         }
     }
 
+    async changePassword(currentPassword, newPassword) {
+        return this.request('/auth/changePassword', {
+            method: 'POST',
+            body: JSON.stringify({ currentPassword, newPassword, clientId: window.ApiTransport.getClientId() }),
+        });
+    }
+
+    // Two-factor endpoints
+    async getTwoFactorStatus() {
+        return this.request('/auth/2fa/status');
+    }
+
+    async startTwoFactorSetup() {
+        return this.request('/auth/2fa/setup', {
+            method: 'POST',
+        });
+    }
+
+    async enableTwoFactor(code) {
+        return this.request('/auth/2fa/enable', {
+            method: 'POST',
+            body: JSON.stringify({ code }),
+        });
+    }
+
+    async disableTwoFactor(password) {
+        return this.request('/auth/2fa/disable', {
+            method: 'POST',
+            body: JSON.stringify({ password, clientId: window.ApiTransport.getClientId() }),
+        });
+    }
+
+    async regenerateRecoveryCodes(password) {
+        return this.request('/auth/2fa/recoveryCodes', {
+            method: 'POST',
+            body: JSON.stringify({ password, clientId: window.ApiTransport.getClientId() }),
+        });
+    }
+
+    // Users endpoints
+    async getUsers() {
+        return this.request('/users/list');
+    }
+
+    // Returns the new user and a temporary password that is only shown once
+    async inviteUser(username, role) {
+        return this.request('/users/invite', {
+            method: 'POST',
+            body: JSON.stringify({ username, role }),
+        });
+    }
+
+    // changes: { role } and/or { active }
+    async updateUser(username, changes) {
+        return this.request('/users/update', {
+            method: 'POST',
+            body: JSON.stringify({ username, ...changes }),
+        });
+    }
+
+    async getLockouts() {
+        return this.request('/users/lockouts');
+    }
+
+    // type: 'user' or 'client', as returned by getLockouts()
+    async clearLockout(type, name) {
+        return this.request('/users/clearLockout', {
+            method: 'POST',
+            body: JSON.stringify({ type, name }),
+        });
+    }
+
     // Categories endpoints
+    // The admin panel also lists categories hidden from the showcase
     async getCategories() {
-        return this.request('/categories/list');
+        return this.request('/categories/list?includeHidden=true');
     }
 
-    async createCategory(name) {
+    // category: { name, description?, color?, icon?, hidden? }
+    async createCategory(category) {
         return this.request('/categories/create', {
             method: 'POST',
-            body: JSON.stringify({ name }),
+            body: JSON.stringify(category),
         });
     }
 
-    async updateCategory(originalName, newName) {
+    // changes: { name, description?, color?, icon?, hidden? }; name is the new name
+    async updateCategory(originalName, changes, revision) {
+        const { name, ...details } = changes;
         return this.request('/categories/update', {
             method: 'POST',
-            body: JSON.stringify({ originalName, newName }),
+            body: JSON.stringify({ originalName, newName: name, revision, ...details }),
         });
     }
 
-    async deleteCategory(name) {
+    // names: every category in the new display order
+    async reorderCategories(names) {
+        return this.request('/categories/reorder', {
+            method: 'POST',
+            body: JSON.stringify({ names }),
+        });
+    }
+
+    // options: { moveTo } for a category to move the entries to, or
+    // { confirmName } repeating the name to delete them with it
+    async deleteCategory(name, options = {}) {
         return this.request('/categories/delete', {
             method: 'POST',
-            body: JSON.stringify({ name }),
+            body: JSON.stringify({ name, ...options }),
+        });
+    }
+
+    // Moves the entries of every category but target into it and deletes the others.
+    // publishHidden confirms that entries of hidden categories become public in target.
+    async mergeCategories(categories, target, { publishHidden = false } = {}) {
+        return this.request('/categories/merge', {
+            method: 'POST',
+            body: JSON.stringify({ categories, target, publishHidden }),
         });
     }
 
@@ -126,26 +316,49 @@ class AdminAPI {
         return this.request(endpoint);
     }
 
-    async createEntry(formData) {
-        return this.request('/entries/create', {
+    // options: { onProgress(percent), signal } - see sendWithProgress()
+    async createEntry(formData, options = {}) {
+        return this.sendWithProgress('/entries/create', formData, options);
+    }
+
+    async updateEntry(formData, options = {}) {
+        return this.sendWithProgress('/entries/update', formData, options);
+    }
+
+    async deleteEntry(id) {
+        return this.request('/entries/delete', {
             method: 'POST',
-            body: formData,
-            headers: {}, // Let browser set multipart/form-data headers
+            body: JSON.stringify({ id }),
         });
     }
 
-    async updateEntry(formData) {
-        return this.request('/entries/update', {
+    async getEntryHistory(id) {
+        return this.request(`/entries/history?id=${encodeURIComponent(id)}`);
+    }
+
+    // revision is the version being edited, target the kept version to restore
+    async revertEntry(id, revision, target) {
+        return this.request('/entries/revert', {
             method: 'POST',
-            body: formData,
-            headers: {}, // Let browser set multipart/form-data headers
+            body: JSON.stringify({ id, revision, target }),
         });
     }
 
-    async deleteEntry(sheetName, rowSerial, imageFileId) {
-        return this.request('/entries/delete', {
+    async getTrash() {
+        return this.request('/trash/list');
+    }
+
+    async restoreTrashItem(id) {
+        return this.request('/trash/restore', {
+            method: 'POST',
+            body: JSON.stringify({ id }),
+        });
+    }
+
+    async purgeTrashItem(id) {
+        return this.request('/trash/purge', {
             method: 'POST',
-            body: JSON.stringify({ sheetName, rowSerial, imageFileId }),
+            body: JSON.stringify({ id }),
         });
     }
 
@@ -159,6 +372,7 @@ class AdminAPI {
         this.token = null;
         sessionStorage.removeItem('adminToken');
         sessionStorage.removeItem('tokenExpires');
+        this.clearSessionTimers();
     }
 
     getToken() {
@@ -176,21 +390,168 @@ class AdminAPI {
         return new Date() > new Date(expiresAt);
     }
 
-    handleUnauthorized() {
+    setSessionExpiredHandler(handler) {
+        this.onSessionExpired = handler;
+    }
+
+    /**
+     * Resolves true once the user has logged in again, so the caller can replay
+     * its request. Requests failing meanwhile share the same prompt. Without a
+     * handler (e.g. while booting) there is no work to keep, so it redirects.
+     */
+    async handleUnauthorized() {
         this.clearToken();
-        window.location.href = '../user/';
+
+        if (!this.onSessionExpired) {
+            window.location.href = '../user/';
+            return false;
+        }
+
+        if (!this.reauthentication) {
+            this.reauthentication = Promise.resolve(this.onSessionExpired())
+                .catch(() => false)
+                .finally(() => {
+                    this.reauthentication = null;
+                });
+        }
+        return this.reauthentication;
     }
 
-    // File upload with progress
-    uploadFile(file, onProgress) {
-        return new Promise((resolve, reject) => {
-            const formData = new FormData();
-            formData.append('file', file);
+    // Stores a session returned by login(), verifyTwoFactor() or refreshSession()
+    setSession(session) {
+        this.setToken(session.token);
+        sessionStorage.setItem('tokenExpires', session.expiresAt);
+        this.lastRefreshAt = Date.now();
+        this.sessionLength = this.getSessionRemaining();
+        this.sessionWarningShown = false;
+        this.scheduleSessionTimers();
+    }
+
+    /**
+     * Keeps the session alive while the admin is working. Input refreshes the
+     * token once less than half of it is left; without any input since the last
+     * refresh, onWarning(expiresAt) runs shortly before expiry and onEnd() when
+     * the session runs out.
+     */
+    startSessionManager({ onWarning, onEnd }) {
+        this.sessionHandlers = { onWarning, onEnd };
+        this.lastRefreshAt = Date.now();
+        this.sessionLength = this.getSessionRemaining();
+
+        ['pointerdown', 'keydown', 'wheel', 'touchstart'].forEach(type => {
+            document.addEventListener(type, () => this.handleActivity(), { capture: true, passive: true });
+        });
+        this.scheduleSessionTimers();
+    }
+
+    stopSessionManager() {
+        this.sessionHandlers = null;
+        this.clearSessionTimers();
+    }
+
+    getSessionRemaining() {
+        const expiresAt = sessionStorage.getItem('tokenExpires');
+        return expiresAt ? new Date(expiresAt) - Date.now() : 0;
+    }
+
+    // Input while the warning is open does not count; the admin answers it instead
+    handleActivity() {
+        if (!this.sessionHandlers || !this.token || this.sessionWarningShown) return;
+
+        this.lastActivityAt = Date.now();
+        if (this.getSessionRemaining() < this.sessionLength / 2) {
+            this.refreshSession().catch(error => console.error('Session refresh failed:', error));
+        }
+    }
+
+    // Called when the warning closes without a refresh, so input counts again
+    dismissSessionWarning() {
+        this.sessionWarningShown = false;
+    }
+
+    scheduleSessionTimers() {
+        this.clearSessionTimers();
+        if (!this.sessionHandlers || !this.token) return;
+
+        const remaining = this.getSessionRemaining();
+        const warningMs = Math.min(AdminAPI.SESSION_WARNING_MS, this.sessionLength / 2);
+        this.sessionTimers = [
+            setTimeout(() => this.handleSessionWarning(), Math.max(0, remaining - warningMs)),
+            setTimeout(() => this.handleSessionEnd(), Math.max(0, remaining))
+        ];
+    }
+
+    clearSessionTimers() {
+        this.sessionTimers.forEach(timer => clearTimeout(timer));
+        this.sessionTimers = [];
+    }
+
+    async handleSessionWarning() {
+        // Input since the last refresh just had not reached the halfway point
+        if (this.lastActivityAt > this.lastRefreshAt) {
+            try {
+                const response = await this.refreshSession();
+                if (response.success) return;
+            } catch (error) {
+                console.error('Session refresh failed:', error);
+            }
+        }
+
+        if (!this.sessionHandlers || !this.token) return;
+        this.sessionWarningShown = true;
+        this.sessionHandlers.onWarning(new Date(sessionStorage.getItem('tokenExpires')));
+    }
+
+    handleSessionEnd() {
+        const handlers = this.sessionHandlers;
+        this.stopSessionManager();
+        if (handlers) {
+            handlers.onEnd();
+        }
+    }
+
+    // Whether sendWithProgress() can report real byte progress
+    supportsUploadProgress() {
+        return this.transportMode !== window.ApiTransport.MODES.GAS;
+    }
+
+    /**
+     * POSTs form data through XHR so upload progress can be reported; in Apps
+     * Script mode onProgress is never called and callers show the upload as
+     * indeterminate. Aborting the signal rejects with an AbortError. Once the
+     * whole body has been sent the server goes on with the request anyway, so
+     * the error then has requestSent set; Apps Script mode cannot tell when
+     * that happens and always sets it.
+     */
+    async sendWithProgress(endpoint, formData, { onProgress = null, signal = null } = {}) {
+        await this.init();
 
+        if (!this.baseUrl) {
+            throw new Error('API not configured. Please check your configuration.');
+        }
+
+        const isAppsScript = !this.supportsUploadProgress();
+        const body = isAppsScript
+            ? JSON.stringify(await window.ApiTransport.buildPayload(
+                window.ApiTransport.parseEndpoint(endpoint).action, this.token, formData
+            ))
+            : formData;
+
+        return new Promise((resolve, reject) => {
             const xhr = new XMLHttpRequest();
+            let requestSent = isAppsScript;
+
+            if (signal) {
+                if (signal.aborted) {
+                    reject(new DOMException('Upload cancelled', 'AbortError'));
+                    return;
+                }
+                signal.addEventListener('abort', () => xhr.abort(), { once: true });
+            }
             
-            // Progress tracking
-            if (onProgress) {
+            // Progress tracking. Upload listeners force a CORS preflight, which
+            // Apps Script cannot answer, so they are only attached in REST mode.
+            if (onProgress && !isAppsScript) {
                 xhr.upload.addEventListener('progress', (e) => {
                     if (e.lengthComputable) {
                         const percentComplete = (e.loaded / e.total) * 100;
@@ -198,30 +559,102 @@ class AdminAPI {
                     }
                 });
             }
+            if (!isAppsScript) {
+                xhr.upload.addEventListener('load', () => {
+                    requestSent = true;
+                });
+            }
 
             xhr.addEventListener('load', () => {
-                if (xhr.status === 200) {
-                    try {
-                        const response = JSON.parse(xhr.responseText);
-                        resolve(response);
-                    } catch (error) {
-                        reject(new Error('Invalid response from server'));
-                    }
-                } else {
-                    reject(new Error(`Upload failed: ${xhr.status}`));
+                let response = null;
+                try {
+                    response = JSON.parse(xhr.responseText);
+                } catch (error) {
+                    response = null;
+                }
+
+                if (window.ApiTransport.isUnauthorized(xhr.status, response)) {
+                    // The body is rebuilt with the new token when replayed
+                    this.handleUnauthorized().then(recovered => {
+                        if (recovered) {
+                            resolve(this.sendWithProgress(endpoint, formData, { onProgress, signal }));
+                        } else {
+                            reject(new Error('Session expired. Please login again.'));
+                        }
+                    });
+                    return;
                 }
+
+                if (window.ApiTransport.isConflict(response)) {
+                    reject(this.createConflictError(response));
+                    return;
+                }
+
+                if (xhr.status < 200 || xhr.status >= 300 || !response) {
+                    reject(new Error((response && response.message) || `Upload failed: ${xhr.status}`));
+                    return;
+                }
+
+                resolve(response);
             });
 
             xhr.addEventListener('error', () => {
                 reject(new Error('Network error during upload'));
             });
 
-            xhr.open('POST', `${this.baseUrl}/upload`);
-            if (this.token) {
-                xhr.setRequestHeader('Authorization', `Bearer ${this.token}`);
+            xhr.addEventListener('abort', () => {
+                const error = new DOMException('Upload cancelled', 'AbortError');
+                error.requestSent = requestSent;
+                reject(error);
+            });
+
+            if (isAppsScript) {
+                xhr.open('POST', this.baseUrl);
+                xhr.setRequestHeader('Content-Type', 'text/plain;charset=utf-8');
+            } else {
+                xhr.open('POST', `${this.baseUrl}${endpoint}`);
+                if (this.token) {
+                    xhr.setRequestHeader('Authorization', `Bearer ${this.token}`);
+                }
             }
             
-            xhr.send(formData);
+            xhr.send(body);
+        });
+    }
+
+    // File upload with progress
+    uploadFile(file, onProgress, signal = null) {
+        const formData = new FormData();
+        formData.append('file', file);
+        return this.sendWithProgress('/upload', formData, { onProgress, signal });
+    }
+
+    // Deletes uploads that were never attached to an entry; referenced files are kept
+    async discardFiles(fileIds) {
+        return this.request('/files/discard', {
+            method: 'POST',
+            body: JSON.stringify({ fileIds }),
+        });
+    }
+
+    // Storage endpoints
+    async getStorageReport() {
+        return this.request('/storage/report');
+    }
+
+    // fileIds: orphans from the storage report
+    async deleteOrphans(fileIds) {
+        return this.request('/storage/deleteOrphans', {
+            method: 'POST',
+            body: JSON.stringify({ fileIds }),
+        });
+    }
+
+    // links: [{ entryId, fileId, replacementId }]; no replacementId removes the reference
+    async relinkImages(links) {
+        return this.request('/storage/relink', {
+            method: 'POST',
+            body: JSON.stringify({ links }),
         });
     }
 
@@ -236,6 +669,14 @@ class AdminAPI {
         return cleanParams;
     }
 
+    // error.current is the record as the server has it now, or null if it is gone
+    createConflictError(response) {
+        const error = new Error(response.message || 'Someone else changed this while you were editing');
+        error.name = 'ConflictError';
+        error.current = response.data.current || null;
+        return error;
+    }
+
     handleError(error, defaultMessage = 'An error occurred') {
         console.error('API Error:', error);
         
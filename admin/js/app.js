@@ -3,21 +3,36 @@
  * Coordinates all components and handles application logic
  */
 class AdminApp {
+    // Roles allowed per action; mirrors ROLE_PERMISSIONS in the backend, which enforces them
+    static get PERMISSIONS() {
+        return {
+            viewEntries: ['owner', 'editor', 'viewer'],
+            editEntries: ['owner', 'editor'],
+            manageCategories: ['owner'],
+            manageStorage: ['owner'],
+            manageUsers: ['owner'],
+            viewAudit: ['owner']
+        };
+    }
+
     constructor() {
         this.components = {};
+        this.currentUser = null;
         this.currentView = 'dashboard';
         this.currentPage = 1;
         this.isLoading = false;
         this.entries = [];
         this.categories = [];
         this.totalEntries = 0;
+        this.pendingEntryData = null;
+        this.addEntryController = null;
         
         this.init();
     }
 
     async init() {
         try {
-            // Check authentication
+            // Skip the round trip when there is obviously no session
             if (!this.isAuthenticated()) {
                 window.location.href = '../user/';
                 return;
@@ -28,6 +43,18 @@ class AdminApp {
             
             // Initialize configuration
             await window.AppConfig.load();
+
+            // Verify the token with the server and load the signed-in user's role
+            // before rendering anything role-specific; a rejected token redirects
+            await this.loadCurrentUser();
+
+            // From here on an expired session is renewed in place, and an
+            // active one is kept alive
+            window.adminAPI.setSessionExpiredHandler(() => this.handleSessionExpired());
+            window.adminAPI.startSessionManager({
+                onWarning: (expiresAt) => window.adminModalManager.getModal('sessionWarning').openWithExpiry(expiresAt),
+                onEnd: () => this.handleSessionEnd()
+            });
             
             // Initialize components
             this.initComponents();
@@ -37,6 +64,7 @@ class AdminApp {
             
             // Setup event listeners
             this.setupEventListeners();
+            this.applyPermissions();
             
             // Hide loading state
             this.showLoading(false);
@@ -48,6 +76,7 @@ class AdminApp {
         }
     }
 
+    // Local precheck only; the server decides whether the token is still valid
     isAuthenticated() {
         const token = sessionStorage.getItem('adminToken');
         const expiresAt = sessionStorage.getItem('tokenExpires');
@@ -59,6 +88,88 @@ class AdminApp {
         return new Date() < new Date(expiresAt);
     }
 
+    async loadCurrentUser() {
+        const response = await window.adminAPI.verifySession();
+        if (!response.success || !response.data) {
+            throw new Error(response.message || 'Failed to load user');
+        }
+        this.currentUser = response.data;
+    }
+
+    /**
+     * Asks the same user to log in again without leaving the page, so open
+     * forms keep their data and the failed request can be replayed.
+     * Resolves true on success.
+     */
+    async handleSessionExpired() {
+        const session = await window.adminModalManager.getModal('reLogin').openForUser(this.currentUser.username);
+        if (!session) {
+            return false;
+        }
+
+        // A warning about the old session no longer applies
+        window.adminModalManager.getModal('sessionWarning').close();
+
+        // An owner may have changed the role while the session was gone
+        const roleChanged = session.role !== this.currentUser.role;
+        this.currentUser = { ...this.currentUser, role: session.role, status: session.status };
+        if (roleChanged) {
+            this.applyPermissions();
+            this.renderForRole();
+        }
+        return true;
+    }
+
+    // Cards and view contents drawn for the previous role still carry its controls
+    renderForRole() {
+        if (!this.canView(this.currentView)) {
+            this.switchView('dashboard');
+            return;
+        }
+
+        this.renderWebEntries();
+        this.renderCategoriesList();
+        this.refreshCurrentView();
+    }
+
+    // The idle session ran out; unlike a rejected token this is expected, so
+    // it logs out the same way the Logout button does
+    handleSessionEnd() {
+        window.adminModalManager.getModal('sessionWarning').close();
+        this.components.logoutModal.handleLogout('You were logged out after a period of inactivity', 'warning');
+    }
+
+    can(permission) {
+        const roles = AdminApp.PERMISSIONS[permission] || [];
+        return !!this.currentUser && roles.includes(this.currentUser.role);
+    }
+
+    // Hides what the role cannot use; the backend rejects it regardless
+    applyPermissions() {
+        document.querySelectorAll('[data-permission]').forEach(element => {
+            const allowed = this.can(element.dataset.permission);
+            const navItem = element.closest('.nav-item');
+            (navItem || element).classList.toggle('hidden', !allowed);
+        });
+
+        const badge = document.getElementById('currentUserBadge');
+        if (badge && this.currentUser) {
+            badge.textContent = `${this.currentUser.username} · ${this.currentUser.role}`;
+            badge.classList.remove('hidden');
+        }
+
+        // Invited users start with a temporary password
+        if (this.currentUser && this.currentUser.status === 'invited') {
+            this.switchView('changePassword');
+            window.showToast('Please choose your own password to finish setting up your account', 'warning');
+        }
+    }
+
+    canView(viewName) {
+        const navBtn = document.querySelector(`.nav-btn[data-view="${viewName}"]`);
+        return !navBtn || !navBtn.dataset.permission || this.can(navBtn.dataset.permission);
+    }
+
     initComponents() {
         // Initialize filters for web list
         this.components.webFilters = new AdminFilters({
@@ -74,10 +185,61 @@ class AdminApp {
         // Initialize chart for dashboard
         this.components.categoryChart = new CategoryChart('categoryChart');
 
+        // Initialize details for add category
+        this.components.addCategoryFields = new CategoryFields('categoryAddFields', document.getElementById('categoryName'));
+
+        // Initialize image framing editor for add entry
+        this.components.addEntryFraming = new ImageFramingEditor('imagePreview');
+
+        // Initialize image list for add entry; its cover is the one being framed
+        this.components.addEntryImages = new ImageGalleryEditor('imageList', 'webImage', {
+            onCoverChange: (cover) => this.showCoverPreview(cover, 'imagePreview', this.components.addEntryFraming)
+        });
+
+        // Accept dropped and pasted images for add entry
+        this.components.addEntryDropZone = new ImageDropZone('imageDropZone', 'webImage', {
+            isActive: () => this.currentView === 'addEntry' && !document.querySelector('.modal:not(.hidden)')
+        });
+
+        // Initialize upload progress for add entry
+        this.components.addEntryProgress = new UploadProgress('uploadProgress', {
+            onCancel: () => this.cancelAddEntry(),
+            onRetry: () => this.submitAddEntry()
+        });
+
         // Modals are initialized by AdminModalManager
         this.components.editModal = window.adminModalManager.getModal('editEntry');
         this.components.deleteModal = window.adminModalManager.getModal('delete');
+        this.components.categoryEditModal = window.adminModalManager.getModal('categoryEdit');
+        this.components.categoryDeleteModal = window.adminModalManager.getModal('categoryDelete');
+        this.components.categoryMergeModal = window.adminModalManager.getModal('categoryMerge');
         this.components.logoutModal = window.adminModalManager.getModal('logout');
+
+        // Initialize storage reconciliation view
+        this.components.storageView = new StorageView('storageView', {
+            confirm: (message, callback) => this.components.deleteModal.openWithCallback(message, callback)
+        });
+
+        // Initialize user management view
+        this.components.usersView = new UsersView('usersView', {
+            getCurrentUsername: () => (this.currentUser ? this.currentUser.username : '')
+        });
+
+        // Initialize the audit log viewer
+        this.components.activityView = new ActivityView('activityView');
+
+        // Initialize the signed-in admin's session list
+        this.components.sessionsView = new SessionsView('sessionsView');
+
+        // Initialize the Trash of deleted entries and categories
+        this.components.trashView = new TrashView('trashView', {
+            confirm: (message, callback) => this.components.deleteModal.openWithCallback(message, callback),
+            can: (permission) => this.can(permission),
+            onRestore: () => this.loadCategories()
+        });
+
+        // Initialize two-factor settings in the account security view
+        this.components.twoFactorSettings = new TwoFactorSettings('twoFactorSettings');
     }
 
     async loadInitialData() {
@@ -87,12 +249,13 @@ class AdminApp {
         ]);
     }
 
-    async loadCategories() {
+    // renamed: { from, to } after a rename, so selections follow the new name
+    async loadCategories(renamed = null) {
         try {
             const response = await window.adminAPI.getCategories();
             if (response.success && response.data) {
                 this.categories = response.data;
-                this.updateCategoryDropdowns();
+                this.updateCategoryDropdowns(renamed);
             }
         } catch (error) {
             console.error('Failed to load categories:', error);
@@ -108,7 +271,7 @@ class AdminApp {
 
             if (entriesResponse.success) {
                 this.updateDashboardStats(entriesResponse.data.total || 0, categoriesResponse.data?.length || 0);
-                this.updateCategoryChart(entriesResponse.data.entries || []);
+                this.updateCategoryChart(entriesResponse.data.entries || [], categoriesResponse.data || []);
             }
         } catch (error) {
             console.error('Failed to load dashboard stats:', error);
@@ -132,7 +295,9 @@ class AdminApp {
             const response = await window.adminAPI.getEntries(params);
             
             if (response.success) {
-                this.entries = response.data.entries || [];
+                // Badge details come once per category
+                const styles = response.data.categoryStyles || {};
+                this.entries = (response.data.entries || []).map(entry => ({ ...entry, categoryStyle: styles[entry.sheetName] }));
                 this.totalEntries = response.data.total || 0;
                 const totalPages = Math.ceil(this.totalEntries / 12);
                 
@@ -207,19 +372,24 @@ class AdminApp {
             });
         }
 
-        // Image preview for add entry
-        const addImageInput = document.getElementById('webImage');
-        if (addImageInput) {
-            addImageInput.addEventListener('change', (e) => {
-                this.handleImagePreview(e, 'imagePreview');
+        const mergeCategoriesBtn = document.getElementById('mergeCategoriesBtn');
+        if (mergeCategoriesBtn) {
+            mergeCategoriesBtn.addEventListener('click', () => {
+                this.handleMergeCategories();
             });
         }
 
-        // Remove image button for add entry
-        const removeImageBtn = document.getElementById('removeImage');
-        if (removeImageBtn) {
-            removeImageBtn.addEventListener('click', () => {
-                this.removeImagePreview('imagePreview', 'webImage');
+        // Dragging categories sets their display order
+        const categoriesTable = document.getElementById('categoriesTable');
+        if (categoriesTable) {
+            this.initCategorySorting(categoriesTable);
+        }
+
+        // Change password form
+        const changePasswordForm = document.getElementById('changePasswordForm');
+        if (changePasswordForm) {
+            changePasswordForm.addEventListener('submit', (e) => {
+                this.handleChangePassword(e);
             });
         }
 
@@ -248,6 +418,11 @@ class AdminApp {
     }
 
     switchView(viewName) {
+        if (!this.canView(viewName)) {
+            window.showToast('Your role does not have access to that page', 'warning');
+            return;
+        }
+
         // Update navigation
         document.querySelectorAll('.nav-btn').forEach(btn => {
             btn.classList.remove('active');
@@ -265,7 +440,13 @@ class AdminApp {
             dashboard: 'Dashboard',
             webList: 'Web List',
             addEntry: 'Add Entry',
-            addCategory: 'Add Category'
+            addCategory: 'Add Category',
+            changePassword: 'Account Security',
+            storage: 'Storage',
+            users: 'Users',
+            activity: 'Activity',
+            sessions: 'Sessions',
+            trash: 'Trash'
         };
         document.getElementById('viewTitle').textContent = titles[viewName];
 
@@ -278,6 +459,28 @@ class AdminApp {
             this.loadDashboardStats();
         } else if (viewName === 'addCategory') {
             this.renderCategoriesList();
+        } else if (viewName === 'storage') {
+            this.components.storageView.load();
+        } else if (viewName === 'users') {
+            this.components.usersView.load();
+        } else if (viewName === 'activity') {
+            this.components.activityView.load();
+        } else if (viewName === 'sessions') {
+            this.components.sessionsView.load();
+        } else if (viewName === 'trash') {
+            this.components.trashView.load();
+        } else if (viewName === 'changePassword') {
+            this.components.twoFactorSettings.load();
+        }
+
+        // The temporary password of an invite is only shown until the view is left
+        if (viewName !== 'users') {
+            this.components.usersView.hideTemporaryPassword();
+        }
+
+        // Likewise for a two-factor secret being set up and fresh recovery codes
+        if (viewName !== 'changePassword') {
+            this.components.twoFactorSettings.hideSecrets();
         }
     }
 
@@ -289,14 +492,21 @@ class AdminApp {
             name: formData.get('name'),
             category: formData.get('category'),
             url: formData.get('url'),
-            description: formData.get('description')
+            description: formData.get('description'),
+            imageFraming: formData.get('imageFraming') || ''
         };
 
-        // Add image file if selected
-        const imageFile = formData.get('image');
-        if (imageFile && imageFile.size > 0) {
-            data.imageFile = imageFile;
+        // Images upload on their own as soon as they are added
+        const images = this.components.addEntryImages;
+        if (images.isBusy()) {
+            window.showToast('Please wait for the images to finish uploading', 'warning');
+            return;
+        }
+        if (images.hasErrors()) {
+            window.showToast('Retry or remove the images that failed to upload', 'error');
+            return;
         }
+        data.images = JSON.stringify(images.getFileIds());
 
         // Validate form
         const validation = window.Validators.validateEntryForm(data);
@@ -305,39 +515,36 @@ class AdminApp {
             return;
         }
 
-        try {
-            // Show progress
-            this.showUploadProgress(true);
-            
-            // Create form data for API
-            const apiFormData = new FormData();
-            Object.entries(validation.data).forEach(([key, value]) => {
-                if (key !== 'imageFile') {
-                    apiFormData.append(key, value);
-                }
-            });
-            
-            if (data.imageFile) {
-                apiFormData.append('image', data.imageFile);
-                
-                // Simulate upload progress
-                this.simulateUploadProgress(() => {
-                    this.completeAddEntry(apiFormData);
-                });
-            } else {
-                this.completeAddEntry(apiFormData);
-            }
-        } catch (error) {
-            this.showUploadProgress(false);
-            window.showToast(window.adminAPI.handleError(error, 'Failed to add entry'), 'error');
-        }
+        // Create form data for API
+        const apiFormData = new FormData();
+        Object.entries(validation.data).forEach(([key, value]) => {
+            apiFormData.append(key, value);
+        });
+
+        // Kept so Retry can resend the already-validated data
+        this.pendingEntryData = apiFormData;
+        this.submitAddEntry();
     }
 
-    async completeAddEntry(formData) {
+    async submitAddEntry() {
+        if (!this.pendingEntryData || this.addEntryController) return;
+
+        const progress = this.components.addEntryProgress;
+        const controller = new AbortController();
+        this.addEntryController = controller;
+        this.setFormSubmitting('addEntryForm', true);
+        progress.start(!window.adminAPI.supportsUploadProgress());
+
         try {
-            const response = await window.adminAPI.createEntry(formData);
+            const response = await window.adminAPI.createEntry(this.pendingEntryData, {
+                onProgress: (percent) => progress.setProgress(percent),
+                signal: controller.signal
+            });
             
             if (response.success) {
+                this.addEntryController = null;
+                this.pendingEntryData = null;
+                this.components.addEntryImages.markSaved();
                 window.showToast('Entry added successfully!', 'success');
                 this.resetAddEntryForm();
                 this.switchView('webList');
@@ -345,9 +552,25 @@ class AdminApp {
                 throw new Error(response.message || 'Failed to add entry');
             }
         } catch (error) {
-            window.showToast(window.adminAPI.handleError(error, 'Failed to add entry'), 'error');
+            if (error.name === 'AbortError') {
+                progress.hide();
+                window.showToast(error.requestSent
+                    ? 'Cancelled, but the entry may already have been saved. Check the Web List before adding it again.'
+                    : 'Upload cancelled', 'warning');
+            } else {
+                const message = window.adminAPI.handleError(error, 'Failed to add entry');
+                progress.fail(message);
+                window.showToast(message, 'error');
+            }
         } finally {
-            this.showUploadProgress(false);
+            this.addEntryController = null;
+            this.setFormSubmitting('addEntryForm', false);
+        }
+    }
+
+    cancelAddEntry() {
+        if (this.addEntryController) {
+            this.addEntryController.abort();
         }
     }
 
@@ -356,7 +579,8 @@ class AdminApp {
         
         const formData = new FormData(e.target);
         const data = {
-            name: formData.get('name')
+            name: formData.get('name'),
+            ...this.components.addCategoryFields.getValues()
         };
 
         // Validate form
@@ -367,11 +591,12 @@ class AdminApp {
         }
 
         try {
-            const response = await window.adminAPI.createCategory(data.name);
+            const response = await window.adminAPI.createCategory(data);
             
             if (response.success) {
                 window.showToast('Category added successfully!', 'success');
                 e.target.reset();
+                this.components.addCategoryFields.reset();
                 await this.loadCategories();
                 this.renderCategoriesList();
             } else {
@@ -382,25 +607,66 @@ class AdminApp {
         }
     }
 
-    handleEditEntry(sheetName, serial) {
-        const entry = this.entries.find(e => e.sheetName === sheetName && e.serial === serial);
+    async handleChangePassword(e) {
+        e.preventDefault();
+
+        const form = e.target;
+        const formData = new FormData(form);
+        const data = {
+            currentPassword: formData.get('currentPassword'),
+            newPassword: formData.get('newPassword'),
+            confirmPassword: formData.get('confirmPassword')
+        };
+
+        const validation = window.Validators.validateChangePasswordForm(data);
+        if (!validation.valid) {
+            window.Validators.showFieldErrors(validation.errors, form);
+            return;
+        }
+        window.Validators.clearFieldErrors(form);
+
+        this.setFormSubmitting('changePasswordForm', true);
+        try {
+            const response = await window.adminAPI.changePassword(data.currentPassword, data.newPassword);
+
+            if (response.success) {
+                const revoked = response.data ? response.data.revokedSessions : 0;
+                window.showToast(revoked > 0
+                    ? `Password changed. ${revoked} other session${revoked === 1 ? ' was' : 's were'} signed out.`
+                    : 'Password changed successfully!', 'success');
+                form.reset();
+            } else {
+                throw new Error(response.message || 'Failed to change password');
+            }
+        } catch (error) {
+            window.showToast(window.adminAPI.handleError(error, 'Failed to change password'), 'error');
+        } finally {
+            this.setFormSubmitting('changePasswordForm', false);
+        }
+    }
+
+    handleEditEntry(id) {
+        const entry = this.entries.find(e => e.id === id);
         if (entry) {
             this.components.editModal.openWithData(entry);
         }
     }
 
-    handleDeleteEntry(sheetName, serial, imageFileId) {
-        const entry = this.entries.find(e => e.sheetName === sheetName && e.serial === serial);
+    handleDeleteEntry(id) {
+        const entry = this.entries.find(e => e.id === id);
         if (!entry) return;
 
-        const message = `Are you sure you want to delete "${entry.name}"? This action cannot be undone.`;
+        const message = `Move "${entry.name}" to the Trash? It can be restored from there until it is purged.`;
         
         this.components.deleteModal.openWithCallback(message, async () => {
             try {
-                const response = await window.adminAPI.deleteEntry(sheetName, serial, imageFileId);
+                const response = await window.adminAPI.deleteEntry(id);
                 
                 if (response.success) {
-                    window.showToast('Entry deleted successfully!', 'success');
+                    window.showToast('Entry moved to the Trash', 'success', {
+                        label: 'Undo',
+                        onClick: () => this.undoDelete(response.data.trashId)
+                    });
                     this.loadEntries();
                 } else {
                     throw new Error(response.message || 'Failed to delete entry');
@@ -411,22 +677,47 @@ class AdminApp {
         });
     }
 
-    handleEditCategory(categoryName) {
-        const newName = prompt('Enter new category name:', categoryName);
-        if (newName && newName !== categoryName) {
-            this.updateCategory(categoryName, newName);
+    // Entries in the category, for the rename and delete previews; null if it cannot be counted
+    async countCategoryEntries(categoryName) {
+        try {
+            const response = await window.adminAPI.getEntries({ category: categoryName, page: 1, size: 1 });
+            if (!response.success || !response.data) {
+                throw new Error(response.message || 'Failed to count entries');
+            }
+            return response.data.total;
+        } catch (error) {
+            window.showToast(window.adminAPI.handleError(error, 'Failed to count entries'), 'error');
+            return null;
         }
     }
 
-    handleDeleteCategory(categoryName) {
-        const message = `Are you sure you want to delete category "${categoryName}"? This will also delete all entries in this category.`;
+    async handleEditCategory(categoryName) {
+        const entryCount = await this.countCategoryEntries(categoryName);
+        if (entryCount === null) return;
+
+        const category = this.categories.find(c => c.name === categoryName);
+        if (!category) return;
+
+        this.components.categoryEditModal.openForCategory(category, entryCount, this.categories, (values) => {
+            this.updateCategory(category, values, category.revision);
+        });
+    }
+
+    async handleDeleteCategory(categoryName) {
+        // The entry count decides what the modal asks
+        const entryCount = await this.countCategoryEntries(categoryName);
+        if (entryCount === null) return;
         
-        this.components.deleteModal.openWithCallback(message, async () => {
+        this.components.categoryDeleteModal.openForCategory(categoryName, entryCount, this.categories, async (options) => {
             try {
-                const response = await window.adminAPI.deleteCategory(categoryName);
+                const response = await window.adminAPI.deleteCategory(categoryName, options);
                 
                 if (response.success) {
-                    window.showToast('Category deleted successfully!', 'success');
+                    // Undo brings back the category but would not move its entries back
+                    window.showToast(response.message, 'success', options.moveTo ? null : {
+                        label: 'Undo',
+                        onClick: () => this.undoDelete(response.data.trashId)
+                    });
                     await this.loadCategories();
                     this.renderCategoriesList();
                 } else {
@@ -438,22 +729,152 @@ class AdminApp {
         });
     }
 
-    async updateCategory(originalName, newName) {
+    handleMergeCategories() {
+        this.components.categoryMergeModal.openForCategories(this.categories, async ({ categories, target, publishHidden }) => {
+            try {
+                const response = await window.adminAPI.mergeCategories(categories, target, { publishHidden });
+
+                if (response.success) {
+                    window.showToast(response.message, 'success');
+                    await this.loadCategories();
+                    this.renderCategoriesList();
+                } else {
+                    throw new Error(response.message || 'Failed to merge categories');
+                }
+            } catch (error) {
+                window.showToast(window.adminAPI.handleError(error, 'Failed to merge categories'), 'error');
+            }
+        });
+    }
+
+    // Moves the dragged row as it passes the others and saves the order once it is dropped
+    initCategorySorting(container) {
+        let dragged = null;
+
+        container.addEventListener('dragstart', (e) => {
+            dragged = e.target.closest('.category-item');
+            if (!dragged) return;
+
+            dragged.classList.add('dragging');
+            e.dataTransfer.effectAllowed = 'move';
+            // Firefox only starts a drag that carries data
+            e.dataTransfer.setData('text/plain', dragged.dataset.name);
+        });
+
+        container.addEventListener('dragover', (e) => {
+            if (!dragged) return;
+            e.preventDefault();
+
+            const target = e.target.closest('.category-item');
+            if (!target || target === dragged) return;
+
+            const rect = target.getBoundingClientRect();
+            const after = e.clientY > rect.top + rect.height / 2;
+            container.insertBefore(dragged, after ? target.nextSibling : target);
+        });
+
+        container.addEventListener('drop', (e) => e.preventDefault());
+
+        container.addEventListener('dragend', () => {
+            if (!dragged) return;
+
+            dragged.classList.remove('dragging');
+            dragged = null;
+
+            const names = Array.from(container.querySelectorAll('.category-item')).map(item => item.dataset.name);
+            const changed = names.some((name, index) => !this.categories[index] || this.categories[index].name !== name);
+            if (changed) {
+                this.saveCategoryOrder(names);
+            }
+        });
+    }
+
+    async saveCategoryOrder(names) {
+        try {
+            const response = await window.adminAPI.reorderCategories(names);
+            if (!response.success) {
+                throw new Error(response.message || 'Failed to save the category order');
+            }
+            window.showToast(response.message, 'success');
+        } catch (error) {
+            window.showToast(window.adminAPI.handleError(error, 'Failed to save the category order'), 'error');
+        }
+
+        // Also puts the rows back when the order was not saved
+        await this.loadCategories();
+        this.renderCategoriesList();
+    }
+
+    // Restores what the delete toast's Undo refers to
+    async undoDelete(trashId) {
         try {
-            const response = await window.adminAPI.updateCategory(originalName, newName);
+            const response = await window.adminAPI.restoreTrashItem(trashId);
+            if (!response.success) {
+                throw new Error(response.message || 'Failed to restore');
+            }
+
+            window.showToast(response.message, 'success');
+            await this.loadCategories();
+            this.refreshCurrentView();
+        } catch (error) {
+            window.showToast(window.adminAPI.handleError(error, 'Failed to restore'), 'error');
+        }
+    }
+
+    // category: the version the admin edited; values: { name, description, color, icon, hidden }
+    async updateCategory(category, values, revision) {
+        try {
+            const response = await window.adminAPI.updateCategory(category.name, values, revision);
             
             if (response.success) {
                 window.showToast('Category updated successfully!', 'success');
-                await this.loadCategories();
+                await this.loadCategories({ from: category.name, to: response.data.name });
                 this.renderCategoriesList();
             } else {
                 throw new Error(response.message || 'Failed to update category');
             }
         } catch (error) {
+            if (error.name === 'ConflictError' && error.current) {
+                this.handleCategoryConflict(category, values, error.current);
+                return;
+            }
+
             window.showToast(window.adminAPI.handleError(error, 'Failed to update category'), 'error');
+            if (error.name === 'ConflictError') {
+                // Renamed or deleted elsewhere; show the list as it is now
+                await this.loadCategories();
+                this.renderCategoriesList();
+            }
         }
     }
 
+    // The category was changed by someone else after the list was loaded
+    handleCategoryConflict(category, values, current) {
+        const formatIcon = (icon) => window.CategoryStyle.isImageIcon(icon) ? 'Uploaded SVG' : icon;
+        const formatHidden = (hidden) => hidden ? 'Hidden' : 'Public';
+        const fields = [
+            { key: 'name', label: 'Category Name' },
+            { key: 'description', label: 'Description' },
+            { key: 'color', label: 'Badge Color' },
+            { key: 'icon', label: 'Icon', format: formatIcon },
+            { key: 'hidden', label: 'Visibility', format: formatHidden }
+        ].map(field => Object.assign(field, {
+            mine: values[field.key],
+            base: category[field.key],
+            theirs: current[field.key]
+        }));
+
+        window.adminModalManager.getModal('conflict').openWithConflict(fields, async (action, merged) => {
+            if (action === 'discard' || fields.every(field => merged[field.key] === field.theirs)) {
+                await this.loadCategories();
+                this.renderCategoriesList();
+                return;
+            }
+
+            this.updateCategory(current, merged, current.revision);
+        });
+    }
+
     handleWebFiltersChange(filters) {
         // Reset to first page when filters change
         this.currentPage = 1;
@@ -471,76 +892,26 @@ class AdminApp {
         }
     }
 
-    handleImagePreview(e, previewId) {
-        const file = e.target.files[0];
-        if (file) {
-            const validation = window.Validators.validateImageFile(file);
-            if (!validation.valid) {
-                window.showToast(validation.message, 'error');
-                e.target.value = '';
-                return;
-            }
-            
-            const reader = new FileReader();
-            reader.onload = (e) => {
-                this.showImagePreview(e.target.result, previewId);
-            };
-            reader.readAsDataURL(file);
-        }
-    }
-
-    showImagePreview(imageSrc, previewId) {
+    // Shows the cover image in the framing editor; a new cover starts unframed
+    showCoverPreview(cover, previewId, framingEditor) {
         const preview = document.getElementById(previewId);
-        const previewImg = preview.querySelector('.preview-img');
+        const previewImg = preview ? preview.querySelector('.preview-img') : null;
         
         if (preview && previewImg) {
-            previewImg.src = imageSrc;
-            preview.classList.remove('hidden');
+            previewImg.src = cover ? cover.url : '';
+            preview.classList.toggle('hidden', !cover);
         }
-    }
 
-    removeImagePreview(previewId, inputId) {
-        const preview = document.getElementById(previewId);
-        const imageInput = document.getElementById(inputId);
-        
-        if (preview) {
-            preview.classList.add('hidden');
-        }
-        
-        if (imageInput) {
-            imageInput.value = '';
-        }
+        framingEditor.reset();
     }
 
-    showUploadProgress(show) {
-        const progressContainer = document.getElementById('uploadProgress');
-        if (progressContainer) {
-            progressContainer.classList.toggle('hidden', !show);
+    setFormSubmitting(formId, submitting) {
+        const submitBtn = document.querySelector(`#${formId} button[type="submit"]`);
+        if (submitBtn) {
+            submitBtn.disabled = submitting;
         }
     }
 
-    simulateUploadProgress(callback) {
-        const progressFill = document.getElementById('progressFill');
-        const progressText = document.getElementById('progressText');
-        
-        let progress = 0;
-        const interval = setInterval(() => {
-            progress += Math.random() * 15;
-            if (progress >= 90) {
-                progress = 90;
-                clearInterval(interval);
-                setTimeout(callback, 200);
-            }
-            
-            if (progressFill) {
-                progressFill.style.width = `${progress}%`;
-            }
-            if (progressText) {
-                progressText.textContent = `Uploading... ${Math.round(progress)}%`;
-            }
-        }, 100);
-    }
-
     // Rendering methods
     renderWebEntries() {
         const container = document.getElementById('webCardsGrid');
@@ -558,26 +929,29 @@ class AdminApp {
         window.CategoryItemFactory.renderCategoryItems(container, categoryItems);
     }
 
-    updateCategoryDropdowns() {
+    updateCategoryDropdowns(renamed = null) {
         // Update add entry form
         const addCategorySelect = document.getElementById('webCategory');
         if (addCategorySelect) {
-            this.populateCategorySelect(addCategorySelect);
+            this.populateCategorySelect(addCategorySelect, renamed);
         }
 
         // Update edit entry form
         const editCategorySelect = document.getElementById('editWebCategory');
         if (editCategorySelect) {
-            this.populateCategorySelect(editCategorySelect);
+            this.populateCategorySelect(editCategorySelect, renamed);
         }
 
         // Update web filters
         if (this.components.webFilters) {
-            this.components.webFilters.updateCategories(this.categories);
+            this.components.webFilters.updateCategories(this.categories, renamed);
         }
     }
 
-    populateCategorySelect(selectElement) {
+    populateCategorySelect(selectElement, renamed = null) {
+        // Keep the current choice, under its new name after a rename
+        const selected = renamed && selectElement.value === renamed.from ? renamed.to : selectElement.value;
+
         // Clear existing options (except the first one)
         while (selectElement.children.length > 1) {
             selectElement.removeChild(selectElement.lastChild);
@@ -590,6 +964,12 @@ class AdminApp {
             option.textContent = category.name;
             selectElement.appendChild(option);
         });
+
+        // Falls back to the placeholder when the category is gone
+        selectElement.value = selected;
+        if (selectElement.value !== selected) {
+            selectElement.value = '';
+        }
     }
 
     updateDashboardStats(totalWebsites, totalCategories) {
@@ -605,7 +985,8 @@ class AdminApp {
         }
     }
 
-    updateCategoryChart(entries) {
+    // Bars follow the category order and use each category's badge color
+    updateCategoryChart(entries, categories = this.categories) {
         if (!this.components.categoryChart) return;
 
         // Count entries per category
@@ -616,10 +997,16 @@ class AdminApp {
         });
 
         // Convert to chart data format
-        const chartData = Object.entries(categoryCounts).map(([name, count]) => ({
-            name,
-            count
-        }));
+        const position = (name) => {
+            const index = categories.findIndex(category => category.name === name);
+            return index === -1 ? categories.length : index;
+        };
+        const chartData = Object.entries(categoryCounts)
+            .sort(([a], [b]) => position(a) - position(b))
+            .map(([name, count]) => {
+                const category = categories.find(item => item.name === name);
+                return { name, count, color: category ? category.color : '' };
+            });
 
         this.components.categoryChart.setData(chartData);
     }
@@ -687,11 +1074,13 @@ class AdminApp {
             window.Validators.clearFieldErrors(form);
         }
         
-        // Clear image preview
-        this.removeImagePreview('imagePreview', 'webImage');
-        
-        // Hide progress
-        this.showUploadProgress(false);
+        // Abort any upload in flight and forget data kept for Retry
+        this.cancelAddEntry();
+        this.pendingEntryData = null;
+        this.components.addEntryProgress.hide();
+
+        // Clear images, deleting uploads that were never saved
+        this.components.addEntryImages.clear();
     }
 
     refreshCurrentView() {
@@ -706,6 +1095,21 @@ class AdminApp {
                 this.loadCategories();
                 this.renderCategoriesList();
                 break;
+            case 'storage':
+                this.components.storageView.load();
+                break;
+            case 'users':
+                this.components.usersView.load();
+                break;
+            case 'activity':
+                this.components.activityView.load();
+                break;
+            case 'sessions':
+                this.components.sessionsView.load();
+                break;
+            case 'trash':
+                this.components.trashView.load();
+                break;
         }
         
         window.showToast('Data refreshed', 'success');
@@ -727,20 +1131,32 @@ class AdminApp {
     }
 }
 
-// Toast notification utility
-window.showToast = function(message, type = 'info') {
+// Toast notification utility; action ({ label, onClick }) adds a button such as Undo
+window.showToast = function(message, type = 'info', action = null) {
     const toast = document.createElement('div');
     toast.className = `toast ${type}`;
     toast.textContent = message;
+
+    if (action) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'toast-action';
+        button.textContent = action.label;
+        button.addEventListener('click', () => {
+            toast.remove();
+            action.onClick();
+        });
+        toast.appendChild(button);
+    }
     
     document.body.appendChild(toast);
     
-    // Auto remove after 3 seconds
+    // Auto remove after 3 seconds, or 8 when there is an action to take
     setTimeout(() => {
         if (toast.parentNode) {
             toast.parentNode.removeChild(toast);
         }
-    }, 3000);
+    }, action ? 8000 : 3000);
 };
 
 // Add CSS for field errors
@@ -772,9 +1188,10 @@ document.addEventListener('DOMContentLoaded', () => {
 // Handle page visibility changes
 document.addEventListener('visibilitychange', () => {
     if (!document.hidden && window.adminApp) {
-        // Check authentication when page becomes visible
+        // Check authentication when page becomes visible; once booted this
+        // asks to log in again instead of leaving the page
         if (!window.adminApp.isAuthenticated()) {
-            window.location.href = '../user/';
+            window.adminAPI.handleUnauthorized();
         }
     }
 });
@@ -0,0 +1,246 @@
+/**
+ * Activity View Component
+ * Shows the audit log, latest first, filtered by user, action and date range
+ * with the same filter and pagination components as the web list. The
+ * filtered log can be downloaded as CSV.
+ */
+class ActivityView {
+    static get ACTION_LABELS() {
+        return {
+            'entry.create': 'Entry created',
+            'entry.update': 'Entry updated',
+            'entry.delete': 'Entry deleted',
+            'entry.restore': 'Entry restored',
+            'entry.purge': 'Entry purged',
+            'category.create': 'Category created',
+            'category.rename': 'Category renamed',
+            'category.update': 'Category updated',
+            'category.reorder': 'Categories reordered',
+            'category.delete': 'Category deleted',
+            'category.restore': 'Category restored',
+            'category.purge': 'Category purged',
+            'category.merge': 'Categories merged',
+            'user.invite': 'User invited',
+            'user.update': 'User updated',
+            'user.password': 'Password changed',
+            'user.2fa.enable': 'Two-factor enabled',
+            'user.2fa.disable': 'Two-factor disabled',
+            'user.2fa.recoveryCodes': 'Recovery codes reissued',
+            'session.revoke': 'Sessions revoked',
+            'lockout.clear': 'Lockout cleared',
+            'entry.relink': 'Images relinked',
+            'file.delete': 'Unused files deleted',
+            'login': 'Logged in'
+        };
+    }
+
+    // Bookkeeping columns that change on every write and say nothing on their own
+    static get IGNORED_FIELDS() {
+        return ['REVISION', 'DATE', 'TIME', 'S.NO'];
+    }
+
+    constructor(containerId, options = {}) {
+        this.container = document.getElementById(containerId);
+        this.pageSize = options.pageSize || 20;
+        this.currentPage = 1;
+        this.records = [];
+        this.actionsLoaded = false;
+
+        if (!this.container) {
+            console.error(`Activity view with id "${containerId}" not found`);
+            return;
+        }
+
+        this.list = this.container.querySelector('#auditTable');
+        this.exportBtn = this.container.querySelector('#exportAuditBtn');
+
+        // The search box filters by user and the select by action
+        this.filters = new AdminFilters({
+            elementIds: {
+                search: 'auditUserFilter',
+                date: 'auditFromFilter',
+                dateTo: 'auditToFilter',
+                category: 'auditActionFilter',
+                clear: 'clearAuditFilters'
+            },
+            loadCategories: false,
+            onFiltersChange: () => {
+                this.currentPage = 1;
+                this.load();
+            }
+        });
+
+        this.pagination = new AdminPagination('auditPagination', {
+            itemsPerPage: this.pageSize,
+            onPageChange: (page) => {
+                this.currentPage = page;
+                this.load();
+            }
+        });
+
+        this.exportBtn.addEventListener('click', () => this.exportCsv());
+    }
+
+    getParams() {
+        const { search, category, startDate, endDate } = this.filters.getAPIParams();
+
+        const params = {};
+        if (search) params.user = search;
+        if (category) params.type = category;
+        if (startDate) params.startDate = startDate;
+        if (endDate) params.endDate = endDate;
+        return params;
+    }
+
+    async load() {
+        try {
+            const response = await window.adminAPI.getAuditLog({
+                ...this.getParams(),
+                page: this.currentPage,
+                size: this.pageSize
+            });
+            if (!response.success || !response.data) {
+                throw new Error(response.message || 'Failed to load activity');
+            }
+
+            if (!this.actionsLoaded) {
+                this.filters.updateCategories(response.data.actions.map(action => ({
+                    name: action,
+                    label: ActivityView.ACTION_LABELS[action]
+                })));
+                this.actionsLoaded = true;
+            }
+
+            this.records = response.data.records;
+            this.render();
+            this.pagination.update(this.currentPage, Math.ceil(response.data.total / this.pageSize), response.data.total);
+        } catch (error) {
+            window.showToast(window.adminAPI.handleError(error, 'Failed to load activity'), 'error');
+        }
+    }
+
+    async exportCsv() {
+        this.exportBtn.disabled = true;
+
+        try {
+            // Without paging the server returns every matching record
+            const response = await window.adminAPI.getAuditLog(this.getParams());
+            if (!response.success || !response.data) {
+                throw new Error(response.message || 'Failed to export activity');
+            }
+
+            const header = ['Date', 'Time', 'User', 'Action', 'Entity ID', 'Before', 'After'];
+            const rows = response.data.records.map(record => [
+                record.date,
+                record.time,
+                record.actor,
+                record.action,
+                record.entityId,
+                record.before ? JSON.stringify(record.before) : '',
+                record.after ? JSON.stringify(record.after) : ''
+            ]);
+            const csv = [header].concat(rows).map(row => row.map(value => this.toCsvValue(value)).join(',')).join('\r\n');
+
+            const url = URL.createObjectURL(new Blob([csv], { type: 'text/csv' }));
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `atf-showcase-activity-${new Date().toISOString().slice(0, 10)}.csv`;
+            link.click();
+            URL.revokeObjectURL(url);
+        } catch (error) {
+            window.showToast(window.adminAPI.handleError(error, 'Failed to export activity'), 'error');
+        } finally {
+            this.exportBtn.disabled = false;
+        }
+    }
+
+    // Quotes every value; a leading formula character is escaped so
+    // spreadsheet apps do not evaluate logged input
+    toCsvValue(value) {
+        let text = String(value === undefined || value === null ? '' : value);
+        if (/^[=+\-@]/.test(text)) {
+            text = `'${text}`;
+        }
+        return `"${text.replace(/"/g, '""')}"`;
+    }
+
+    render() {
+        this.list.innerHTML = '';
+
+        if (this.records.length === 0) {
+            this.list.innerHTML = '<p class="storage-empty">No activity matches these filters.</p>';
+            return;
+        }
+
+        this.records.forEach(record => {
+            const item = document.createElement('div');
+            item.className = 'category-item audit-item';
+            item.innerHTML = `
+                <div class="category-info">
+                    <span class="audit-action"></span>
+                    <span class="category-name"></span>
+                    <span class="category-date"></span>
+                </div>
+            `;
+            item.querySelector('.audit-action').textContent = ActivityView.ACTION_LABELS[record.action] || record.action;
+            item.querySelector('.category-name').textContent = this.describeEntity(record);
+            item.querySelector('.category-date').textContent = `${record.actor} · ${record.date} ${record.time}`;
+
+            const changes = this.getChanges(record);
+            if (changes.length > 0) {
+                const details = document.createElement('details');
+                details.className = 'audit-changes';
+                details.innerHTML = '<summary></summary><dl></dl>';
+                details.querySelector('summary').textContent = `${changes.length} field${changes.length === 1 ? '' : 's'}`;
+
+                const list = details.querySelector('dl');
+                changes.forEach(change => {
+                    const term = document.createElement('dt');
+                    const value = document.createElement('dd');
+                    term.textContent = change.field;
+                    value.textContent = change.text;
+                    list.appendChild(term);
+                    list.appendChild(value);
+                });
+                item.querySelector('.category-info').appendChild(details);
+            }
+
+            this.list.appendChild(item);
+        });
+    }
+
+    describeEntity(record) {
+        const values = record.after || record.before || {};
+        return values['WEB NAME'] || values['CATEGORY-NAME'] || values.username || record.entityId;
+    }
+
+    // Changed fields for updates; every field for records that were created or deleted
+    getChanges(record) {
+        const before = record.before || {};
+        const after = record.after || {};
+        const fields = Object.keys(Object.assign({}, before, after))
+            .filter(field => ActivityView.IGNORED_FIELDS.indexOf(field) === -1);
+
+        return fields
+            .filter(field => !record.before || !record.after || this.formatValue(before[field]) !== this.formatValue(after[field]))
+            .map(field => {
+                let text = this.formatValue(record.after ? after[field] : before[field]);
+                if (record.before && record.after) {
+                    text = `${this.formatValue(before[field]) || '(empty)'} → ${this.formatValue(after[field]) || '(empty)'}`;
+                }
+                return { field, text };
+            });
+    }
+
+    formatValue(value) {
+        if (value === undefined || value === null) return '';
+        // Uploaded category icons are stored as data URLs
+        if (typeof value === 'string' && value.indexOf('data:') === 0) return '(uploaded image)';
+        return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ActivityView;
+}
@@ -11,20 +11,25 @@ class AdminCard {
     render() {
         const card = document.createElement('div');
         card.className = 'admin-card';
-        card.dataset.serial = this.data.serial;
+        card.dataset.id = this.data.id;
         card.dataset.category = this.data.category;
-        card.dataset.sheetName = this.data.sheetName;
 
         const imageUrl = this.data.image || 'data:image/svg+xml,%3Csvg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 400 300"%3E%3Crect width="400" height="300" fill="%23f0f0f0"/%3E%3Ctext x="200" y="150" text-anchor="middle" fill="%23999" font-size="16"%3ENo Image%3C/text%3E%3C/svg%3E';
+        const canEdit = window.adminApp.can('editEntries');
         
         card.innerHTML = `
-            <img src="${imageUrl}" alt="${this.data.name}" class="admin-card-image" loading="lazy">
+            <div class="admin-card-image-frame image-frame">
+                <img src="${imageUrl}" alt="${this.data.name}" class="admin-card-image" loading="lazy">
+            </div>
             <div class="admin-card-content">
                 <div class="admin-card-header">
                     <h3 class="admin-card-title">${this.escapeHtml(this.data.name)}</h3>
                     <div class="admin-card-meta">
                         <span class="admin-card-category">${this.escapeHtml(this.data.category)}</span>
                         <span class="admin-card-date">${this.formatDate(this.data.date, this.data.time)}</span>
+                        ${this.data.duplicateOf ? `
+                        <span class="admin-card-duplicate" title="Looks like another entry in this category. Saving the entry clears the flag.">Possible duplicate</span>
+                        ` : ''}
                     </div>
                 </div>
                 <p class="admin-card-description">${this.escapeHtml(this.data.description)}</p>
@@ -32,16 +37,21 @@ class AdminCard {
                     <a href="${this.data.url}" target="_blank" class="admin-card-url" onclick="event.stopPropagation()">
                         Visit Site
                     </a>
-                    <button class="admin-card-edit" onclick="event.stopPropagation(); window.adminApp.handleEditEntry('${this.data.sheetName}', ${this.data.serial})">
+                    ${canEdit ? `
+                    <button class="admin-card-edit" onclick="event.stopPropagation(); window.adminApp.handleEditEntry('${this.data.id}')">
                         Edit
                     </button>
-                    <button class="admin-card-delete" onclick="event.stopPropagation(); window.adminApp.handleDeleteEntry('${this.data.sheetName}', ${this.data.serial}, '${this.data.imageFileId || ''}')">
+                    <button class="admin-card-delete" onclick="event.stopPropagation(); window.adminApp.handleDeleteEntry('${this.data.id}')">
                         Delete
                     </button>
+                    ` : ''}
                 </div>
             </div>
         `;
 
+        window.ImageFraming.apply(card.querySelector('.admin-card-image'), this.data.imageFraming);
+        window.CategoryStyle.apply(card.querySelector('.admin-card-category'), this.data.categoryStyle);
+
         // Add click event for opening detail modal (optional)
         card.addEventListener('click', () => this.onClick());
 
@@ -140,14 +150,21 @@ class CategoryItem {
 
     render() {
         const item = document.createElement('div');
+        const canManage = window.adminApp.can('manageCategories');
         item.className = 'category-item';
         item.dataset.name = this.data.name;
+        // Dragging sets the display order
+        item.draggable = canManage;
 
         item.innerHTML = `
             <div class="category-info">
-                <span class="category-name">${this.escapeHtml(this.data.name)}</span>
+                ${canManage ? '<span class="category-drag-handle" title="Drag to reorder" aria-hidden="true">⋮⋮</span>' : ''}
+                <span class="category-name"><span class="admin-card-category">${this.escapeHtml(this.data.name)}</span></span>
+                ${this.data.hidden ? '<span class="user-status" title="Not shown in the public showcase">Hidden</span>' : ''}
                 <span class="category-date">${this.formatDate(this.data.date, this.data.time)}</span>
+                <span class="category-date category-description">${this.escapeHtml(this.data.description)}</span>
             </div>
+            ${canManage ? `
             <div class="category-actions">
                 <button class="btn btn-secondary btn-sm" onclick="window.adminApp.handleEditCategory('${this.escapeHtml(this.data.name)}')">
                     Edit
@@ -156,8 +173,11 @@ class CategoryItem {
                     Delete
                 </button>
             </div>
+            ` : ''}
         `;
 
+        window.CategoryStyle.apply(item.querySelector('.admin-card-category'), this.data);
+
         this.element = item;
         return item;
     }
@@ -0,0 +1,125 @@
+/**
+ * Category Fields Component
+ * Description, badge color, icon and visibility inputs shared by the Add
+ * Category form and the Edit Category modal, with a live badge preview.
+ * Uploaded SVG icons are sent as data URLs and stored with the category.
+ */
+class CategoryFields {
+    // Matches MAX_CATEGORY_ICON_LENGTH in the backend once base64 encoded
+    static get MAX_ICON_BYTES() {
+        return 29 * 1024;
+    }
+
+    // nameInput: the form's name field, shown in the preview
+    constructor(containerId, nameInput = null) {
+        this.container = document.getElementById(containerId);
+        this.nameInput = nameInput;
+        this.uploadedIcon = '';
+
+        if (!this.container) {
+            console.error(`Category fields with id "${containerId}" not found`);
+            return;
+        }
+
+        this.description = this.container.querySelector('[name="description"]');
+        this.useColor = this.container.querySelector('[data-field="useColor"]');
+        this.color = this.container.querySelector('[name="color"]');
+        this.icon = this.container.querySelector('[name="icon"]');
+        this.iconFile = this.container.querySelector('[data-field="iconFile"]');
+        this.removeIconBtn = this.container.querySelector('[data-field="removeIcon"]');
+        this.hidden = this.container.querySelector('[name="hidden"]');
+        this.preview = this.container.querySelector('[data-field="preview"]');
+
+        this.init();
+    }
+
+    init() {
+        this.useColor.addEventListener('change', () => {
+            this.color.disabled = !this.useColor.checked;
+            this.updatePreview();
+        });
+        this.color.addEventListener('input', () => this.updatePreview());
+        this.icon.addEventListener('input', () => this.updatePreview());
+        this.iconFile.addEventListener('change', () => this.readIconFile());
+        this.removeIconBtn.addEventListener('click', () => this.setUploadedIcon(''));
+
+        if (this.nameInput) {
+            this.nameInput.addEventListener('input', () => this.updatePreview());
+        }
+        this.updatePreview();
+    }
+
+    async readIconFile() {
+        const file = this.iconFile.files[0];
+        this.iconFile.value = '';
+        if (!file) return;
+
+        if (file.size > CategoryFields.MAX_ICON_BYTES) {
+            window.showToast('Icon is too large. SVG icons can be up to 29 KB.', 'error');
+            return;
+        }
+
+        const text = await file.text();
+        if (!/<svg[\s>]/i.test(text)) {
+            window.showToast('Icon must be an SVG file', 'error');
+            return;
+        }
+
+        // base64 of the UTF-8 bytes, as btoa only takes single-byte characters
+        const bytes = new TextEncoder().encode(text);
+        let binary = '';
+        bytes.forEach(byte => {
+            binary += String.fromCharCode(byte);
+        });
+        this.setUploadedIcon(`data:image/svg+xml;base64,${btoa(binary)}`);
+    }
+
+    // An uploaded SVG replaces the emoji until it is removed
+    setUploadedIcon(icon) {
+        this.uploadedIcon = icon;
+        this.icon.disabled = !!icon;
+        if (icon) {
+            this.icon.value = '';
+        }
+        this.removeIconBtn.classList.toggle('hidden', !icon);
+        this.updatePreview();
+    }
+
+    getValues() {
+        return {
+            description: this.description.value.trim(),
+            color: this.useColor.checked ? this.color.value.toUpperCase() : '',
+            icon: this.uploadedIcon || this.icon.value.trim(),
+            hidden: this.hidden.checked
+        };
+    }
+
+    setValues(category) {
+        this.description.value = category.description || '';
+        this.useColor.checked = !!category.color;
+        this.color.disabled = !category.color;
+        this.color.value = category.color || '#0B5FFF';
+        this.hidden.checked = !!category.hidden;
+
+        const uploaded = window.CategoryStyle.isImageIcon(category.icon);
+        this.icon.value = uploaded ? '' : (category.icon || '');
+        this.setUploadedIcon(uploaded ? category.icon : '');
+    }
+
+    reset() {
+        this.setValues({});
+    }
+
+    updatePreview() {
+        if (!this.preview) return;
+
+        const name = this.nameInput ? this.nameInput.value.trim() : '';
+        this.preview.textContent = name || 'Category';
+        window.CategoryStyle.apply(this.preview, this.getValues());
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CategoryFields;
+}
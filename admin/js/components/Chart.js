@@ -96,8 +96,8 @@ class CategoryChart {
             const x = this.padding + (index * barSpacing) + (barSpacing - this.barWidth) / 2;
             const y = this.height - this.padding - barHeight;
             
-            // Draw bar
-            this.ctx.fillStyle = this.colors[index % this.colors.length];
+            // Draw bar in the item's own color, if it has one
+            this.ctx.fillStyle = item.color || this.colors[index % this.colors.length];
             this.ctx.fillRect(x, y, this.barWidth, barHeight);
             
             // Draw value on top of bar
@@ -1,21 +1,40 @@
 /**
  * Filters Component for Admin Panel
  * Handles search, date, and category filters for admin
+ *
+ * The web list uses the default elements. Other lists pass their own
+ * elementIds; with a dateTo element the date filter becomes a range start.
  */
 class AdminFilters {
+    static get DEFAULT_ELEMENT_IDS() {
+        return {
+            search: 'webSearch',
+            date: 'webDateFilter',
+            dateTo: null,
+            category: 'webCategoryFilter',
+            clear: 'clearWebFilters'
+        };
+    }
+
     constructor(options = {}) {
-        this.searchInput = document.getElementById('webSearch');
-        this.dateFilter = document.getElementById('webDateFilter');
-        this.categoryFilter = document.getElementById('webCategoryFilter');
-        this.clearBtn = document.getElementById('clearWebFilters');
+        const ids = { ...AdminFilters.DEFAULT_ELEMENT_IDS, ...options.elementIds };
+        this.searchInput = document.getElementById(ids.search);
+        this.dateFilter = document.getElementById(ids.date);
+        this.dateToFilter = ids.dateTo ? document.getElementById(ids.dateTo) : null;
+        this.categoryFilter = document.getElementById(ids.category);
+        this.clearBtn = document.getElementById(ids.clear);
         
         this.onFiltersChange = options.onFiltersChange || null;
         this.searchDebounceTime = options.searchDebounceTime || 250;
         this.searchDebounceTimer = null;
+        // Off when the select holds something other than categories
+        this.shouldLoadCategories = options.loadCategories !== false;
+        this.categories = [];
         
         this.filters = {
             search: '',
             date: '',
+            dateTo: '',
             category: ''
         };
         
@@ -24,7 +43,9 @@ class AdminFilters {
 
     init() {
         this.attachEventListeners();
-        this.loadCategories();
+        if (this.shouldLoadCategories) {
+            this.loadCategories();
+        }
     }
 
     attachEventListeners() {
@@ -53,6 +74,12 @@ class AdminFilters {
             });
         }
 
+        if (this.dateToFilter) {
+            this.dateToFilter.addEventListener('change', (e) => {
+                this.handleDateToChange(e.target.value);
+            });
+        }
+
         // Category filter
         if (this.categoryFilter) {
             this.categoryFilter.addEventListener('change', (e) => {
@@ -87,13 +114,26 @@ class AdminFilters {
             this.categoryFilter.removeChild(this.categoryFilter.lastChild);
         }
 
-        // Add category options
+        // Add category options in the order given; a label, when given, is shown instead of the value
+        this.categories = categories;
         categories.forEach(category => {
             const option = document.createElement('option');
             option.value = category.name;
-            option.textContent = category.name;
+            option.textContent = category.label || category.name;
+            option.title = category.description || '';
             this.categoryFilter.appendChild(option);
         });
+        this.showCategoryColor();
+    }
+
+    // Edges the select in the chosen category's badge color
+    showCategoryColor() {
+        if (!this.categoryFilter) return;
+
+        const category = this.categories.find(item => item.name === this.filters.category);
+        const color = category && category.color ? category.color : '';
+        this.categoryFilter.style.borderLeftColor = color;
+        this.categoryFilter.classList.toggle('category-select-colored', !!color);
     }
 
     handleSearchChange(value) {
@@ -121,12 +161,25 @@ class AdminFilters {
         this.notifyFiltersChange();
     }
 
+    handleDateToChange(value) {
+        const validation = window.Validators.validateDate(value);
+        if (!validation.valid) {
+            window.showToast(validation.message, 'error');
+            return;
+        }
+
+        this.filters.dateTo = value;
+        this.notifyFiltersChange();
+    }
+
     handleCategoryChange(value) {
         this.filters.category = value;
         this.notifyFiltersChange();
     }
 
     notifyFiltersChange() {
+        this.showCategoryColor();
+
         if (this.onFiltersChange) {
             this.onFiltersChange({ ...this.filters });
         }
@@ -142,6 +195,7 @@ class AdminFilters {
         this.filters = {
             search: '',
             date: '',
+            dateTo: '',
             category: ''
         };
 
@@ -152,6 +206,9 @@ class AdminFilters {
         if (this.dateFilter) {
             this.dateFilter.value = '';
         }
+        if (this.dateToFilter) {
+            this.dateToFilter.value = '';
+        }
         if (this.categoryFilter) {
             this.categoryFilter.value = '';
         }
@@ -170,6 +227,9 @@ class AdminFilters {
         if (filters.date !== undefined && this.dateFilter) {
             this.dateFilter.value = filters.date || '';
         }
+        if (filters.dateTo !== undefined && this.dateToFilter) {
+            this.dateToFilter.value = filters.dateTo || '';
+        }
         if (filters.category !== undefined && this.categoryFilter) {
             this.categoryFilter.value = filters.category || '';
         }
@@ -182,13 +242,14 @@ class AdminFilters {
     }
 
     hasActiveFilters() {
-        return this.filters.search || this.filters.date || this.filters.category;
+        return this.filters.search || this.filters.date || this.filters.dateTo || this.filters.category;
     }
 
     getActiveFiltersCount() {
         let count = 0;
         if (this.filters.search) count++;
         if (this.filters.date) count++;
+        if (this.filters.dateTo) count++;
         if (this.filters.category) count++;
         return count;
     }
@@ -201,7 +262,15 @@ class AdminFilters {
             params.search = this.filters.search;
         }
         
-        if (this.filters.date) {
+        if (this.dateToFilter) {
+            // Either end of a range may be left open
+            if (this.filters.date) {
+                params.startDate = this.filters.date;
+            }
+            if (this.filters.dateTo) {
+                params.endDate = this.filters.dateTo;
+            }
+        } else if (this.filters.date) {
             params.startDate = this.filters.date;
             params.endDate = this.filters.date; // For single date filter, use same date
         }
@@ -225,13 +294,13 @@ class AdminFilters {
             }
         }
 
-        // Validate date
-        if (this.filters.date) {
-            const dateValidation = window.Validators.validateDate(this.filters.date);
+        // Validate dates
+        [this.filters.date, this.filters.dateTo].filter(Boolean).forEach(date => {
+            const dateValidation = window.Validators.validateDate(date);
             if (!dateValidation.valid) {
                 errors.push(dateValidation.message);
             }
-        }
+        });
 
         return errors;
     }
@@ -283,8 +352,21 @@ class AdminFilters {
     }
 
     // Method to update categories dynamically
-    updateCategories(categories) {
+    // renamed: { from, to } after a category rename, so an active filter follows it
+    updateCategories(categories, renamed = null) {
         this.populateCategoryDropdown(categories);
+        if (!this.categoryFilter) return;
+
+        const current = this.filters.category;
+        if (renamed && current === renamed.from) {
+            this.setFilters({ category: renamed.to });
+            return;
+        }
+
+        this.categoryFilter.value = current;
+        if (current && this.categoryFilter.value !== current) {
+            this.setFilters({ category: '' });
+        }
     }
 
     // Method to get filter summary for display
@@ -295,8 +377,12 @@ class AdminFilters {
             summary.push(`Search: "${this.filters.search}"`);
         }
         
-        if (this.filters.date) {
-            summary.push(`Date: ${this.formatDate(this.filters.date)}`);
+        if (this.filters.date && this.filters.dateTo) {
+            summary.push(`Dates: ${this.formatDate(this.filters.date)} - ${this.formatDate(this.filters.dateTo)}`);
+        } else if (this.filters.dateTo) {
+            summary.push(`Until: ${this.formatDate(this.filters.dateTo)}`);
+        } else if (this.filters.date) {
+            summary.push(`${this.dateToFilter ? 'From' : 'Date'}: ${this.formatDate(this.filters.date)}`);
         }
         
         if (this.filters.category) {
@@ -327,6 +413,9 @@ class AdminFilters {
         if (this.dateFilter) {
             this.dateFilter.removeEventListener('change', this.handleDateChange);
         }
+        if (this.dateToFilter) {
+            this.dateToFilter.removeEventListener('change', this.handleDateToChange);
+        }
         if (this.categoryFilter) {
             this.categoryFilter.removeEventListener('change', this.handleCategoryChange);
         }
@@ -0,0 +1,90 @@
+/**
+ * Image Drop Zone Component
+ * Accepts dropped or pasted images and hands them to a file input, so they go
+ * through the same change handler (validation, preview, submit) as a chosen file
+ */
+class ImageDropZone {
+    constructor(zoneId, inputId, options = {}) {
+        this.zone = document.getElementById(zoneId);
+        this.input = document.getElementById(inputId);
+        // Paste is global, so only the visible form may claim it
+        this.isActive = options.isActive || (() => true);
+        this.dragDepth = 0;
+
+        if (!this.zone || !this.input) {
+            console.error(`Image drop zone "${zoneId}" or input "${inputId}" not found`);
+            return;
+        }
+
+        this.init();
+    }
+
+    init() {
+        this.zone.addEventListener('dragenter', (e) => {
+            if (!this.hasFiles(e.dataTransfer)) return;
+            e.preventDefault();
+            this.dragDepth++;
+            this.zone.classList.add('drag-over');
+        });
+
+        this.zone.addEventListener('dragover', (e) => {
+            if (!this.hasFiles(e.dataTransfer)) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'copy';
+        });
+
+        // dragleave also fires when moving between child elements
+        this.zone.addEventListener('dragleave', () => {
+            this.dragDepth = Math.max(0, this.dragDepth - 1);
+            if (this.dragDepth === 0) {
+                this.zone.classList.remove('drag-over');
+            }
+        });
+
+        this.zone.addEventListener('drop', (e) => {
+            if (!this.hasFiles(e.dataTransfer)) return;
+            e.preventDefault();
+            this.dragDepth = 0;
+            this.zone.classList.remove('drag-over');
+            this.acceptFiles(e.dataTransfer.files);
+        });
+
+        document.addEventListener('paste', (e) => {
+            if (!this.isActive() || !e.clipboardData) return;
+
+            const images = this.findImages(e.clipboardData.files);
+            if (images.length === 0) return; // Let ordinary text paste through
+
+            e.preventDefault();
+            this.setFiles(images);
+        });
+    }
+
+    hasFiles(dataTransfer) {
+        return !!dataTransfer && Array.from(dataTransfer.types || []).includes('Files');
+    }
+
+    findImages(files) {
+        return Array.from(files || []).filter(file => file.type.startsWith('image/'));
+    }
+
+    acceptFiles(files) {
+        const list = Array.from(files || []);
+        if (list.length === 0) return;
+
+        // Non-images still go through so validateImageFile() reports them
+        this.setFiles(this.input.multiple ? list : [this.findImages(list)[0] || list[0]]);
+    }
+
+    setFiles(files) {
+        const transfer = new DataTransfer();
+        (this.input.multiple ? files : files.slice(0, 1)).forEach(file => transfer.items.add(file));
+        this.input.files = transfer.files;
+        this.input.dispatchEvent(new Event('change', { bubbles: true }));
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ImageDropZone;
+}
@@ -0,0 +1,221 @@
+/**
+ * Image Framing Editor Component
+ * Lets the admin pick a focal point or drag a 4:3 crop rectangle over the
+ * preview image; the result is kept in the form's hidden imageFraming input
+ */
+class ImageFramingEditor {
+    static get MIN_CROP_WIDTH() {
+        return 0.1;
+    }
+
+    constructor(containerId) {
+        this.container = document.getElementById(containerId);
+        this.framing = null;
+        this.drag = null;
+
+        if (!this.container) {
+            console.error(`Image framing container with id "${containerId}" not found`);
+            return;
+        }
+
+        this.stage = this.container.querySelector('.framing-stage');
+        this.image = this.container.querySelector('.preview-img');
+        this.cropBox = this.container.querySelector('.framing-crop');
+        this.focusPoint = this.container.querySelector('.framing-focus');
+        this.cardPreview = this.container.querySelector('.framing-card-preview img');
+        this.input = this.container.querySelector('.framing-value');
+        this.modeButtons = this.container.querySelectorAll('.framing-mode');
+
+        this.init();
+    }
+
+    init() {
+        this.modeButtons.forEach(btn => {
+            btn.addEventListener('click', () => this.setMode(btn.dataset.mode));
+        });
+
+        if (this.image) {
+            // Redraw the overlay and card preview once the image size is known
+            this.image.addEventListener('load', () => this.update());
+        }
+
+        if (this.stage) {
+            this.stage.addEventListener('pointerdown', (e) => this.handlePointerDown(e));
+            this.stage.addEventListener('pointermove', (e) => this.handlePointerMove(e));
+            this.stage.addEventListener('pointerup', () => this.endDrag());
+            this.stage.addEventListener('pointercancel', () => this.endDrag());
+        }
+    }
+
+    setMode(mode) {
+        if (mode === 'crop') {
+            this.framing = this.framing && this.framing.mode === 'crop'
+                ? this.framing
+                : window.ImageFraming.defaultCrop(this.getAspectRatio());
+        } else if (mode === 'focus') {
+            this.framing = this.framing && this.framing.mode === 'focus'
+                ? this.framing
+                : { mode: 'focus', x: 0.5, y: 0.5 };
+        } else {
+            this.framing = null;
+        }
+
+        this.update();
+    }
+
+    setFraming(value) {
+        this.framing = window.ImageFraming.parse(value);
+        this.update();
+    }
+
+    getFraming() {
+        return this.framing;
+    }
+
+    reset() {
+        this.setFraming(null);
+    }
+
+    getAspectRatio() {
+        if (this.image && this.image.naturalWidth && this.image.naturalHeight) {
+            return this.image.naturalWidth / this.image.naturalHeight;
+        }
+        return window.ImageFraming.CARD_RATIO;
+    }
+
+    update() {
+        if (!this.container) return;
+
+        const mode = this.framing ? this.framing.mode : '';
+
+        if (this.input) {
+            this.input.value = window.ImageFraming.serialize(this.framing);
+        }
+
+        this.modeButtons.forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.mode === mode);
+        });
+
+        if (this.stage) {
+            this.stage.dataset.mode = mode;
+        }
+
+        if (this.cropBox) {
+            this.cropBox.classList.toggle('hidden', mode !== 'crop');
+            if (mode === 'crop') {
+                this.cropBox.style.left = window.ImageFraming.percent(this.framing.x);
+                this.cropBox.style.top = window.ImageFraming.percent(this.framing.y);
+                this.cropBox.style.width = window.ImageFraming.percent(this.framing.w);
+                this.cropBox.style.height = window.ImageFraming.percent(this.framing.h);
+            }
+        }
+
+        if (this.focusPoint) {
+            this.focusPoint.classList.toggle('hidden', mode !== 'focus');
+            if (mode === 'focus') {
+                this.focusPoint.style.left = window.ImageFraming.percent(this.framing.x);
+                this.focusPoint.style.top = window.ImageFraming.percent(this.framing.y);
+            }
+        }
+
+        if (this.cardPreview && this.image) {
+            if (this.cardPreview.src !== this.image.src) {
+                this.cardPreview.src = this.image.src;
+            }
+            window.ImageFraming.apply(this.cardPreview, this.framing);
+        }
+    }
+
+    // Pointer position as fractions of the displayed image
+    getPoint(e) {
+        const rect = this.image.getBoundingClientRect();
+        return {
+            x: this.clamp((e.clientX - rect.left) / rect.width, 0, 1),
+            y: this.clamp((e.clientY - rect.top) / rect.height, 0, 1)
+        };
+    }
+
+    handlePointerDown(e) {
+        if (!this.framing || !this.image) return;
+
+        e.preventDefault();
+        const point = this.getPoint(e);
+
+        if (this.framing.mode === 'focus') {
+            this.drag = { type: 'focus' };
+            this.moveFocus(point);
+        } else if (e.target.classList.contains('framing-handle')) {
+            this.drag = { type: 'resize' };
+        } else {
+            const { x, y, w, h } = this.framing;
+            const inside = point.x >= x && point.x <= x + w && point.y >= y && point.y <= y + h;
+
+            // Clicking outside the rectangle recentres it on the pointer
+            this.drag = inside
+                ? { type: 'move', offsetX: point.x - x, offsetY: point.y - y }
+                : { type: 'move', offsetX: w / 2, offsetY: h / 2 };
+            this.moveCrop(point);
+        }
+
+        this.stage.setPointerCapture(e.pointerId);
+    }
+
+    handlePointerMove(e) {
+        if (!this.drag) return;
+
+        const point = this.getPoint(e);
+        if (this.drag.type === 'focus') {
+            this.moveFocus(point);
+        } else if (this.drag.type === 'resize') {
+            this.resizeCrop(point);
+        } else {
+            this.moveCrop(point);
+        }
+    }
+
+    endDrag() {
+        this.drag = null;
+    }
+
+    moveFocus(point) {
+        this.framing = { mode: 'focus', x: point.x, y: point.y };
+        this.update();
+    }
+
+    moveCrop(point) {
+        const { w, h } = this.framing;
+        this.framing = {
+            mode: 'crop',
+            x: this.clamp(point.x - this.drag.offsetX, 0, 1 - w),
+            y: this.clamp(point.y - this.drag.offsetY, 0, 1 - h),
+            w,
+            h
+        };
+        this.update();
+    }
+
+    // Resizes from the bottom-right corner, keeping the 4:3 card ratio in pixels
+    resizeCrop(point) {
+        const { x, y } = this.framing;
+        const heightPerWidth = this.getAspectRatio() / window.ImageFraming.CARD_RATIO;
+
+        let w = this.clamp(point.x - x, ImageFramingEditor.MIN_CROP_WIDTH, 1 - x);
+        let h = w * heightPerWidth;
+        if (y + h > 1) {
+            h = 1 - y;
+            w = h / heightPerWidth;
+        }
+
+        this.framing = { mode: 'crop', x, y, w, h };
+        this.update();
+    }
+
+    clamp(value, min, max) {
+        return Math.min(max, Math.max(min, value));
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ImageFramingEditor;
+}
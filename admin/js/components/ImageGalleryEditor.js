@@ -0,0 +1,306 @@
+/**
+ * Image Gallery Editor Component
+ * Ordered list of entry images: each new file is compressed and uploaded on
+ * its own with a progress bar, and images can be reordered or removed. The
+ * first image is the cover used by cards.
+ */
+class ImageGalleryEditor {
+    static get MAX_IMAGES() {
+        return 10;
+    }
+
+    constructor(listId, inputId, options = {}) {
+        this.list = document.getElementById(listId);
+        this.input = document.getElementById(inputId);
+        this.onCoverChange = options.onCoverChange || null;
+        this.items = [];
+        this.nextKey = 1;
+        this.coverSignature = '';
+
+        if (!this.list) {
+            console.error(`Image list with id "${listId}" not found`);
+            return;
+        }
+
+        this.init();
+    }
+
+    init() {
+        if (this.input) {
+            this.input.addEventListener('change', () => {
+                this.addFiles(this.input.files);
+                // Clear so choosing the same file again still fires change
+                this.input.value = '';
+            });
+        }
+
+        this.list.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            const itemEl = e.target.closest('.image-item');
+            if (!button || !itemEl) return;
+
+            const key = parseInt(itemEl.dataset.key, 10);
+            const actions = {
+                earlier: () => this.move(key, -1),
+                later: () => this.move(key, 1),
+                retry: () => this.retry(key),
+                remove: () => this.remove(key)
+            };
+            if (actions[button.dataset.action]) {
+                actions[button.dataset.action]();
+            }
+        });
+    }
+
+    // Saved images as returned by the API: [{ fileId, url }]
+    setImages(images) {
+        this.clear({ discard: false });
+        this.items = (images || []).map(image => ({
+            key: this.nextKey++,
+            fileId: image.fileId,
+            url: image.url,
+            status: 'done',
+            isNew: false
+        }));
+        this.render();
+    }
+
+    addFiles(fileList) {
+        const files = Array.from(fileList || []);
+        const room = ImageGalleryEditor.MAX_IMAGES - this.items.length;
+
+        if (files.length > room) {
+            window.showToast(`An entry can have at most ${ImageGalleryEditor.MAX_IMAGES} images`, 'warning');
+        }
+
+        files.slice(0, Math.max(0, room)).forEach(file => this.addFile(file));
+    }
+
+    async addFile(file) {
+        // Originals may exceed the upload limit since they are compressed first
+        const settings = window.ImageProcessor.getSettings();
+        const validation = window.Validators.validateImageFile(file, settings.maxInputMB);
+        if (!validation.valid) {
+            window.showToast(validation.message, 'error');
+            return;
+        }
+
+        const item = { key: this.nextKey++, status: 'processing', progress: 0, isNew: true };
+        this.items.push(item);
+        this.render();
+
+        try {
+            const result = await window.ImageProcessor.process(file);
+            const sizeResult = window.Validators.validateImageFile(result.file);
+            if (!sizeResult.valid) {
+                throw new Error(`${sizeResult.message} after compression`);
+            }
+
+            // Removed while it was being processed
+            if (!this.items.includes(item)) return;
+
+            item.file = result.file;
+            item.url = URL.createObjectURL(result.file);
+            item.sizeInfo = window.ImageProcessor.describe(result);
+            this.upload(item);
+        } catch (error) {
+            window.showToast(error.message || 'Could not process the selected image', 'error');
+            this.items = this.items.filter(current => current !== item);
+            this.render();
+        }
+    }
+
+    async upload(item) {
+        const controller = new AbortController();
+        Object.assign(item, { status: 'uploading', progress: 0, error: '', controller });
+        this.render();
+
+        try {
+            const response = await window.adminAPI.uploadFile(
+                item.file,
+                (percent) => this.updateProgress(item, percent),
+                controller.signal
+            );
+            item.fileId = response.data.fileId;
+            item.status = 'done';
+        } catch (error) {
+            // Cancelled because the image was removed. A file the server stored
+            // anyway has no id here to discard; the stale upload sweep deletes it.
+            if (error.name === 'AbortError') return;
+
+            item.status = 'error';
+            item.error = window.adminAPI.handleError(error, 'Upload failed');
+        } finally {
+            item.controller = null;
+        }
+
+        this.render();
+    }
+
+    retry(key) {
+        const item = this.find(key);
+        if (item && item.status === 'error' && item.file) {
+            this.upload(item);
+        }
+    }
+
+    move(key, offset) {
+        const index = this.items.findIndex(item => item.key === key);
+        const target = index + offset;
+        if (index === -1 || target < 0 || target >= this.items.length) return;
+
+        const [item] = this.items.splice(index, 1);
+        this.items.splice(target, 0, item);
+        this.render();
+
+        const button = this.list.querySelector(`.image-item[data-key="${key}"] [data-action="${offset < 0 ? 'earlier' : 'later'}"]`);
+        if (button && !button.disabled) {
+            button.focus();
+        }
+    }
+
+    remove(key) {
+        const item = this.find(key);
+        if (!item) return;
+
+        this.items = this.items.filter(current => current !== item);
+        this.release([item], true);
+        this.render();
+    }
+
+    // discard: delete uploads that were never saved to an entry
+    clear({ discard = true } = {}) {
+        const items = this.items;
+        this.items = [];
+        this.release(items, discard);
+        this.render();
+    }
+
+    // Called once the entry is saved, so its new uploads are no longer discarded
+    markSaved() {
+        this.items.forEach(item => {
+            item.isNew = false;
+        });
+    }
+
+    release(items, discard) {
+        const discardIds = [];
+
+        items.forEach(item => {
+            if (item.controller) {
+                item.controller.abort();
+            }
+            if (item.file && item.url) {
+                URL.revokeObjectURL(item.url);
+            }
+            if (discard && item.isNew && item.fileId) {
+                discardIds.push(item.fileId);
+            }
+        });
+
+        if (discardIds.length > 0) {
+            window.adminAPI.discardFiles(discardIds).catch(error => {
+                console.warn('Could not discard unsaved uploads:', error);
+            });
+        }
+    }
+
+    find(key) {
+        return this.items.find(item => item.key === key) || null;
+    }
+
+    getFileIds() {
+        return this.items.filter(item => item.status === 'done').map(item => item.fileId);
+    }
+
+    isBusy() {
+        return this.items.some(item => item.status === 'processing' || item.status === 'uploading');
+    }
+
+    hasErrors() {
+        return this.items.some(item => item.status === 'error');
+    }
+
+    updateProgress(item, percent) {
+        item.progress = Math.min(100, Math.round(percent));
+
+        const itemEl = this.list.querySelector(`.image-item[data-key="${item.key}"]`);
+        if (!itemEl) return;
+
+        const fill = itemEl.querySelector('.progress-fill');
+        const status = itemEl.querySelector('.image-item-status');
+        if (fill) fill.style.width = `${item.progress}%`;
+        if (status) status.textContent = this.getStatusText(item);
+    }
+
+    getStatusText(item) {
+        switch (item.status) {
+            case 'processing':
+                return 'Compressing...';
+            case 'uploading':
+                return window.adminAPI.supportsUploadProgress() && item.progress < 100
+                    ? `Uploading... ${item.progress}%`
+                    : 'Uploading...';
+            case 'error':
+                return item.error || 'Upload failed';
+            default:
+                return item.sizeInfo || '';
+        }
+    }
+
+    render() {
+        if (!this.list) return;
+
+        this.list.innerHTML = '';
+        this.list.classList.toggle('hidden', this.items.length === 0);
+
+        this.items.forEach((item, index) => {
+            const li = document.createElement('li');
+            li.className = `image-item ${item.status}`;
+            li.dataset.key = item.key;
+
+            const isLast = index === this.items.length - 1;
+            const indeterminate = item.status === 'uploading' && !window.adminAPI.supportsUploadProgress();
+
+            li.innerHTML = `
+                <div class="image-item-thumb">
+                    ${item.url ? `<img src="${item.url}" alt="Image ${index + 1}">` : ''}
+                    ${index === 0 ? '<span class="image-item-badge">Cover</span>' : ''}
+                </div>
+                ${item.status === 'uploading' ? `
+                    <div class="progress-bar ${indeterminate ? 'indeterminate' : ''}">
+                        <div class="progress-fill" style="width: ${indeterminate ? 100 : item.progress}%"></div>
+                    </div>
+                ` : ''}
+                <p class="image-item-status" ${item.status === 'error' ? 'role="alert"' : ''}></p>
+                <div class="image-item-actions">
+                    <button type="button" data-action="earlier" aria-label="Move image earlier" ${index === 0 ? 'disabled' : ''}>&larr;</button>
+                    <button type="button" data-action="later" aria-label="Move image later" ${isLast ? 'disabled' : ''}>&rarr;</button>
+                    ${item.status === 'error' ? '<button type="button" data-action="retry">Retry</button>' : ''}
+                    <button type="button" data-action="remove" aria-label="Remove image">&times;</button>
+                </div>
+            `;
+            li.querySelector('.image-item-status').textContent = this.getStatusText(item);
+
+            this.list.appendChild(li);
+        });
+
+        this.notifyCoverChange();
+    }
+
+    notifyCoverChange() {
+        const cover = this.items[0] && this.items[0].url ? this.items[0] : null;
+        const signature = cover ? `${cover.key}:${cover.url}` : '';
+        if (signature === this.coverSignature) return;
+
+        this.coverSignature = signature;
+        if (this.onCoverChange) {
+            this.onCoverChange(cover ? { url: cover.url } : null);
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ImageGalleryEditor;
+}
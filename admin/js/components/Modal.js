@@ -31,9 +31,9 @@ class AdminModal {
             }
         });
 
-        // Close on Escape key
+        // Close on Escape key; only the top modal when they are stacked
         document.addEventListener('keydown', (e) => {
-            if (e.key === 'Escape' && this.isOpen) {
+            if (e.key === 'Escape' && this.isOpen && this.isTopmost()) {
                 this.close();
             }
         });
@@ -90,6 +90,11 @@ class AdminModal {
         document.dispatchEvent(event);
     }
 
+    isTopmost() {
+        const openModals = document.querySelectorAll('.modal:not(.hidden)');
+        return openModals[openModals.length - 1] === this.element;
+    }
+
     toggle() {
         if (this.isOpen) {
             this.close();
@@ -142,8 +147,24 @@ class EditEntryModal extends AdminModal {
         super('editEntryModal');
         this.form = document.getElementById('editEntryForm');
         this.currentData = null;
+        this.pendingFormData = null;
+        this.uploadController = null;
+        this.framingEditor = new ImageFramingEditor('editImagePreview');
+        this.images = new ImageGalleryEditor('editImageList', 'editWebImage', {
+            onCoverChange: (cover) => this.showCoverPreview(cover)
+        });
+        this.dropZone = new ImageDropZone('editImageDropZone', 'editWebImage', {
+            isActive: () => this.isOpen
+        });
+        this.progress = new UploadProgress('editUploadProgress', {
+            onCancel: () => this.cancelUpload(),
+            onRetry: () => this.submitUpdate()
+        });
+        this.historyList = document.getElementById('entryHistoryList');
+        this.revisions = [];
         
         this.initForm();
+        this.initHistory();
     }
 
     initForm() {
@@ -154,29 +175,168 @@ class EditEntryModal extends AdminModal {
             await this.handleSubmit();
         });
 
-        // Image preview
-        const imageInput = document.getElementById('editWebImage');
-        if (imageInput) {
-            imageInput.addEventListener('change', (e) => this.handleImageChange(e));
-        }
+    }
 
-        // Remove image button
-        const removeImageBtn = document.getElementById('removeEditImage');
-        if (removeImageBtn) {
-            removeImageBtn.addEventListener('click', () => this.removeImage());
-        }
+    initHistory() {
+        if (!this.element || !this.historyList) return;
+
+        this.element.querySelectorAll('.modal-tab').forEach(tab => {
+            tab.addEventListener('click', () => this.showTab(tab.dataset.tab));
+        });
+
+        this.historyList.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action="restore"]');
+            if (!button) return;
+
+            this.restoreRevision(button.closest('.history-item').dataset.revision, button);
+        });
     }
 
     async openWithData(data) {
         this.currentData = data;
         this.populateForm(data);
+        this.showTab('details');
         this.open();
     }
 
+    showTab(name) {
+        this.element.querySelectorAll('.modal-tab').forEach(tab => {
+            const active = tab.dataset.tab === name;
+            tab.classList.toggle('active', active);
+            tab.setAttribute('aria-selected', String(active));
+        });
+        this.element.querySelectorAll('[data-tab-panel]').forEach(panel => {
+            panel.classList.toggle('hidden', panel.dataset.tabPanel !== name);
+        });
+
+        if (name === 'history') {
+            this.loadHistory();
+        }
+    }
+
+    async loadHistory() {
+        this.historyList.innerHTML = '<p class="storage-empty">Loading history...</p>';
+
+        try {
+            const response = await window.adminAPI.getEntryHistory(this.currentData.id);
+            if (!response.success || !response.data) {
+                throw new Error(response.message || 'Failed to load history');
+            }
+
+            this.revisions = response.data.revisions;
+            this.renderHistory(response.data.current);
+        } catch (error) {
+            this.historyList.innerHTML = '';
+            window.showToast(window.adminAPI.handleError(error, 'Failed to load history'), 'error');
+        }
+    }
+
+    // Each version is compared with the entry as it is now, i.e. what restoring it would change
+    renderHistory(current) {
+        this.historyList.innerHTML = '';
+
+        if (this.revisions.length === 0) {
+            this.historyList.innerHTML = '<p class="storage-empty">This entry has not been changed since it was created.</p>';
+            return;
+        }
+
+        this.revisions.forEach(revision => {
+            const changes = this.getRevisionChanges(revision.entry, current);
+
+            const item = document.createElement('div');
+            item.className = 'category-item history-item';
+            item.dataset.revision = revision.revision;
+            item.innerHTML = `
+                <div class="category-info">
+                    <span class="category-name"></span>
+                    <span class="category-date"></span>
+                </div>
+                <div class="category-actions">
+                    <button type="button" class="btn btn-secondary btn-sm" data-action="restore" ${changes.length === 0 ? 'disabled title="Same as the current version"' : ''}>Restore</button>
+                </div>
+            `;
+            item.querySelector('.category-name').textContent = `Saved ${revision.entry.date} ${revision.entry.time}`;
+            item.querySelector('.category-date').textContent =
+                `Replaced by ${revision.replacedBy} · ${revision.replacedAt.date} ${revision.replacedAt.time}`;
+
+            if (changes.length > 0) {
+                const details = document.createElement('details');
+                details.className = 'audit-changes';
+                details.innerHTML = '<summary></summary><dl></dl>';
+                details.querySelector('summary').textContent =
+                    `${changes.length} field${changes.length === 1 ? '' : 's'} differ${changes.length === 1 ? 's' : ''} from the current version`;
+
+                const list = details.querySelector('dl');
+                changes.forEach(change => {
+                    const term = document.createElement('dt');
+                    const value = document.createElement('dd');
+                    term.textContent = change.label;
+                    value.textContent = `${change.before || '(empty)'} → ${change.after || '(empty)'}`;
+                    list.appendChild(term);
+                    list.appendChild(value);
+                });
+                item.querySelector('.category-info').appendChild(details);
+            }
+
+            this.historyList.appendChild(item);
+        });
+    }
+
+    // Fields where the kept version differs from the current one, as current → kept
+    getRevisionChanges(entry, current) {
+        const kept = this.toConflictValues(entry);
+        const now = this.toConflictValues(current);
+
+        return [
+            { key: 'name', label: 'Web Name' },
+            { key: 'category', label: 'Category' },
+            { key: 'url', label: 'URL' },
+            { key: 'description', label: 'Description' },
+            { key: 'images', label: 'Images', format: (value) => this.describeImages(value) }
+        ]
+            .filter(field => kept[field.key] !== now[field.key])
+            .map(field => {
+                const format = field.format || (value => value);
+                let before = format(now[field.key]);
+                let after = format(kept[field.key]);
+                // Same count and framing but different files
+                if (field.key === 'images' && before === after) {
+                    before += ' (other files)';
+                }
+                return { label: field.label, before, after };
+            });
+    }
+
+    async restoreRevision(target, button) {
+        button.disabled = true;
+
+        try {
+            const response = await window.adminAPI.revertEntry(this.currentData.id, this.currentData.revision, target);
+            if (!response.success) {
+                throw new Error(response.message || 'Failed to restore version');
+            }
+
+            window.showToast('Version restored', 'success');
+            this.close();
+            window.adminApp.refreshCurrentView();
+        } catch (error) {
+            if (error.name === 'ConflictError' && error.current) {
+                // Compare against what was saved meanwhile before restoring anything
+                window.showToast('Someone else changed this entry. Check the history again before restoring.', 'warning');
+                this.currentData = error.current;
+                this.populateForm(error.current);
+                await this.loadHistory();
+                return;
+            }
+            window.showToast(window.adminAPI.handleError(error, 'Failed to restore version'), 'error');
+            button.disabled = false;
+        }
+    }
+
     populateForm(data) {
         const fields = {
-            'editSheetName': data.sheetName,
-            'editRowSerial': data.serial,
+            'editEntryId': data.id,
+            'editRevision': data.revision,
             'editWebName': data.name,
             'editWebCategory': data.category,
             'editWebUrl': data.url,
@@ -190,10 +350,10 @@ class EditEntryModal extends AdminModal {
             }
         });
 
-        // Show current image if exists
-        if (data.image) {
-            this.showImagePreview(data.image);
-        }
+        // Show current images; entries saved before galleries only have a cover
+        const images = data.images || (data.image ? [{ fileId: data.imageFileId, url: data.image }] : []);
+        this.images.setImages(images);
+        this.framingEditor.setFraming(data.imageFraming);
     }
 
     async handleSubmit() {
@@ -201,19 +361,25 @@ class EditEntryModal extends AdminModal {
 
         const formData = new FormData(this.form);
         const data = {
-            sheetName: formData.get('sheetName'),
-            rowSerial: formData.get('rowSerial'),
+            id: formData.get('id'),
+            revision: formData.get('revision'),
             name: formData.get('name'),
             category: formData.get('category'),
             url: formData.get('url'),
-            description: formData.get('description')
+            description: formData.get('description'),
+            imageFraming: formData.get('imageFraming') || ''
         };
 
-        // Add image file if selected
-        const imageFile = formData.get('image');
-        if (imageFile && imageFile.size > 0) {
-            data.imageFile = imageFile;
+        // Images upload on their own as soon as they are added
+        if (this.images.isBusy()) {
+            window.showToast('Please wait for the images to finish uploading', 'warning');
+            return;
+        }
+        if (this.images.hasErrors()) {
+            window.showToast('Retry or remove the images that failed to upload', 'error');
+            return;
         }
+        data.images = JSON.stringify(this.images.getFileIds());
 
         // Validate form
         const validation = window.Validators.validateEntryForm(data);
@@ -222,39 +388,35 @@ class EditEntryModal extends AdminModal {
             return;
         }
 
-        try {
-            // Show progress
-            this.showUploadProgress(true);
-            
-            // Create form data for API
-            const apiFormData = new FormData();
-            Object.entries(data).forEach(([key, value]) => {
-                if (key !== 'imageFile') {
-                    apiFormData.append(key, value);
-                }
-            });
-            
-            if (data.imageFile) {
-                apiFormData.append('image', data.imageFile);
-                
-                // Simulate upload progress
-                this.simulateUploadProgress(() => {
-                    this.completeUpdate(apiFormData);
-                });
-            } else {
-                this.completeUpdate(apiFormData);
-            }
-        } catch (error) {
-            this.showUploadProgress(false);
-            window.showToast(window.adminAPI.handleError(error, 'Failed to update entry'), 'error');
-        }
+        // Create form data for API
+        const apiFormData = new FormData();
+        Object.entries(data).forEach(([key, value]) => {
+            apiFormData.append(key, value);
+        });
+
+        // Kept so Retry can resend the already-validated data
+        this.pendingFormData = apiFormData;
+        await this.submitUpdate();
     }
 
-    async completeUpdate(formData) {
+    async submitUpdate() {
+        if (!this.pendingFormData || this.uploadController) return;
+
+        const controller = new AbortController();
+        const submitBtn = this.form.querySelector('button[type="submit"]');
+        this.uploadController = controller;
+        if (submitBtn) submitBtn.disabled = true;
+        this.progress.start(!window.adminAPI.supportsUploadProgress());
+
         try {
-            const response = await window.adminAPI.updateEntry(formData);
+            const response = await window.adminAPI.updateEntry(this.pendingFormData, {
+                onProgress: (percent) => this.progress.setProgress(percent),
+                signal: controller.signal
+            });
             
             if (response.success) {
+                this.uploadController = null;
+                this.images.markSaved();
                 window.showToast('Entry updated successfully!', 'success');
                 this.close();
                 window.adminApp.refreshCurrentView();
@@ -262,80 +424,127 @@ class EditEntryModal extends AdminModal {
                 throw new Error(response.message || 'Failed to update entry');
             }
         } catch (error) {
-            window.showToast(window.adminAPI.handleError(error, 'Failed to update entry'), 'error');
+            if (error.name === 'AbortError') {
+                this.progress.hide();
+                window.showToast(error.requestSent
+                    ? 'Cancelled, but the changes may already have been saved. Refresh to check.'
+                    : 'Upload cancelled', 'warning');
+            } else if (error.name === 'ConflictError' && error.current) {
+                this.progress.hide();
+                this.handleConflict(error.current);
+            } else {
+                const message = window.adminAPI.handleError(error, 'Failed to update entry');
+                this.progress.fail(message);
+                window.showToast(message, 'error');
+            }
         } finally {
-            this.showUploadProgress(false);
+            this.uploadController = null;
+            if (submitBtn) submitBtn.disabled = false;
+        }
+    }
+
+    cancelUpload() {
+        if (this.uploadController) {
+            this.uploadController.abort();
         }
     }
 
-    handleImageChange(e) {
-        const file = e.target.files[0];
-        if (file) {
-            const validation = window.Validators.validateImageFile(file);
-            if (!validation.valid) {
-                window.showToast(validation.message, 'error');
-                e.target.value = '';
+    // The entry was saved by someone else since it was opened
+    handleConflict(current) {
+        const mine = this.toConflictValues(this.pendingFormData);
+        const base = this.toConflictValues(this.currentData);
+        const theirs = this.toConflictValues(current);
+
+        const fields = [
+            { key: 'name', label: 'Web Name' },
+            { key: 'category', label: 'Category' },
+            { key: 'url', label: 'URL' },
+            { key: 'description', label: 'Description' },
+            { key: 'images', label: 'Images', format: (value) => this.describeImages(value) }
+        ].map(field => ({ ...field, mine: mine[field.key], base: base[field.key], theirs: theirs[field.key] }));
+
+        window.adminModalManager.getModal('conflict').openWithConflict(fields, (action, values) => {
+            if (action === 'discard') {
+                this.close();
+                window.adminApp.refreshCurrentView();
                 return;
             }
-            
-            const reader = new FileReader();
-            reader.onload = (e) => {
-                this.showImagePreview(e.target.result);
-            };
-            reader.readAsDataURL(file);
-        }
+
+            // Save the chosen values on top of the current revision
+            this.currentData = current;
+            document.getElementById('editRevision').value = current.revision;
+            document.getElementById('editWebName').value = values.name;
+            document.getElementById('editWebCategory').value = values.category;
+            document.getElementById('editWebUrl').value = values.url;
+            document.getElementById('editWebDescription').value = values.description;
+
+            if (values.images !== mine.images) {
+                // Unsaved uploads are dropped along with the rest of this version's images
+                this.images.clear();
+                this.images.setImages(current.images);
+                this.framingEditor.setFraming(current.imageFraming);
+            }
+
+            this.handleSubmit();
+        });
     }
 
-    showImagePreview(imageSrc) {
-        const preview = document.getElementById('editImagePreview');
-        const previewImg = preview.querySelector('.preview-img');
-        
-        if (preview && previewImg) {
-            previewImg.src = imageSrc;
-            preview.classList.remove('hidden');
+    // Comparable values from the submitted form data or from an entry
+    toConflictValues(source) {
+        if (source instanceof FormData) {
+            return {
+                name: source.get('name'),
+                category: source.get('category'),
+                url: source.get('url'),
+                description: source.get('description'),
+                images: JSON.stringify({
+                    fileIds: JSON.parse(source.get('images') || '[]'),
+                    framing: window.ImageFraming.serialize(source.get('imageFraming'))
+                })
+            };
         }
+
+        return {
+            name: source.name,
+            category: source.category,
+            url: source.url,
+            description: source.description,
+            images: JSON.stringify({
+                fileIds: (source.images || []).map(image => image.fileId),
+                framing: window.ImageFraming.serialize(source.imageFraming)
+            })
+        };
     }
 
-    removeImage() {
-        const preview = document.getElementById('editImagePreview');
-        const imageInput = document.getElementById('editWebImage');
-        
-        if (preview) {
-            preview.classList.add('hidden');
-        }
-        
-        if (imageInput) {
-            imageInput.value = '';
-        }
+    describeImages(value) {
+        const { fileIds, framing } = JSON.parse(value);
+        if (fileIds.length === 0) return 'No images';
+
+        const count = `${fileIds.length} image${fileIds.length === 1 ? '' : 's'}`;
+        const mode = window.ImageFraming.parse(framing);
+        return mode ? `${count}, cover ${mode.mode === 'crop' ? 'cropped' : 'with focal point'}` : count;
     }
 
-    showUploadProgress(show) {
-        const progressContainer = document.getElementById('editUploadProgress');
-        if (progressContainer) {
-            progressContainer.classList.toggle('hidden', !show);
-        }
+    close() {
+        // Closing the modal abandons the edit, including any upload in flight
+        this.cancelUpload();
+        this.pendingFormData = null;
+        this.progress.hide();
+        this.images.clear();
+        super.close();
     }
 
-    simulateUploadProgress(callback) {
-        const progressFill = document.getElementById('editProgressFill');
-        const progressText = document.getElementById('editProgressText');
+    // Shows the cover image in the framing editor; a new cover starts unframed
+    showCoverPreview(cover) {
+        const preview = document.getElementById('editImagePreview');
+        const previewImg = preview ? preview.querySelector('.preview-img') : null;
         
-        let progress = 0;
-        const interval = setInterval(() => {
-            progress += Math.random() * 15;
-            if (progress >= 90) {
-                progress = 90;
-                clearInterval(interval);
-                setTimeout(callback, 200);
-            }
-            
-            if (progressFill) {
-                progressFill.style.width = `${progress}%`;
-            }
-            if (progressText) {
-                progressText.textContent = `Uploading... ${Math.round(progress)}%`;
-            }
-        }, 100);
+        if (preview && previewImg) {
+            previewImg.src = cover ? cover.url : '';
+            preview.classList.toggle('hidden', !cover);
+        }
+
+        this.framingEditor.reset();
     }
 }
 
@@ -371,6 +580,393 @@ class DeleteModal extends AdminModal {
     }
 }
 
+// Category Edit Modal
+// Renames a category and edits its details. The new name is validated against
+// the rules and the other categories, and the form shows how many entries a
+// rename touches.
+class CategoryEditModal extends AdminModal {
+    constructor() {
+        super('categoryEditModal');
+        this.form = document.getElementById('categoryEditForm');
+        this.nameInput = document.getElementById('categoryEditName');
+        this.summary = document.getElementById('categoryEditSummary');
+        this.fields = new CategoryFields('categoryEditFields', this.nameInput);
+        this.category = null;
+        this.categories = [];
+        this.saveCallback = null;
+
+        this.initForm();
+    }
+
+    initForm() {
+        if (!this.form) return;
+
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleSubmit();
+        });
+    }
+
+    // categories: every category, for the duplicate check; callback receives
+    // { name, description, color, icon, hidden }
+    openForCategory(category, entryCount, categories, callback) {
+        this.category = category;
+        this.categories = categories;
+        this.saveCallback = callback;
+
+        window.Validators.clearFieldErrors(this.form);
+        this.nameInput.value = category.name;
+        this.fields.setValues(category);
+        this.summary.textContent = entryCount === 0
+            ? `"${category.name}" has no entries.`
+            : `${entryCount} entr${entryCount === 1 ? 'y' : 'ies'} in "${category.name}" will show a new name.`;
+
+        this.open();
+        this.nameInput.select();
+    }
+
+    handleSubmit() {
+        const values = Object.assign({ name: this.nameInput.value.trim() }, this.fields.getValues());
+        const unchanged = Object.keys(values).every(key =>
+            values[key] === (key === 'hidden' ? !!this.category[key] : this.category[key] || '')
+        );
+        if (unchanged) {
+            this.close();
+            return;
+        }
+
+        const validation = window.Validators.validateCategoryForm(values);
+        const errors = validation.errors;
+
+        // Only a change of case may match this category's own name
+        const lowerName = values.name.toLowerCase();
+        const taken = this.categories.some(category =>
+            category.name !== this.category.name && category.name.toLowerCase() === lowerName
+        );
+        if (validation.valid && taken) {
+            errors.push({ field: 'name', message: `Category "${values.name}" already exists` });
+        }
+
+        if (errors.length > 0) {
+            window.Validators.showFieldErrors(errors, this.form);
+            return;
+        }
+
+        const callback = this.saveCallback;
+        this.close();
+        if (callback) {
+            callback(values);
+        }
+    }
+}
+
+// Category Delete Modal
+// Shows how many entries the category holds and lets the admin move them to
+// another category, or delete them with it after typing its name
+class CategoryDeleteModal extends AdminModal {
+    constructor() {
+        super('categoryDeleteModal');
+        this.summary = document.getElementById('categoryDeleteSummary');
+        this.choices = document.getElementById('categoryDeleteChoices');
+        this.targetSelect = document.getElementById('categoryDeleteTarget');
+        this.confirmLabel = document.getElementById('categoryDeleteConfirmLabel');
+        this.confirmInput = document.getElementById('categoryDeleteConfirm');
+        this.confirmBtn = document.getElementById('confirmCategoryDelete');
+        this.name = '';
+        this.entryCount = 0;
+        this.deleteCallback = null;
+
+        this.initActions();
+    }
+
+    initActions() {
+        if (!this.element) return;
+
+        this.choices.addEventListener('change', () => this.updateState());
+
+        // Picking a category or typing the name also picks that option
+        this.targetSelect.addEventListener('change', () => this.setMode('move'));
+        this.confirmInput.addEventListener('input', () => this.setMode('delete'));
+
+        this.confirmBtn.addEventListener('click', () => {
+            const options = this.getOptions();
+            if (!options) return;
+
+            const callback = this.deleteCallback;
+            this.close();
+            if (callback) {
+                callback(options);
+            }
+        });
+    }
+
+    // categories: every category, including the one being deleted;
+    // callback receives { moveTo } or { confirmName } for the API
+    openForCategory(name, entryCount, categories, callback) {
+        this.name = name;
+        this.entryCount = entryCount;
+        this.deleteCallback = callback;
+
+        const count = `${entryCount} entr${entryCount === 1 ? 'y' : 'ies'}`;
+        this.summary.textContent = entryCount === 0
+            ? `"${name}" has no entries. It will be moved to the Trash.`
+            : `"${name}" holds ${count}. What should happen to them?`;
+        this.confirmLabel.textContent = `Move the ${count} to the Trash with the category. Type "${name}" to confirm:`;
+        this.choices.classList.toggle('hidden', entryCount === 0);
+
+        while (this.targetSelect.children.length > 1) {
+            this.targetSelect.removeChild(this.targetSelect.lastChild);
+        }
+        const targets = categories.filter(category => category.name !== name);
+        targets.forEach(category => {
+            const option = document.createElement('option');
+            option.value = category.name;
+            option.textContent = category.name;
+            this.targetSelect.appendChild(option);
+        });
+        this.targetSelect.value = '';
+        this.confirmInput.value = '';
+
+        const moveInput = this.choices.querySelector('input[value="move"]');
+        moveInput.disabled = targets.length === 0;
+        this.targetSelect.disabled = targets.length === 0;
+        this.setMode(targets.length > 0 ? 'move' : 'delete');
+
+        this.open();
+    }
+
+    setMode(mode) {
+        this.choices.querySelector(`input[value="${mode}"]`).checked = true;
+        this.updateState();
+    }
+
+    getMode() {
+        const checked = this.choices.querySelector('input[name="categoryDeleteMode"]:checked');
+        return checked ? checked.value : '';
+    }
+
+    // null until the chosen option is complete
+    getOptions() {
+        if (this.entryCount === 0) return {};
+
+        if (this.getMode() === 'move') {
+            return this.targetSelect.value ? { moveTo: this.targetSelect.value } : null;
+        }
+        return this.confirmInput.value.trim() === this.name ? { confirmName: this.name } : null;
+    }
+
+    updateState() {
+        const moving = this.entryCount > 0 && this.getMode() === 'move';
+        this.confirmBtn.disabled = !this.getOptions();
+        this.confirmBtn.textContent = moving ? 'Move Entries and Delete' : 'Delete Category';
+    }
+}
+
+// Category Merge Modal
+// Picks two or more categories and the one whose name survives
+class CategoryMergeModal extends AdminModal {
+    constructor() {
+        super('categoryMergeModal');
+        this.list = document.getElementById('categoryMergeList');
+        this.targetSelect = document.getElementById('categoryMergeTarget');
+        this.summary = document.getElementById('categoryMergeSummary');
+        this.confirmBtn = document.getElementById('confirmCategoryMerge');
+        this.publishField = document.getElementById('categoryMergePublishField');
+        this.publishCheckbox = document.getElementById('categoryMergePublish');
+        this.categories = [];
+        this.mergeCallback = null;
+
+        this.initActions();
+    }
+
+    initActions() {
+        if (!this.element) return;
+
+        this.list.addEventListener('change', () => this.updateTargets());
+        this.targetSelect.addEventListener('change', () => this.updateState());
+        this.publishCheckbox.addEventListener('change', () => this.updateState());
+
+        this.confirmBtn.addEventListener('click', () => {
+            const selected = this.getSelected();
+            const target = this.targetSelect.value;
+            const publishHidden = this.getHiddenSources().length > 0;
+            if (selected.length < 2 || !target || (publishHidden && !this.publishCheckbox.checked)) return;
+
+            const callback = this.mergeCallback;
+            this.close();
+            if (callback) {
+                callback({ categories: selected, target, publishHidden });
+            }
+        });
+    }
+
+    // callback receives { categories, target, publishHidden } for the API
+    openForCategories(categories, callback) {
+        this.mergeCallback = callback;
+        this.categories = categories;
+        this.publishCheckbox.checked = false;
+
+        this.list.innerHTML = '';
+        categories.forEach(category => {
+            const label = document.createElement('label');
+            label.className = 'category-delete-choice';
+            label.innerHTML = '<input type="checkbox"><span></span>';
+            label.querySelector('input').value = category.name;
+            label.querySelector('span').textContent = category.name;
+            this.list.appendChild(label);
+        });
+
+        this.updateTargets();
+        this.open();
+    }
+
+    getSelected() {
+        return Array.from(this.list.querySelectorAll('input:checked')).map(input => input.value);
+    }
+
+    // Only a chosen category can be kept; the choice survives while it stays chosen
+    updateTargets() {
+        const selected = this.getSelected();
+        const current = this.targetSelect.value;
+
+        while (this.targetSelect.children.length > 1) {
+            this.targetSelect.removeChild(this.targetSelect.lastChild);
+        }
+        selected.forEach(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name;
+            this.targetSelect.appendChild(option);
+        });
+        this.targetSelect.value = selected.indexOf(current) !== -1 ? current : (selected[0] || '');
+
+        this.updateState();
+    }
+
+    // Hidden categories merged into a public one, whose entries would become public
+    getHiddenSources() {
+        const target = this.targetSelect.value;
+        const isHidden = name => this.categories.some(category => category.name === name && category.hidden);
+        if (!target || isHidden(target)) return [];
+
+        return this.getSelected().filter(name => name !== target && isHidden(name));
+    }
+
+    updateState() {
+        const selected = this.getSelected();
+        const target = this.targetSelect.value;
+        const ready = selected.length >= 2 && target;
+
+        // Publishing hidden entries has to be confirmed on its own
+        const hiddenSources = ready ? this.getHiddenSources() : [];
+        this.publishField.classList.toggle('hidden', hiddenSources.length === 0);
+        this.publishField.querySelector('span').textContent = hiddenSources.length > 0
+            ? `Make the entries of ${hiddenSources.map(name => `"${name}"`).join(', ')} public in "${target}"`
+            : '';
+
+        this.confirmBtn.disabled = !ready || (hiddenSources.length > 0 && !this.publishCheckbox.checked);
+        this.summary.textContent = ready
+            ? `${selected.filter(name => name !== target).map(name => `"${name}"`).join(', ')} will be merged into "${target}" and deleted. Entries that look alike afterwards are flagged as possible duplicates.`
+            : 'Choose at least two categories.';
+    }
+}
+
+// Edit Conflict Modal
+// Shows the admin's values next to the server's for each field and lets them
+// overwrite, keep a per-field mix, or discard their edit
+class ConflictModal extends AdminModal {
+    constructor() {
+        super('conflictModal');
+        this.fieldsBody = document.getElementById('conflictFields');
+        this.fields = [];
+        this.resolveCallback = null;
+
+        this.initActions();
+    }
+
+    initActions() {
+        const actions = {
+            conflictOverwrite: 'overwrite',
+            conflictMerge: 'merge',
+            conflictDiscard: 'discard'
+        };
+
+        Object.entries(actions).forEach(([buttonId, action]) => {
+            const button = document.getElementById(buttonId);
+            if (button) {
+                button.addEventListener('click', () => this.resolve(action));
+            }
+        });
+    }
+
+    // fields: [{ key, label, mine, theirs, base, format? }]; callback(action, values)
+    openWithConflict(fields, callback) {
+        this.fields = fields;
+        this.resolveCallback = callback;
+        this.render();
+        this.open();
+    }
+
+    render() {
+        if (!this.fieldsBody) return;
+
+        this.fieldsBody.innerHTML = '';
+        this.fields.forEach(field => {
+            const format = field.format || ((value) => value);
+            const same = field.mine === field.theirs;
+            // Keep the admin's value only where they actually changed it
+            const keepMine = field.mine !== field.base;
+
+            const row = document.createElement('tr');
+            row.className = same ? 'conflict-same' : 'conflict-differs';
+            row.innerHTML = `
+                <th scope="row"></th>
+                <td><label><input type="radio" name="conflict-${field.key}" value="mine"><span></span></label></td>
+                <td><label><input type="radio" name="conflict-${field.key}" value="theirs"><span></span></label></td>
+            `;
+
+            row.querySelector('th').textContent = field.label;
+            const [mineLabel, theirsLabel] = row.querySelectorAll('label span');
+            mineLabel.textContent = format(field.mine) || '(empty)';
+            theirsLabel.textContent = format(field.theirs) || '(empty)';
+
+            row.querySelectorAll('input').forEach(input => {
+                input.disabled = same;
+                input.checked = input.value === (keepMine ? 'mine' : 'theirs');
+            });
+
+            this.fieldsBody.appendChild(row);
+        });
+    }
+
+    getMergedValues() {
+        const values = {};
+        this.fields.forEach(field => {
+            const choice = this.element.querySelector(`input[name="conflict-${field.key}"]:checked`);
+            values[field.key] = choice && choice.value === 'theirs' ? field.theirs : field.mine;
+        });
+        return values;
+    }
+
+    resolve(action) {
+        const callback = this.resolveCallback;
+        const values = action === 'merge'
+            ? this.getMergedValues()
+            : Object.fromEntries(this.fields.map(field => [field.key, field.mine]));
+
+        this.close();
+        if (callback) {
+            callback(action, values);
+        }
+    }
+
+    close() {
+        // Closing without a choice goes back to the form unchanged
+        this.resolveCallback = null;
+        super.close();
+    }
+}
+
 // Logout Confirmation Modal
 class LogoutModal extends AdminModal {
     constructor() {
@@ -388,10 +984,11 @@ class LogoutModal extends AdminModal {
         }
     }
 
-    async handleLogout() {
+    // Also ends sessions that ran out, with a message saying so
+    async handleLogout(message = 'Logged out successfully', type = 'success') {
         try {
             await window.adminAPI.logout();
-            window.showToast('Logged out successfully', 'success');
+            window.showToast(message, type);
             setTimeout(() => {
                 window.location.href = '../user/';
             }, 1000);
@@ -401,6 +998,216 @@ class LogoutModal extends AdminModal {
     }
 }
 
+// Session Warning Modal
+// Counts down to the end of an idle session; closing it without choosing
+// leaves the countdown running in the background
+class SessionWarningModal extends AdminModal {
+    constructor() {
+        super('sessionWarningModal');
+        this.countdown = document.getElementById('sessionCountdown');
+        this.stayBtn = document.getElementById('sessionStay');
+        this.expiresAt = null;
+        this.countdownTimer = null;
+
+        this.initActions();
+    }
+
+    initActions() {
+        if (this.stayBtn) {
+            this.stayBtn.addEventListener('click', () => this.stay());
+        }
+
+        const logoutBtn = document.getElementById('sessionLogout');
+        if (logoutBtn) {
+            logoutBtn.addEventListener('click', () => {
+                window.adminModalManager.getModal('logout').handleLogout();
+            });
+        }
+    }
+
+    openWithExpiry(expiresAt) {
+        this.expiresAt = expiresAt;
+        this.renderCountdown();
+        clearInterval(this.countdownTimer);
+        this.countdownTimer = setInterval(() => this.renderCountdown(), 1000);
+        this.open();
+    }
+
+    renderCountdown() {
+        const seconds = Math.max(0, Math.ceil((this.expiresAt - Date.now()) / 1000));
+        this.countdown.textContent = `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+    }
+
+    async stay() {
+        this.stayBtn.disabled = true;
+
+        try {
+            const response = await window.adminAPI.refreshSession();
+            if (!response.success) {
+                throw new Error(response.message || 'Failed to extend session');
+            }
+            this.close();
+        } catch (error) {
+            window.showToast(window.adminAPI.handleError(error, 'Failed to extend session'), 'error');
+        } finally {
+            this.stayBtn.disabled = false;
+        }
+    }
+
+    close() {
+        clearInterval(this.countdownTimer);
+        this.countdownTimer = null;
+        if (this.isOpen) {
+            window.adminAPI.dismissSessionWarning();
+        }
+        super.close();
+    }
+}
+
+// Session Expired Modal
+class ReLoginModal extends AdminModal {
+    constructor() {
+        super('reLoginModal');
+        this.form = document.getElementById('reLoginForm');
+        this.status = document.getElementById('reLoginStatus');
+        this.username = '';
+        // Issued by the password step when the account has two-factor authentication
+        this.challenge = null;
+        this.resolveSession = null;
+
+        this.initForm();
+    }
+
+    initForm() {
+        if (!this.form) return;
+
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleSubmit();
+        });
+
+        const signOutBtn = document.getElementById('reLoginSignOut');
+        if (signOutBtn) {
+            signOutBtn.addEventListener('click', () => {
+                window.location.href = '../user/';
+            });
+        }
+    }
+
+    // Resolves with the new session, or null if the modal is closed instead;
+    // only the signed-in user can continue, since the pending work is theirs
+    openForUser(username) {
+        return new Promise(resolve => {
+            this.resolveSession = resolve;
+            this.username = username;
+            this.reset();
+            this.setStep(false);
+            this.showStatus('');
+            document.getElementById('reLoginUsername').textContent = username;
+            this.open();
+        });
+    }
+
+    open() {
+        super.open();
+        // After the base class focuses the first control, which is the close button
+        setTimeout(() => this.focusStep(), 150);
+    }
+
+    async handleSubmit() {
+        const formData = new FormData(this.form);
+        const submitBtn = this.form.querySelector('button[type="submit"]');
+        submitBtn.disabled = true;
+
+        try {
+            const response = this.challenge
+                ? await window.adminAPI.verifyTwoFactor(this.challenge, formData.get('code'))
+                : await window.adminAPI.login({
+                    username: this.username,
+                    password: formData.get('password'),
+                    clientId: window.ApiTransport.getClientId(),
+                    userAgent: navigator.userAgent
+                });
+
+            if (response.success && response.data.twoFactorRequired) {
+                this.challenge = response.data.challenge;
+                this.setStep(true);
+                this.showStatus('');
+                this.focusStep();
+            } else if (response.success) {
+                window.adminAPI.setSession(response.data);
+                const resolve = this.resolveSession;
+                this.resolveSession = null;
+                this.close();
+                resolve(response.data);
+            } else {
+                this.handleFailure(response);
+            }
+        } catch (error) {
+            this.showStatus(window.adminAPI.handleError(error, 'Login failed'));
+        } finally {
+            submitBtn.disabled = false;
+        }
+    }
+
+    handleFailure(response) {
+        const data = response.data || {};
+
+        // An expired challenge, too many wrong codes or a lockout needs the password again
+        if (this.challenge && (response.code === 401 || response.code === 429)) {
+            this.challenge = null;
+            this.setStep(false);
+            this.focusStep();
+        }
+
+        if (data.attemptsRemaining !== undefined) {
+            const attempts = data.attemptsRemaining;
+            this.showStatus(`${response.message}. ${attempts} attempt${attempts === 1 ? '' : 's'} left before login is locked.`);
+        } else {
+            this.showStatus(response.message || 'Login failed');
+        }
+    }
+
+    // Inputs of the hidden step are disabled so their required attribute
+    // does not block submitting the visible one
+    setStep(twoFactor) {
+        const password = document.getElementById('reLoginPassword');
+        const code = document.getElementById('reLoginCode');
+
+        document.getElementById('reLoginCredentials').classList.toggle('hidden', twoFactor);
+        document.getElementById('reLoginTwoFactor').classList.toggle('hidden', !twoFactor);
+        password.disabled = twoFactor;
+        code.disabled = !twoFactor;
+        password.value = '';
+        code.value = '';
+    }
+
+    focusStep() {
+        const input = document.getElementById(this.challenge ? 'reLoginCode' : 'reLoginPassword');
+        if (input && this.isOpen) {
+            input.focus();
+        }
+    }
+
+    showStatus(message) {
+        if (!this.status) return;
+
+        this.status.textContent = message;
+        this.status.classList.toggle('hidden', !message);
+    }
+
+    close() {
+        // Closing without logging in fails the waiting requests; forms keep their data
+        const resolve = this.resolveSession;
+        this.resolveSession = null;
+        this.challenge = null;
+        super.close();
+        if (resolve) {
+            resolve(null);
+        }
+    }
+}
+
 // Modal Manager
 class AdminModalManager {
     constructor() {
@@ -412,7 +1219,13 @@ class AdminModalManager {
         // Initialize modals
         this.modals.set('editEntry', new EditEntryModal());
         this.modals.set('delete', new DeleteModal());
+        this.modals.set('categoryEdit', new CategoryEditModal());
+        this.modals.set('categoryDelete', new CategoryDeleteModal());
+        this.modals.set('categoryMerge', new CategoryMergeModal());
         this.modals.set('logout', new LogoutModal());
+        this.modals.set('conflict', new ConflictModal());
+        this.modals.set('sessionWarning', new SessionWarningModal());
+        this.modals.set('reLogin', new ReLoginModal());
     }
 
     getModal(name) {
@@ -443,5 +1256,5 @@ window.adminModalManager = new AdminModalManager();
 
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { AdminModal, EditEntryModal, DeleteModal, LogoutModal, AdminModalManager };
+    module.exports = { AdminModal, EditEntryModal, DeleteModal, CategoryEditModal, CategoryDeleteModal, CategoryMergeModal, ConflictModal, LogoutModal, AdminModalManager };
 }
\ No newline at end of file
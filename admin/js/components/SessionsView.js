@@ -0,0 +1,126 @@
+/**
+ * Sessions View Component
+ * Lists where the signed-in admin is logged in and ends sessions on other
+ * devices, e.g. after a token has leaked
+ */
+class SessionsView {
+    constructor(containerId) {
+        this.container = document.getElementById(containerId);
+        this.sessions = [];
+
+        if (!this.container) {
+            console.error(`Sessions view with id "${containerId}" not found`);
+            return;
+        }
+
+        this.list = this.container.querySelector('#sessionsTable');
+        this.revokeOthersBtn = this.container.querySelector('#revokeOtherSessionsBtn');
+
+        this.init();
+    }
+
+    init() {
+        this.revokeOthersBtn.addEventListener('click', () => this.revokeOthers());
+
+        this.list.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action="revoke"]');
+            if (!button) return;
+
+            this.revoke(button.closest('.session-item').dataset.id, button);
+        });
+    }
+
+    async load() {
+        try {
+            const response = await window.adminAPI.getSessions();
+            if (!response.success || !response.data) {
+                throw new Error(response.message || 'Failed to load sessions');
+            }
+
+            this.sessions = response.data;
+            this.render();
+        } catch (error) {
+            window.showToast(window.adminAPI.handleError(error, 'Failed to load sessions'), 'error');
+        }
+    }
+
+    async revoke(id, button) {
+        button.disabled = true;
+
+        try {
+            const response = await window.adminAPI.revokeSession(id);
+            if (!response.success) {
+                throw new Error(response.message || 'Failed to revoke session');
+            }
+            window.showToast('Session revoked', 'success');
+        } catch (error) {
+            window.showToast(window.adminAPI.handleError(error, 'Failed to revoke session'), 'error');
+        }
+        await this.load();
+    }
+
+    async revokeOthers() {
+        this.revokeOthersBtn.disabled = true;
+
+        try {
+            const response = await window.adminAPI.revokeOtherSessions();
+            if (!response.success) {
+                throw new Error(response.message || 'Failed to revoke sessions');
+            }
+            window.showToast(response.message, 'success');
+        } catch (error) {
+            window.showToast(window.adminAPI.handleError(error, 'Failed to revoke sessions'), 'error');
+        }
+        await this.load();
+    }
+
+    render() {
+        this.list.innerHTML = '';
+        this.revokeOthersBtn.disabled = !this.sessions.some(session => !session.current);
+
+        this.sessions.forEach(session => {
+            const item = document.createElement('div');
+            item.className = 'category-item session-item';
+            item.dataset.id = session.id;
+            item.innerHTML = `
+                <div class="category-info">
+                    <span class="category-name"></span>
+                    ${session.current ? '<span class="user-status current">This browser</span>' : ''}
+                    <span class="category-date"></span>
+                </div>
+                <div class="category-actions">
+                    ${session.current ? '' : '<button type="button" class="btn btn-danger btn-sm" data-action="revoke">Revoke</button>'}
+                </div>
+            `;
+            item.querySelector('.category-name').textContent = this.describeAgent(session.userAgent);
+            item.querySelector('.category-name').title = session.userAgent;
+            item.querySelector('.category-date').textContent =
+                `Signed in ${this.formatTime(session.createdAt)} · Last used ${this.formatTime(session.lastUsedAt)}`;
+
+            this.list.appendChild(item);
+        });
+    }
+
+    // Browser and system from the user agent; the full string is in the tooltip
+    describeAgent(userAgent) {
+        if (!userAgent) return 'Unknown browser';
+
+        const browsers = [['Edg/', 'Edge'], ['OPR/', 'Opera'], ['Firefox/', 'Firefox'], ['Chrome/', 'Chrome'], ['Safari/', 'Safari']];
+        const systems = [['Windows', 'Windows'], ['Android', 'Android'], ['iPhone', 'iOS'], ['iPad', 'iPadOS'], ['Mac OS X', 'macOS'], ['CrOS', 'ChromeOS'], ['Linux', 'Linux']];
+        const browser = browsers.find(([marker]) => userAgent.includes(marker));
+        const system = systems.find(([marker]) => userAgent.includes(marker));
+
+        if (!browser && !system) return userAgent;
+        return [browser ? browser[1] : 'Browser', system ? system[1] : ''].filter(Boolean).join(' on ');
+    }
+
+    formatTime(value) {
+        const date = new Date(value);
+        return isNaN(date) ? '' : date.toLocaleString('en-US', { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SessionsView;
+}
@@ -0,0 +1,253 @@
+/**
+ * Storage View Component
+ * Compares the Drive image folder with the images entries reference: orphaned
+ * files can be deleted in bulk, and dangling references can be re-linked to
+ * an orphan or removed from their entry
+ */
+class StorageView {
+    constructor(containerId, options = {}) {
+        this.container = document.getElementById(containerId);
+        this.confirm = options.confirm || ((message, callback) => callback());
+        this.report = null;
+        this.selected = new Set();
+        this.isLoading = false;
+
+        if (!this.container) {
+            console.error(`Storage view with id "${containerId}" not found`);
+            return;
+        }
+
+        this.orphanList = this.container.querySelector('#orphanList');
+        this.danglingList = this.container.querySelector('#danglingList');
+        this.selectAll = this.container.querySelector('#orphanSelectAll');
+        this.deleteBtn = this.container.querySelector('#deleteOrphansBtn');
+        this.removeAllBtn = this.container.querySelector('#removeDanglingBtn');
+
+        this.init();
+    }
+
+    init() {
+        this.orphanList.addEventListener('change', (e) => {
+            if (!e.target.matches('.orphan-select')) return;
+            if (e.target.checked) {
+                this.selected.add(e.target.value);
+            } else {
+                this.selected.delete(e.target.value);
+            }
+            this.updateActions();
+        });
+
+        this.selectAll.addEventListener('change', () => {
+            this.selected = new Set(this.selectAll.checked ? this.report.orphans.map(file => file.fileId) : []);
+            this.renderOrphans();
+        });
+
+        this.deleteBtn.addEventListener('click', () => this.deleteSelected());
+
+        this.danglingList.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            const itemEl = e.target.closest('.storage-item');
+            if (!button || !itemEl) return;
+
+            const reference = this.report.dangling[parseInt(itemEl.dataset.index, 10)];
+            if (button.dataset.action === 'relink') {
+                const replacementId = itemEl.querySelector('.replacement-select').value;
+                if (!replacementId) {
+                    window.showToast('Choose a file to link first', 'warning');
+                    return;
+                }
+                this.relink([{ ...this.toLink(reference), replacementId }], 'Image re-linked');
+            } else if (button.dataset.action === 'remove') {
+                this.relink([this.toLink(reference)], 'Reference removed');
+            }
+        });
+
+        this.removeAllBtn.addEventListener('click', () => {
+            const count = this.report.dangling.length;
+            const message = `Remove ${count} missing image reference${count === 1 ? '' : 's'} from their entries?`;
+            this.confirm(message, () => this.relink(
+                this.report.dangling.map(reference => this.toLink(reference)),
+                'Missing references removed'
+            ));
+        });
+    }
+
+    async load() {
+        if (this.isLoading) return;
+        this.isLoading = true;
+        this.setLoading(true);
+
+        try {
+            const response = await window.adminAPI.getStorageReport();
+            if (!response.success || !response.data) {
+                throw new Error(response.message || 'Failed to load storage report');
+            }
+
+            this.report = response.data;
+            // Keep selections that are still orphans after a refresh
+            const orphanIds = new Set(this.report.orphans.map(file => file.fileId));
+            this.selected = new Set([...this.selected].filter(fileId => orphanIds.has(fileId)));
+            this.render();
+        } catch (error) {
+            window.showToast(window.adminAPI.handleError(error, 'Failed to load storage report'), 'error');
+        } finally {
+            this.isLoading = false;
+            this.setLoading(false);
+        }
+    }
+
+    deleteSelected() {
+        const fileIds = [...this.selected];
+        if (fileIds.length === 0) return;
+
+        const bytes = this.report.orphans
+            .filter(file => this.selected.has(file.fileId))
+            .reduce((total, file) => total + (file.size || 0), 0);
+        const message = `Permanently delete ${fileIds.length} unused file${fileIds.length === 1 ? '' : 's'} (${window.ImageProcessor.formatSize(bytes)}) from Drive?`;
+
+        this.confirm(message, async () => {
+            try {
+                const response = await window.adminAPI.deleteOrphans(fileIds);
+                if (!response.success) {
+                    throw new Error(response.message || 'Failed to delete files');
+                }
+                window.showToast(`Deleted ${response.data.deleted} file${response.data.deleted === 1 ? '' : 's'}`, 'success');
+                this.selected.clear();
+            } catch (error) {
+                window.showToast(window.adminAPI.handleError(error, 'Failed to delete files'), 'error');
+            }
+            await this.load();
+        });
+    }
+
+    async relink(links, successMessage) {
+        try {
+            const response = await window.adminAPI.relinkImages(links);
+            if (!response.success) {
+                throw new Error(response.message || 'Failed to update references');
+            }
+            window.showToast(successMessage, 'success');
+        } catch (error) {
+            window.showToast(window.adminAPI.handleError(error, 'Failed to update references'), 'error');
+        }
+        await this.load();
+    }
+
+    toLink(reference) {
+        return { entryId: reference.entryId, fileId: reference.fileId };
+    }
+
+    setLoading(loading) {
+        this.container.classList.toggle('loading', loading);
+        this.deleteBtn.disabled = loading || this.selected.size === 0;
+        this.removeAllBtn.disabled = loading || !this.report || this.report.dangling.length === 0;
+    }
+
+    render() {
+        const { totalFiles, totalBytes, orphans, orphanBytes, dangling } = this.report;
+        const formatSize = window.ImageProcessor.formatSize;
+
+        this.setText('storageTotalFiles', totalFiles);
+        this.setText('storageTotalSize', formatSize(totalBytes));
+        this.setText('storageOrphanCount', orphans.length);
+        this.setText('storageOrphanSize', formatSize(orphanBytes));
+        this.setText('storageDanglingCount', dangling.length);
+
+        this.renderOrphans();
+        this.renderDangling();
+    }
+
+    renderOrphans() {
+        const orphans = this.report.orphans;
+        this.orphanList.innerHTML = '';
+
+        if (orphans.length === 0) {
+            this.orphanList.innerHTML = '<p class="storage-empty">Every file in the folder is used by an entry.</p>';
+        }
+
+        orphans.forEach(file => {
+            const item = document.createElement('label');
+            item.className = 'storage-item';
+            item.innerHTML = `
+                <input type="checkbox" class="orphan-select" value="${this.escapeHtml(file.fileId)}" ${this.selected.has(file.fileId) ? 'checked' : ''}>
+                <img class="storage-thumb" src="${this.escapeHtml(file.url)}" alt="" loading="lazy">
+                <span class="storage-info">
+                    <span class="storage-name">${this.escapeHtml(file.name)}</span>
+                    <span class="storage-meta">${window.ImageProcessor.formatSize(file.size || 0)} &middot; ${this.formatDate(file.created)}</span>
+                </span>
+            `;
+            this.orphanList.appendChild(item);
+        });
+
+        this.updateActions();
+    }
+
+    renderDangling() {
+        const { dangling, orphans } = this.report;
+        this.danglingList.innerHTML = '';
+
+        if (dangling.length === 0) {
+            this.danglingList.innerHTML = '<p class="storage-empty">Every image reference points at an existing file.</p>';
+        }
+
+        const options = orphans.map(file =>
+            `<option value="${this.escapeHtml(file.fileId)}">${this.escapeHtml(file.name)}</option>`
+        ).join('');
+
+        dangling.forEach((reference, index) => {
+            const item = document.createElement('div');
+            item.className = 'storage-item';
+            item.dataset.index = index;
+            item.innerHTML = `
+                <span class="storage-info">
+                    <span class="storage-name">${this.escapeHtml(reference.entryName)}</span>
+                    <span class="storage-meta">${this.escapeHtml(reference.sheetName)} &middot; ${reference.position === 0 ? 'Cover image' : `Image ${reference.position + 1}`}</span>
+                </span>
+                <div class="storage-actions">
+                    <select class="replacement-select" aria-label="Replacement file" ${orphans.length === 0 ? 'disabled' : ''}>
+                        <option value="">${orphans.length === 0 ? 'No unused files' : 'Link to unused file...'}</option>
+                        ${options}
+                    </select>
+                    <button type="button" class="btn btn-secondary btn-sm" data-action="relink">Re-link</button>
+                    <button type="button" class="btn btn-danger btn-sm" data-action="remove">Remove</button>
+                </div>
+            `;
+            this.danglingList.appendChild(item);
+        });
+
+        this.removeAllBtn.disabled = dangling.length === 0;
+    }
+
+    updateActions() {
+        const total = this.report ? this.report.orphans.length : 0;
+        this.selectAll.checked = total > 0 && this.selected.size === total;
+        this.selectAll.indeterminate = this.selected.size > 0 && this.selected.size < total;
+        this.selectAll.disabled = total === 0;
+        this.deleteBtn.disabled = this.selected.size === 0;
+        this.deleteBtn.textContent = this.selected.size > 0 ? `Delete Selected (${this.selected.size})` : 'Delete Selected';
+    }
+
+    setText(id, value) {
+        const element = document.getElementById(id);
+        if (element) {
+            element.textContent = value;
+        }
+    }
+
+    formatDate(value) {
+        if (!value) return '';
+        const date = new Date(value);
+        return isNaN(date) ? '' : date.toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' });
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text || '';
+        return div.innerHTML;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StorageView;
+}
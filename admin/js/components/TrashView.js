@@ -0,0 +1,142 @@
+/**
+ * Trash View Component
+ * Lists deleted entries and categories until their retention period ends.
+ * Each can be restored or deleted permanently, which also removes its images
+ * from Drive.
+ */
+class TrashView {
+    constructor(containerId, options = {}) {
+        this.container = document.getElementById(containerId);
+        this.confirm = options.confirm || ((message, callback) => callback());
+        this.can = options.can || (() => true);
+        this.onRestore = options.onRestore || (() => {});
+        this.items = [];
+
+        if (!this.container) {
+            console.error(`Trash view with id "${containerId}" not found`);
+            return;
+        }
+
+        this.list = this.container.querySelector('#trashTable');
+        this.hint = this.container.querySelector('#trashRetention');
+
+        this.init();
+    }
+
+    init() {
+        this.list.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (!button) return;
+
+            const item = this.items.find(current => current.id === button.closest('.trash-item').dataset.id);
+            if (!item) return;
+
+            if (button.dataset.action === 'restore') {
+                this.restore(item, button);
+            } else if (button.dataset.action === 'purge') {
+                this.purge(item);
+            }
+        });
+    }
+
+    async load() {
+        try {
+            const response = await window.adminAPI.getTrash();
+            if (!response.success || !response.data) {
+                throw new Error(response.message || 'Failed to load the Trash');
+            }
+
+            this.items = response.data.items;
+            this.hint.textContent = `Deleted entries and categories are kept for ${response.data.retentionDays} days, then deleted permanently along with their images.`;
+            this.render();
+        } catch (error) {
+            window.showToast(window.adminAPI.handleError(error, 'Failed to load the Trash'), 'error');
+        }
+    }
+
+    async restore(item, button) {
+        button.disabled = true;
+
+        try {
+            const response = await window.adminAPI.restoreTrashItem(item.id);
+            if (!response.success) {
+                throw new Error(response.message || 'Failed to restore');
+            }
+            window.showToast(response.message, 'success');
+            this.onRestore(item);
+        } catch (error) {
+            window.showToast(window.adminAPI.handleError(error, 'Failed to restore'), 'error');
+        }
+        await this.load();
+    }
+
+    purge(item) {
+        const message = item.type === 'category'
+            ? `Permanently delete category "${item.name}" and its ${this.describeCount(item.entryCount)}? Their images are removed from Drive. This cannot be undone.`
+            : `Permanently delete "${item.name}"? Its images are removed from Drive. This cannot be undone.`;
+
+        this.confirm(message, async () => {
+            try {
+                const response = await window.adminAPI.purgeTrashItem(item.id);
+                if (!response.success) {
+                    throw new Error(response.message || 'Failed to delete permanently');
+                }
+                window.showToast(response.message, 'success');
+            } catch (error) {
+                window.showToast(window.adminAPI.handleError(error, 'Failed to delete permanently'), 'error');
+            }
+            await this.load();
+        });
+    }
+
+    render() {
+        this.list.innerHTML = '';
+
+        if (this.items.length === 0) {
+            this.list.innerHTML = '<p class="storage-empty">The Trash is empty.</p>';
+            return;
+        }
+
+        this.items.forEach(item => {
+            const allowed = this.can(item.type === 'category' ? 'manageCategories' : 'editEntries');
+            const denied = allowed ? '' : 'disabled title="Only owners can restore or delete categories"';
+
+            const element = document.createElement('div');
+            element.className = 'category-item trash-item';
+            element.dataset.id = item.id;
+            element.innerHTML = `
+                <div class="category-info">
+                    <span class="user-status"></span>
+                    <span class="category-name"></span>
+                    <span class="category-date"></span>
+                </div>
+                <div class="category-actions">
+                    <button type="button" class="btn btn-secondary btn-sm" data-action="restore" ${denied}>Restore</button>
+                    <button type="button" class="btn btn-danger btn-sm" data-action="purge" ${denied}>Delete Forever</button>
+                </div>
+            `;
+            element.querySelector('.user-status').textContent = item.type === 'category'
+                ? `Category · ${this.describeCount(item.entryCount)}`
+                : `Entry · ${item.category}`;
+            element.querySelector('.category-name').textContent = item.name;
+            element.querySelector('.category-date').textContent =
+                `Deleted by ${item.deletedBy} on ${this.formatTime(item.deletedAt)} · Kept until ${this.formatTime(item.purgeAt)}`;
+
+            this.list.appendChild(element);
+        });
+    }
+
+    describeCount(count) {
+        return `${count} entr${count === 1 ? 'y' : 'ies'}`;
+    }
+
+    formatTime(value) {
+        const date = new Date(value);
+        return isNaN(date) ? '' : date.toLocaleString('en-US', { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TrashView;
+}
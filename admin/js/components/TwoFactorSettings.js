@@ -0,0 +1,214 @@
+/**
+ * Two-Factor Settings Component
+ * Turns TOTP two-factor authentication on and off for the signed-in admin.
+ * The provisioning QR code is drawn in the browser from the otpauth:// URI,
+ * and recovery codes are shown once, right after they are issued.
+ */
+class TwoFactorSettings {
+    constructor(containerId) {
+        this.container = document.getElementById(containerId);
+        this.status = null;
+
+        if (!this.container) {
+            console.error(`Two-factor settings with id "${containerId}" not found`);
+            return;
+        }
+
+        this.statusText = this.container.querySelector('#twoFactorStatus');
+        this.offPanel = this.container.querySelector('#twoFactorOff');
+        this.setupForm = this.container.querySelector('#twoFactorSetupForm');
+        this.manageForm = this.container.querySelector('#twoFactorManageForm');
+        this.codesPanel = this.container.querySelector('#recoveryCodesResult');
+
+        this.init();
+    }
+
+    init() {
+        this.container.querySelector('#twoFactorStartBtn').addEventListener('click', () => this.startSetup());
+        this.container.querySelector('#twoFactorCancelBtn').addEventListener('click', () => this.render());
+        this.setupForm.addEventListener('submit', (e) => this.handleEnable(e));
+        this.manageForm.addEventListener('submit', (e) => this.handleManage(e));
+
+        this.codesPanel.querySelector('#recoveryCodesCopy').addEventListener('click', () => this.copyCodes());
+        this.codesPanel.querySelector('#recoveryCodesDownload').addEventListener('click', () => this.downloadCodes());
+    }
+
+    async load() {
+        try {
+            const response = await window.adminAPI.getTwoFactorStatus();
+            if (!response.success || !response.data) {
+                throw new Error(response.message || 'Failed to load two-factor status');
+            }
+
+            this.status = response.data;
+            this.render();
+        } catch (error) {
+            window.showToast(window.adminAPI.handleError(error, 'Failed to load two-factor status'), 'error');
+        }
+    }
+
+    async startSetup() {
+        const button = this.container.querySelector('#twoFactorStartBtn');
+        button.disabled = true;
+
+        try {
+            const response = await window.adminAPI.startTwoFactorSetup();
+            if (!response.success) {
+                throw new Error(response.message || 'Failed to start two-factor setup');
+            }
+
+            this.container.querySelector('#twoFactorQr').innerHTML = window.QrCode.toSvg(window.QrCode.encode(response.data.otpauthUrl));
+            this.container.querySelector('#twoFactorSecret').textContent = response.data.secret.replace(/(.{4})/g, '$1 ').trim();
+            this.setupForm.reset();
+            window.Validators.clearFieldErrors(this.setupForm);
+            this.showPanel(this.setupForm);
+            this.setupForm.querySelector('[name="code"]').focus();
+        } catch (error) {
+            window.showToast(window.adminAPI.handleError(error, 'Failed to start two-factor setup'), 'error');
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    async handleEnable(e) {
+        e.preventDefault();
+
+        const code = new FormData(this.setupForm).get('code');
+        const validation = window.Validators.validateTwoFactorCode(code);
+        if (!validation.valid) {
+            window.Validators.showFieldErrors(validation.errors, this.setupForm);
+            return;
+        }
+        window.Validators.clearFieldErrors(this.setupForm);
+
+        const submitBtn = this.setupForm.querySelector('button[type="submit"]');
+        submitBtn.disabled = true;
+
+        try {
+            const response = await window.adminAPI.enableTwoFactor(code.trim());
+            if (!response.success) {
+                throw new Error(response.message || 'Failed to enable two-factor authentication');
+            }
+
+            window.showToast('Two-factor authentication enabled!', 'success');
+            this.clearSecret();
+            await this.load();
+            this.showRecoveryCodes(response.data.recoveryCodes);
+        } catch (error) {
+            window.showToast(window.adminAPI.handleError(error, 'Failed to enable two-factor authentication'), 'error');
+        } finally {
+            submitBtn.disabled = false;
+        }
+    }
+
+    // Both buttons need the password; the one pressed decides the action
+    async handleManage(e) {
+        e.preventDefault();
+
+        const action = e.submitter ? e.submitter.dataset.action : 'regenerate';
+        const password = new FormData(this.manageForm).get('password');
+        const requiredResult = window.Validators.validateRequired(password, 'Current password');
+        if (!requiredResult.valid) {
+            window.Validators.showFieldErrors([{ field: 'password', message: requiredResult.message }], this.manageForm);
+            return;
+        }
+        window.Validators.clearFieldErrors(this.manageForm);
+
+        const buttons = this.manageForm.querySelectorAll('button');
+        buttons.forEach(button => { button.disabled = true; });
+
+        try {
+            const response = action === 'disable'
+                ? await window.adminAPI.disableTwoFactor(password)
+                : await window.adminAPI.regenerateRecoveryCodes(password);
+            if (!response.success) {
+                throw new Error(response.message || 'Failed to update two-factor authentication');
+            }
+
+            this.manageForm.reset();
+            await this.load();
+            if (action === 'disable') {
+                window.showToast('Two-factor authentication turned off', 'success');
+            } else {
+                window.showToast('New recovery codes issued. The old ones no longer work.', 'success');
+                this.showRecoveryCodes(response.data.recoveryCodes);
+            }
+        } catch (error) {
+            window.showToast(window.adminAPI.handleError(error, 'Failed to update two-factor authentication'), 'error');
+        } finally {
+            buttons.forEach(button => { button.disabled = false; });
+        }
+    }
+
+    showRecoveryCodes(codes) {
+        const list = this.codesPanel.querySelector('#recoveryCodesList');
+        list.innerHTML = '';
+        codes.forEach(code => {
+            const item = document.createElement('li');
+            item.textContent = code;
+            list.appendChild(item);
+        });
+        this.codesPanel.classList.remove('hidden');
+    }
+
+    getCodes() {
+        return Array.from(this.codesPanel.querySelectorAll('#recoveryCodesList li'), item => item.textContent);
+    }
+
+    async copyCodes() {
+        try {
+            await navigator.clipboard.writeText(this.getCodes().join('\n'));
+            window.showToast('Recovery codes copied', 'success');
+        } catch (error) {
+            window.showToast('Could not copy. Select the codes and copy them manually.', 'warning');
+        }
+    }
+
+    downloadCodes() {
+        const text = `ATF Showcase recovery codes\nEach code can be used once.\n\n${this.getCodes().join('\n')}\n`;
+        const url = URL.createObjectURL(new Blob([text], { type: 'text/plain' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = 'atf-showcase-recovery-codes.txt';
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    // Forgets the secret and recovery codes, e.g. when leaving the view
+    hideSecrets() {
+        this.clearSecret();
+        this.codesPanel.classList.add('hidden');
+        this.codesPanel.querySelector('#recoveryCodesList').innerHTML = '';
+        if (this.status) {
+            this.render();
+        }
+    }
+
+    clearSecret() {
+        this.container.querySelector('#twoFactorQr').innerHTML = '';
+        this.container.querySelector('#twoFactorSecret').textContent = '';
+    }
+
+    showPanel(panel) {
+        [this.offPanel, this.setupForm, this.manageForm].forEach(element => {
+            element.classList.toggle('hidden', element !== panel);
+        });
+    }
+
+    render() {
+        const { enabled, recoveryCodesLeft } = this.status;
+
+        this.statusText.textContent = enabled ? 'On' : 'Off';
+        this.statusText.classList.toggle('enabled', enabled);
+        this.container.querySelector('#twoFactorRecoveryLeft').textContent =
+            `${recoveryCodesLeft} unused recovery code${recoveryCodesLeft === 1 ? '' : 's'} left.`;
+
+        this.clearSecret();
+        this.showPanel(enabled ? this.manageForm : this.offPanel);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TwoFactorSettings;
+}
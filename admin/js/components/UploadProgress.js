@@ -0,0 +1,123 @@
+/**
+ * Upload Progress Component
+ * Drives a progress bar with Cancel and Retry actions for form submissions
+ */
+class UploadProgress {
+    constructor(containerId, options = {}) {
+        this.container = document.getElementById(containerId);
+        this.onCancel = options.onCancel || null;
+        this.onRetry = options.onRetry || null;
+
+        if (!this.container) {
+            console.error(`Upload progress container with id "${containerId}" not found`);
+            return;
+        }
+
+        this.fill = this.container.querySelector('.progress-fill');
+        this.text = this.container.querySelector('.progress-text');
+        this.error = this.container.querySelector('.progress-error');
+        this.cancelBtn = this.container.querySelector('.progress-cancel');
+        this.retryBtn = this.container.querySelector('.progress-retry');
+
+        this.init();
+    }
+
+    init() {
+        if (this.cancelBtn) {
+            this.cancelBtn.addEventListener('click', () => {
+                if (this.onCancel) {
+                    this.onCancel();
+                }
+            });
+        }
+
+        if (this.retryBtn) {
+            this.retryBtn.addEventListener('click', () => {
+                if (this.onRetry) {
+                    this.onRetry();
+                }
+            });
+        }
+    }
+
+    // indeterminate: the transport cannot report byte progress (Apps Script mode)
+    start(indeterminate = false) {
+        if (!this.container) return;
+
+        this.container.classList.remove('hidden');
+        this.container.classList.toggle('indeterminate', indeterminate);
+        this.setError('');
+        this.toggleButton(this.cancelBtn, true, false);
+        this.toggleButton(this.retryBtn, false);
+
+        if (indeterminate) {
+            this.setBar(100);
+            this.setText('Uploading... (progress not available)');
+        } else {
+            this.setProgress(0);
+        }
+    }
+
+    setProgress(percent) {
+        const rounded = Math.min(100, Math.max(0, Math.round(percent)));
+        this.setBar(rounded);
+
+        if (rounded < 100) {
+            this.setText(`Uploading... ${rounded}%`);
+        } else {
+            // Every byte has been sent; aborting now would not stop the server
+            this.setText('Processing...');
+            this.toggleButton(this.cancelBtn, true, true);
+        }
+    }
+
+    fail(message) {
+        if (!this.container) return;
+
+        this.container.classList.remove('indeterminate');
+        this.setText('Upload failed');
+        this.setError(message);
+        this.toggleButton(this.cancelBtn, false);
+        this.toggleButton(this.retryBtn, true, false);
+    }
+
+    hide() {
+        if (!this.container) return;
+
+        this.container.classList.add('hidden');
+        this.container.classList.remove('indeterminate');
+        this.setError('');
+        this.setBar(0);
+    }
+
+    setBar(percent) {
+        if (this.fill) {
+            this.fill.style.width = `${percent}%`;
+        }
+    }
+
+    setText(text) {
+        if (this.text) {
+            this.text.textContent = text;
+        }
+    }
+
+    setError(message) {
+        if (this.error) {
+            this.error.textContent = message;
+            this.error.classList.toggle('hidden', !message);
+        }
+    }
+
+    toggleButton(button, visible, disabled = false) {
+        if (button) {
+            button.classList.toggle('hidden', !visible);
+            button.disabled = disabled;
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = UploadProgress;
+}
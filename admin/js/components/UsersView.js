@@ -0,0 +1,261 @@
+/**
+ * Users View Component
+ * Lets owners invite admins with a one-time temporary password, change their
+ * roles, deactivate or reactivate their accounts and clear login lockouts
+ */
+class UsersView {
+    static get ROLE_LABELS() {
+        return { owner: 'Owner', editor: 'Editor', viewer: 'Viewer' };
+    }
+
+    static get STATUS_LABELS() {
+        return { invited: 'Invited', active: 'Active', inactive: 'Deactivated' };
+    }
+
+    constructor(containerId, options = {}) {
+        this.container = document.getElementById(containerId);
+        this.getCurrentUsername = options.getCurrentUsername || (() => '');
+        this.users = [];
+        this.lockouts = [];
+
+        if (!this.container) {
+            console.error(`Users view with id "${containerId}" not found`);
+            return;
+        }
+
+        this.form = this.container.querySelector('#inviteUserForm');
+        this.list = this.container.querySelector('#usersTable');
+        this.result = this.container.querySelector('#inviteResult');
+        this.lockoutList = this.container.querySelector('#lockoutsTable');
+
+        this.init();
+    }
+
+    init() {
+        this.form.addEventListener('submit', (e) => this.handleInvite(e));
+
+        this.result.querySelector('.invite-copy').addEventListener('click', () => this.copyPassword());
+
+        this.list.addEventListener('change', (e) => {
+            if (!e.target.matches('.user-role-select')) return;
+            const username = e.target.closest('.user-item').dataset.username;
+            this.updateUser(username, { role: e.target.value }, 'Role updated');
+        });
+
+        this.list.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (!button) return;
+
+            const username = button.closest('.user-item').dataset.username;
+            const active = button.dataset.action === 'activate';
+            this.updateUser(username, { active }, active ? 'Account reactivated' : 'Account deactivated');
+        });
+
+        this.lockoutList.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action="clear-lockout"]');
+            if (!button) return;
+
+            const lockout = this.lockouts[parseInt(button.closest('.lockout-item').dataset.index, 10)];
+            this.clearLockout(lockout);
+        });
+    }
+
+    async load() {
+        try {
+            const [usersResponse, lockoutsResponse] = await Promise.all([
+                window.adminAPI.getUsers(),
+                window.adminAPI.getLockouts()
+            ]);
+            if (!usersResponse.success || !usersResponse.data) {
+                throw new Error(usersResponse.message || 'Failed to load users');
+            }
+            if (!lockoutsResponse.success || !lockoutsResponse.data) {
+                throw new Error(lockoutsResponse.message || 'Failed to load failed logins');
+            }
+
+            this.users = usersResponse.data;
+            this.lockouts = lockoutsResponse.data;
+            this.render();
+            this.renderLockouts();
+        } catch (error) {
+            window.showToast(window.adminAPI.handleError(error, 'Failed to load users'), 'error');
+        }
+    }
+
+    async handleInvite(e) {
+        e.preventDefault();
+
+        const formData = new FormData(this.form);
+        const data = {
+            username: formData.get('username'),
+            role: formData.get('role')
+        };
+
+        const validation = window.Validators.validateInviteForm(data);
+        if (!validation.valid) {
+            window.Validators.showFieldErrors(validation.errors, this.form);
+            return;
+        }
+        window.Validators.clearFieldErrors(this.form);
+
+        const submitBtn = this.form.querySelector('button[type="submit"]');
+        submitBtn.disabled = true;
+
+        try {
+            const response = await window.adminAPI.inviteUser(data.username.trim(), data.role);
+            if (!response.success) {
+                throw new Error(response.message || 'Failed to invite user');
+            }
+
+            window.showToast('User invited successfully!', 'success');
+            this.form.reset();
+            this.showTemporaryPassword(response.data.user.username, response.data.temporaryPassword);
+            await this.load();
+        } catch (error) {
+            window.showToast(window.adminAPI.handleError(error, 'Failed to invite user'), 'error');
+        } finally {
+            submitBtn.disabled = false;
+        }
+    }
+
+    async updateUser(username, changes, successMessage) {
+        try {
+            const response = await window.adminAPI.updateUser(username, changes);
+            if (!response.success) {
+                throw new Error(response.message || 'Failed to update user');
+            }
+            window.showToast(successMessage, 'success');
+        } catch (error) {
+            window.showToast(window.adminAPI.handleError(error, 'Failed to update user'), 'error');
+        }
+
+        // Reload either way so a rejected change snaps back
+        await this.load();
+    }
+
+    async clearLockout(lockout) {
+        try {
+            const response = await window.adminAPI.clearLockout(lockout.type, lockout.name);
+            if (!response.success) {
+                throw new Error(response.message || 'Failed to clear lockout');
+            }
+            window.showToast('Lockout cleared', 'success');
+        } catch (error) {
+            window.showToast(window.adminAPI.handleError(error, 'Failed to clear lockout'), 'error');
+        }
+        await this.load();
+    }
+
+    showTemporaryPassword(username, password) {
+        this.result.querySelector('.invite-username').textContent = username;
+        this.result.querySelector('.invite-password').textContent = password;
+        this.result.classList.remove('hidden');
+    }
+
+    async copyPassword() {
+        const password = this.result.querySelector('.invite-password').textContent;
+        try {
+            await navigator.clipboard.writeText(password);
+            window.showToast('Temporary password copied', 'success');
+        } catch (error) {
+            window.showToast('Could not copy. Select the password and copy it manually.', 'warning');
+        }
+    }
+
+    // Forgets the last temporary password, e.g. when leaving the view
+    hideTemporaryPassword() {
+        this.result.classList.add('hidden');
+        this.result.querySelector('.invite-password').textContent = '';
+    }
+
+    render() {
+        const currentUsername = this.getCurrentUsername();
+        this.list.innerHTML = '';
+
+        this.users.forEach(user => {
+            const isSelf = user.username === currentUsername;
+            const isInactive = user.status === 'inactive';
+            const roleOptions = Object.entries(UsersView.ROLE_LABELS).map(([role, label]) =>
+                `<option value="${role}" ${role === user.role ? 'selected' : ''}>${label}</option>`
+            ).join('');
+
+            const item = document.createElement('div');
+            item.className = `category-item user-item ${isInactive ? 'inactive' : ''}`;
+            item.dataset.username = user.username;
+            item.innerHTML = `
+                <div class="category-info">
+                    <span class="category-name"></span>
+                    <span class="user-status ${user.status}">${UsersView.STATUS_LABELS[user.status] || user.status}</span>
+                </div>
+                <div class="category-actions">
+                    <select class="user-role-select" aria-label="Role">${roleOptions}</select>
+                    ${isInactive
+                        ? '<button type="button" class="btn btn-secondary btn-sm" data-action="activate">Reactivate</button>'
+                        : `<button type="button" class="btn btn-danger btn-sm" data-action="deactivate" ${isSelf ? 'disabled title="You cannot deactivate your own account"' : ''}>Deactivate</button>`}
+                </div>
+            `;
+            item.querySelector('.category-name').textContent = isSelf ? `${user.username} (you)` : user.username;
+
+            this.list.appendChild(item);
+        });
+    }
+
+    renderLockouts() {
+        this.lockoutList.innerHTML = '';
+
+        if (this.lockouts.length === 0) {
+            this.lockoutList.innerHTML = '<p class="storage-empty">No failed logins in the last 24 hours.</p>';
+            return;
+        }
+
+        this.lockouts.forEach((lockout, index) => {
+            const item = document.createElement('div');
+            item.className = 'category-item lockout-item';
+            item.dataset.index = index;
+            item.innerHTML = `
+                <div class="category-info">
+                    <span class="category-name"></span>
+                    <span class="user-status ${lockout.lockedUntil ? 'locked' : ''}"></span>
+                    <span class="category-date"></span>
+                </div>
+                <div class="category-actions">
+                    <button type="button" class="btn btn-secondary btn-sm" data-action="clear-lockout">Clear</button>
+                </div>
+            `;
+            item.querySelector('.category-name').textContent = this.describeKey(lockout);
+            item.querySelector('.user-status').textContent = this.describeState(lockout);
+            item.querySelector('.category-date').textContent = `Last failure ${this.formatTime(lockout.lastFailure)}`;
+
+            this.lockoutList.appendChild(item);
+        });
+    }
+
+    // Client ids are random, so only their start is shown
+    describeKey(lockout) {
+        if (lockout.type === 'user') return lockout.name;
+        if (lockout.name === 'unknown') return 'Requests without a browser id';
+        return `Browser ${lockout.name.slice(0, 8)}`;
+    }
+
+    describeState(lockout) {
+        if (lockout.lockedUntil) {
+            const count = lockout.lockouts > 1 ? ` (lockout ${lockout.lockouts})` : '';
+            return `Locked until ${this.formatTime(lockout.lockedUntil)}${count}`;
+        }
+        // Past lockouts still make the next one longer
+        if (lockout.failures === 0 && lockout.lockouts > 0) {
+            return `Previously locked ${lockout.lockouts} time${lockout.lockouts === 1 ? '' : 's'}`;
+        }
+        return `${lockout.failures} failed attempt${lockout.failures === 1 ? '' : 's'}`;
+    }
+
+    formatTime(value) {
+        const date = new Date(value);
+        return isNaN(date) ? '' : date.toLocaleString('en-US', { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = UsersView;
+}
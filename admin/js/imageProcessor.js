@@ -0,0 +1,140 @@
+/**
+ * Image Processor for Admin Panel
+ * Downscales and re-encodes images in the browser before they are uploaded
+ */
+class ImageProcessor {
+    static get DEFAULTS() {
+        return {
+            maxWidth: 1600,
+            quality: 0.82,
+            format: 'webp',
+            maxInputMB: 25
+        };
+    }
+
+    // Reads IMAGE_* keys from env/config.txt, falling back to DEFAULTS
+    static getSettings() {
+        const defaults = ImageProcessor.DEFAULTS;
+        const config = window.AppConfig;
+        const read = (key) => (config && config.get(key) ? String(config.get(key)).trim() : '');
+
+        const maxWidth = parseInt(read('IMAGE_MAX_WIDTH'), 10);
+        const quality = parseFloat(read('IMAGE_QUALITY'));
+        const format = read('IMAGE_FORMAT').toLowerCase();
+        const maxInputMB = parseFloat(read('IMAGE_MAX_INPUT_MB'));
+
+        return {
+            maxWidth: maxWidth > 0 ? maxWidth : defaults.maxWidth,
+            quality: quality > 0 && quality <= 1 ? quality : defaults.quality,
+            format: format === 'jpeg' || format === 'webp' ? format : defaults.format,
+            maxInputMB: maxInputMB > 0 ? maxInputMB : defaults.maxInputMB
+        };
+    }
+
+    /**
+     * Resizes the image to the configured maximum width and re-encodes it.
+     * Resolves with { file, originalSize, size, compressed }; the original file
+     * is kept when it is a GIF (animation would be lost) or already smaller.
+     */
+    static async process(file) {
+        const settings = ImageProcessor.getSettings();
+        const unchanged = { file, originalSize: file.size, size: file.size, compressed: false };
+
+        if (file.type === 'image/gif') {
+            return unchanged;
+        }
+
+        const image = await ImageProcessor.loadImage(file);
+        const scale = Math.min(1, settings.maxWidth / image.naturalWidth);
+        const width = Math.round(image.naturalWidth * scale);
+        const height = Math.round(image.naturalHeight * scale);
+
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+
+        const context = canvas.getContext('2d');
+        const mimeType = ImageProcessor.resolveMimeType(settings.format);
+        if (mimeType === 'image/jpeg') {
+            // JPEG has no alpha channel, so transparent areas would turn black
+            context.fillStyle = '#FFFFFF';
+            context.fillRect(0, 0, width, height);
+        }
+        context.drawImage(image, 0, 0, width, height);
+
+        const blob = await ImageProcessor.canvasToBlob(canvas, mimeType, settings.quality);
+        if (!blob || (scale === 1 && blob.size >= file.size)) {
+            return unchanged;
+        }
+
+        const extension = mimeType === 'image/webp' ? 'webp' : 'jpg';
+        const baseName = (file.name || 'image').replace(/\.[^.]+$/, '');
+        const processed = new File([blob], `${baseName}.${extension}`, { type: mimeType });
+
+        return { file: processed, originalSize: file.size, size: processed.size, compressed: true };
+    }
+
+    static loadImage(file) {
+        return new Promise((resolve, reject) => {
+            const url = URL.createObjectURL(file);
+            const image = new Image();
+            image.onload = () => {
+                URL.revokeObjectURL(url);
+                resolve(image);
+            };
+            image.onerror = () => {
+                URL.revokeObjectURL(url);
+                reject(new Error('Could not read the selected image'));
+            };
+            image.src = url;
+        });
+    }
+
+    static canvasToBlob(canvas, mimeType, quality) {
+        return new Promise((resolve) => {
+            canvas.toBlob(resolve, mimeType, quality);
+        });
+    }
+
+    // Browsers without a WebP encoder silently return PNG, so fall back to JPEG
+    static resolveMimeType(format) {
+        if (format === 'webp' && ImageProcessor.supportsWebP()) {
+            return 'image/webp';
+        }
+        return 'image/jpeg';
+    }
+
+    static supportsWebP() {
+        if (ImageProcessor.webpSupported === undefined) {
+            const canvas = document.createElement('canvas');
+            canvas.width = 1;
+            canvas.height = 1;
+            ImageProcessor.webpSupported = canvas.toDataURL('image/webp').startsWith('data:image/webp');
+        }
+        return ImageProcessor.webpSupported;
+    }
+
+    static formatSize(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
+
+    // "Original 4.2 MB → 380 KB (WebP)" for the preview caption
+    static describe(result) {
+        if (!result.compressed) {
+            return `${ImageProcessor.formatSize(result.size)} (uploaded as is)`;
+        }
+
+        const format = result.file.type === 'image/webp' ? 'WebP' : 'JPEG';
+        return `Original ${ImageProcessor.formatSize(result.originalSize)} → ${ImageProcessor.formatSize(result.size)} (${format})`;
+    }
+}
+
+// Create global reference
+window.ImageProcessor = ImageProcessor;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ImageProcessor;
+}
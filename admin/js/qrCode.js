@@ -0,0 +1,388 @@
+/**
+ * QR Code Generator for Admin Panel
+ * Encodes short text (such as an otpauth:// provisioning URI) as a QR code in
+ * byte mode with medium error correction, so secrets never leave the browser
+ * for a third-party image service
+ */
+class QrCode {
+    // Versions 1-10 at level M: total codewords, EC codewords per block and
+    // [count, data codewords] per block group
+    static get VERSIONS() {
+        return [
+            null,
+            { total: 26, ec: 10, groups: [[1, 16]], align: [] },
+            { total: 44, ec: 16, groups: [[1, 28]], align: [6, 18] },
+            { total: 70, ec: 26, groups: [[1, 44]], align: [6, 22] },
+            { total: 100, ec: 18, groups: [[2, 32]], align: [6, 26] },
+            { total: 134, ec: 24, groups: [[2, 43]], align: [6, 30] },
+            { total: 172, ec: 16, groups: [[4, 27]], align: [6, 34] },
+            { total: 196, ec: 18, groups: [[4, 31]], align: [6, 22, 38] },
+            { total: 242, ec: 22, groups: [[2, 38], [2, 39]], align: [6, 24, 42] },
+            { total: 292, ec: 22, groups: [[3, 36], [2, 37]], align: [6, 26, 46] },
+            { total: 346, ec: 26, groups: [[4, 43], [1, 44]], align: [6, 28, 50] }
+        ];
+    }
+
+    // Returns { size, modules } where modules[y][x] is true for a dark module
+    static encode(text) {
+        const bytes = Array.from(new TextEncoder().encode(text));
+        const version = QrCode.chooseVersion(bytes.length);
+        const data = QrCode.buildDataCodewords(bytes, version);
+        const codewords = QrCode.addErrorCorrection(data, version);
+
+        const qr = new QrCode(version);
+        qr.drawFunctionPatterns();
+        qr.drawCodewords(codewords);
+        qr.applyBestMask();
+        return { size: qr.size, modules: qr.modules };
+    }
+
+    static chooseVersion(byteLength) {
+        for (let version = 1; version < QrCode.VERSIONS.length; version++) {
+            const countBits = version < 10 ? 8 : 16;
+            if (4 + countBits + byteLength * 8 <= QrCode.dataCapacity(version) * 8) {
+                return version;
+            }
+        }
+        throw new Error('Text is too long for a QR code');
+    }
+
+    static dataCapacity(version) {
+        return QrCode.VERSIONS[version].groups.reduce((sum, [count, length]) => sum + count * length, 0);
+    }
+
+    static buildDataCodewords(bytes, version) {
+        const bits = [];
+        const append = (value, length) => {
+            for (let i = length - 1; i >= 0; i--) {
+                bits.push((value >>> i) & 1);
+            }
+        };
+
+        append(0b0100, 4); // Byte mode
+        append(bytes.length, version < 10 ? 8 : 16);
+        bytes.forEach(byte => append(byte, 8));
+
+        const capacityBits = QrCode.dataCapacity(version) * 8;
+        append(0, Math.min(4, capacityBits - bits.length));
+        append(0, (8 - bits.length % 8) % 8);
+
+        const codewords = [];
+        for (let i = 0; i < bits.length; i += 8) {
+            codewords.push(parseInt(bits.slice(i, i + 8).join(''), 2));
+        }
+        for (let pad = 0xEC; codewords.length < capacityBits / 8; pad ^= 0xEC ^ 0x11) {
+            codewords.push(pad);
+        }
+        return codewords;
+    }
+
+    // Splits data into blocks, appends Reed-Solomon codewords and interleaves them
+    static addErrorCorrection(data, version) {
+        const { ec, groups } = QrCode.VERSIONS[version];
+        const divisor = QrCode.reedSolomonDivisor(ec);
+        const blocks = [];
+        let offset = 0;
+
+        groups.forEach(([count, length]) => {
+            for (let i = 0; i < count; i++) {
+                const block = data.slice(offset, offset + length);
+                blocks.push({ data: block, ec: QrCode.reedSolomonRemainder(block, divisor) });
+                offset += length;
+            }
+        });
+
+        const result = [];
+        const longest = Math.max(...blocks.map(block => block.data.length));
+        for (let i = 0; i < longest; i++) {
+            blocks.forEach(block => {
+                if (i < block.data.length) result.push(block.data[i]);
+            });
+        }
+        for (let i = 0; i < ec; i++) {
+            blocks.forEach(block => result.push(block.ec[i]));
+        }
+        return result;
+    }
+
+    // Multiplication in GF(2^8) modulo x^8 + x^4 + x^3 + x^2 + 1
+    static multiply(x, y) {
+        let z = 0;
+        for (let i = 7; i >= 0; i--) {
+            z = (z << 1) ^ ((z >>> 7) * 0x11D);
+            z ^= ((y >>> i) & 1) * x;
+        }
+        return z;
+    }
+
+    static reedSolomonDivisor(degree) {
+        const result = new Array(degree).fill(0);
+        result[degree - 1] = 1;
+
+        let root = 1;
+        for (let i = 0; i < degree; i++) {
+            for (let j = 0; j < result.length; j++) {
+                result[j] = QrCode.multiply(result[j], root);
+                if (j + 1 < result.length) {
+                    result[j] ^= result[j + 1];
+                }
+            }
+            root = QrCode.multiply(root, 0x02);
+        }
+        return result;
+    }
+
+    static reedSolomonRemainder(data, divisor) {
+        const result = new Array(divisor.length).fill(0);
+        data.forEach(byte => {
+            const factor = byte ^ result.shift();
+            result.push(0);
+            divisor.forEach((coefficient, i) => {
+                result[i] ^= QrCode.multiply(coefficient, factor);
+            });
+        });
+        return result;
+    }
+
+    static maskApplies(mask, x, y) {
+        switch (mask) {
+            case 0: return (x + y) % 2 === 0;
+            case 1: return y % 2 === 0;
+            case 2: return x % 3 === 0;
+            case 3: return (x + y) % 3 === 0;
+            case 4: return (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0;
+            case 5: return (x * y) % 2 + (x * y) % 3 === 0;
+            case 6: return ((x * y) % 2 + (x * y) % 3) % 2 === 0;
+            default: return ((x + y) % 2 + (x * y) % 3) % 2 === 0;
+        }
+    }
+
+    // SVG markup for an encoded code; margin is the quiet zone in modules
+    static toSvg(qr, { margin = 4 } = {}) {
+        const size = qr.size + margin * 2;
+        let path = '';
+        qr.modules.forEach((row, y) => {
+            row.forEach((dark, x) => {
+                if (dark) path += `M${x + margin},${y + margin}h1v1h-1z`;
+            });
+        });
+
+        return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${size} ${size}" shape-rendering="crispEdges">`
+            + `<rect width="${size}" height="${size}" fill="#fff"/><path d="${path}" fill="#000"/></svg>`;
+    }
+
+    constructor(version) {
+        this.version = version;
+        this.size = version * 4 + 17;
+        this.modules = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+        this.isFunction = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+    }
+
+    setFunctionModule(x, y, dark) {
+        this.modules[y][x] = dark;
+        this.isFunction[y][x] = true;
+    }
+
+    drawFunctionPatterns() {
+        for (let i = 0; i < this.size; i++) {
+            this.setFunctionModule(6, i, i % 2 === 0);
+            this.setFunctionModule(i, 6, i % 2 === 0);
+        }
+
+        this.drawFinderPattern(3, 3);
+        this.drawFinderPattern(this.size - 4, 3);
+        this.drawFinderPattern(3, this.size - 4);
+
+        const align = QrCode.VERSIONS[this.version].align;
+        const last = align.length - 1;
+        align.forEach((x, i) => {
+            align.forEach((y, j) => {
+                // Skip the three corners occupied by finder patterns
+                if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+                this.drawAlignmentPattern(x, y);
+            });
+        });
+
+        // Reserve the format areas now; the real bits are drawn once the mask is known
+        this.drawFormatBits(0);
+        this.drawVersionBits();
+    }
+
+    // Finder plus its light separator, centred on (cx, cy)
+    drawFinderPattern(cx, cy) {
+        for (let dy = -4; dy <= 4; dy++) {
+            for (let dx = -4; dx <= 4; dx++) {
+                const x = cx + dx;
+                const y = cy + dy;
+                if (x < 0 || x >= this.size || y < 0 || y >= this.size) continue;
+
+                const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                this.setFunctionModule(x, y, distance !== 2 && distance !== 4);
+            }
+        }
+    }
+
+    drawAlignmentPattern(cx, cy) {
+        for (let dy = -2; dy <= 2; dy++) {
+            for (let dx = -2; dx <= 2; dx++) {
+                this.setFunctionModule(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+            }
+        }
+    }
+
+    // Level M has format bits 00, followed by the mask number
+    drawFormatBits(mask) {
+        let remainder = mask;
+        for (let i = 0; i < 10; i++) {
+            remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+        }
+        const bits = ((mask << 10) | remainder) ^ 0x5412;
+        const bit = (i) => ((bits >>> i) & 1) !== 0;
+
+        for (let i = 0; i <= 5; i++) {
+            this.setFunctionModule(8, i, bit(i));
+        }
+        this.setFunctionModule(8, 7, bit(6));
+        this.setFunctionModule(8, 8, bit(7));
+        this.setFunctionModule(7, 8, bit(8));
+        for (let i = 9; i < 15; i++) {
+            this.setFunctionModule(14 - i, 8, bit(i));
+        }
+
+        for (let i = 0; i < 8; i++) {
+            this.setFunctionModule(this.size - 1 - i, 8, bit(i));
+        }
+        for (let i = 8; i < 15; i++) {
+            this.setFunctionModule(8, this.size - 15 + i, bit(i));
+        }
+        this.setFunctionModule(8, this.size - 8, true); // Always dark
+    }
+
+    drawVersionBits() {
+        if (this.version < 7) return;
+
+        let remainder = this.version;
+        for (let i = 0; i < 12; i++) {
+            remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+        }
+        const bits = (this.version << 12) | remainder;
+
+        for (let i = 0; i < 18; i++) {
+            const dark = ((bits >>> i) & 1) !== 0;
+            const a = this.size - 11 + (i % 3);
+            const b = Math.floor(i / 3);
+            this.setFunctionModule(a, b, dark);
+            this.setFunctionModule(b, a, dark);
+        }
+    }
+
+    // Zigzags up and down two-module columns from the bottom-right corner
+    drawCodewords(codewords) {
+        let i = 0;
+        for (let right = this.size - 1; right >= 1; right -= 2) {
+            if (right === 6) right = 5; // Skip the vertical timing pattern
+
+            for (let vertical = 0; vertical < this.size; vertical++) {
+                for (let j = 0; j < 2; j++) {
+                    const x = right - j;
+                    const upward = ((right + 1) & 2) === 0;
+                    const y = upward ? this.size - 1 - vertical : vertical;
+
+                    if (!this.isFunction[y][x] && i < codewords.length * 8) {
+                        this.modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) !== 0;
+                        i++;
+                    }
+                }
+            }
+        }
+    }
+
+    // Applying a mask twice undoes it
+    toggleMask(mask) {
+        for (let y = 0; y < this.size; y++) {
+            for (let x = 0; x < this.size; x++) {
+                if (!this.isFunction[y][x] && QrCode.maskApplies(mask, x, y)) {
+                    this.modules[y][x] = !this.modules[y][x];
+                }
+            }
+        }
+    }
+
+    applyBestMask() {
+        let best = 0;
+        let bestPenalty = Infinity;
+
+        for (let mask = 0; mask < 8; mask++) {
+            this.toggleMask(mask);
+            this.drawFormatBits(mask);
+            const penalty = this.getPenalty();
+            if (penalty < bestPenalty) {
+                best = mask;
+                bestPenalty = penalty;
+            }
+            this.toggleMask(mask);
+        }
+
+        this.toggleMask(best);
+        this.drawFormatBits(best);
+    }
+
+    // Penalty rules from ISO/IEC 18004 section 7.8.3; lower scans more reliably
+    getPenalty() {
+        const size = this.size;
+        const get = (x, y) => this.modules[y][x];
+        let penalty = 0;
+
+        const lines = [];
+        for (let i = 0; i < size; i++) {
+            lines.push(Array.from({ length: size }, (_, j) => get(j, i)));
+            lines.push(Array.from({ length: size }, (_, j) => get(i, j)));
+        }
+
+        // Runs of five or more modules of one colour, and finder-like patterns
+        const finderLike = [true, false, true, true, true, false, true];
+        lines.forEach(line => {
+            let run = 1;
+            for (let i = 1; i <= size; i++) {
+                if (i < size && line[i] === line[i - 1]) {
+                    run++;
+                } else {
+                    if (run >= 5) penalty += run - 2;
+                    run = 1;
+                }
+            }
+
+            for (let i = 0; i + 7 <= size; i++) {
+                if (!finderLike.every((dark, k) => line[i + k] === dark)) continue;
+                const lightBefore = [1, 2, 3, 4].every(k => i - k < 0 || !line[i - k]);
+                const lightAfter = [0, 1, 2, 3].every(k => i + 7 + k >= size || !line[i + 7 + k]);
+                if (lightBefore || lightAfter) penalty += 40;
+            }
+        });
+
+        // 2x2 blocks of one colour
+        for (let y = 0; y < size - 1; y++) {
+            for (let x = 0; x < size - 1; x++) {
+                const dark = get(x, y);
+                if (dark === get(x + 1, y) && dark === get(x, y + 1) && dark === get(x + 1, y + 1)) {
+                    penalty += 3;
+                }
+            }
+        }
+
+        // Balance of dark and light modules
+        const darkCount = this.modules.reduce((sum, row) => sum + row.filter(Boolean).length, 0);
+        const deviation = Math.abs(darkCount * 20 - size * size * 10);
+        penalty += Math.floor(deviation / (size * size)) * 10;
+
+        return penalty;
+    }
+}
+
+// Create global reference
+window.QrCode = QrCode;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = QrCode;
+}
@@ -106,8 +106,8 @@ class Validators {
         return { valid: true };
     }
 
-    // Image file validation
-    static validateImageFile(file) {
+    // Image file validation (maxSizeMB is raised for originals that are compressed before upload)
+    static validateImageFile(file, maxSizeMB = 5) {
         if (!file) {
             return { valid: true }; // Image is optional
         }
@@ -121,12 +121,12 @@ class Validators {
             };
         }
 
-        // Check file size (max 5MB)
-        const maxSize = 5 * 1024 * 1024; // 5MB in bytes
+        // Check file size (max 5MB by default)
+        const maxSize = maxSizeMB * 1024 * 1024; // MB in bytes
         if (file.size > maxSize) {
             return { 
                 valid: false, 
-                message: 'Image file size must not exceed 5MB' 
+                message: `Image file size must not exceed ${maxSizeMB}MB` 
             };
         }
 
@@ -186,6 +186,17 @@ class Validators {
             errors.push({ field: 'name', message: nameResult.message });
         }
 
+        // The details are optional
+        if (formData.description && formData.description.length > 300) {
+            errors.push({ field: 'description', message: 'Description must be at most 300 characters' });
+        }
+        if (formData.color && !/^#[0-9a-f]{6}$/i.test(formData.color)) {
+            errors.push({ field: 'color', message: 'Color must be a hex value such as #0B5FFF' });
+        }
+        if (formData.icon && !formData.icon.startsWith('data:') && (Array.from(formData.icon).length > 8 || /[<>]/.test(formData.icon))) {
+            errors.push({ field: 'icon', message: 'Icon must be an emoji or an SVG file' });
+        }
+
         return {
             valid: errors.length === 0,
             errors
@@ -214,6 +225,106 @@ class Validators {
         };
     }
 
+    // Password strength (kept in step with requireStrongPassword_ in the backend)
+    static validatePasswordStrength(password, username = '') {
+        if (!password) {
+            return { valid: false, message: 'Password is required' };
+        }
+
+        const value = password.trim();
+        if (value.length < 8) {
+            return { valid: false, message: 'Password must be at least 8 characters long' };
+        }
+
+        if (!/[a-z]/.test(value) || !/[A-Z]/.test(value) || !/[0-9]/.test(value)) {
+            return {
+                valid: false,
+                message: 'Password must contain upper and lower case letters and a number'
+            };
+        }
+
+        if (username && value.toLowerCase().includes(username.toLowerCase())) {
+            return { valid: false, message: 'Password must not contain the username' };
+        }
+
+        return { valid: true };
+    }
+
+    // Change password form validation
+    static validateChangePasswordForm(formData, username = '') {
+        const errors = [];
+
+        const currentResult = this.validateRequired(formData.currentPassword, 'Current password');
+        if (!currentResult.valid) {
+            errors.push({ field: 'currentPassword', message: currentResult.message });
+        }
+
+        const strengthResult = this.validatePasswordStrength(formData.newPassword, username);
+        if (!strengthResult.valid) {
+            errors.push({ field: 'newPassword', message: strengthResult.message });
+        } else if (formData.newPassword === formData.currentPassword) {
+            errors.push({ field: 'newPassword', message: 'New password must be different from the current one' });
+        }
+
+        if (formData.confirmPassword !== formData.newPassword) {
+            errors.push({ field: 'confirmPassword', message: 'Passwords do not match' });
+        }
+
+        return {
+            valid: errors.length === 0,
+            errors
+        };
+    }
+
+    // Username validation (same rules as requireUsername_ in the backend)
+    static validateUsername(username) {
+        const requiredResult = this.validateRequired(username, 'Username');
+        if (!requiredResult.valid) return requiredResult;
+
+        if (!/^[A-Za-z0-9._-]{3,32}$/.test(username.trim())) {
+            return {
+                valid: false,
+                message: 'Username must be 3-32 letters, numbers, dots, hyphens or underscores'
+            };
+        }
+
+        return { valid: true };
+    }
+
+    // Invite user form validation
+    static validateInviteForm(formData) {
+        const errors = [];
+
+        const usernameResult = this.validateUsername(formData.username);
+        if (!usernameResult.valid) {
+            errors.push({ field: 'username', message: usernameResult.message });
+        }
+
+        const roleResult = this.validateRequired(formData.role, 'Role');
+        if (!roleResult.valid) {
+            errors.push({ field: 'role', message: roleResult.message });
+        }
+
+        return {
+            valid: errors.length === 0,
+            errors
+        };
+    }
+
+    // Authenticator app code used to confirm two-factor setup
+    static validateTwoFactorCode(code) {
+        const requiredResult = this.validateRequired(code, 'Code');
+        if (!requiredResult.valid) {
+            return { valid: false, errors: [{ field: 'code', message: requiredResult.message }] };
+        }
+
+        if (!/^\d{6}$/.test(code.trim())) {
+            return { valid: false, errors: [{ field: 'code', message: 'Enter the 6-digit code from your authenticator app' }] };
+        }
+
+        return { valid: true, errors: [] };
+    }
+
     // Search validation (for admin - minimum 3 characters)
     static validateSearchQuery(query) {
         if (!query || query.trim() === '') {
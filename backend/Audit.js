@@ -0,0 +1,97 @@
+/**
+ * Audit Log
+ * Every admin change and login is appended to the Audit sheet with who made
+ * it, when, and the record before and after as JSON. Rows are only appended,
+ * so the sheet order is the order of events.
+ */
+const AUDIT_COLUMNS = ['DATE', 'TIME', 'ACTOR', 'ACTION', 'ENTITY ID', 'BEFORE', 'AFTER'];
+
+const AUDIT_ACTIONS = [
+    'entry.create', 'entry.update', 'entry.delete', 'entry.restore', 'entry.purge',
+    'category.create', 'category.rename', 'category.delete', 'category.restore', 'category.purge',
+    'category.update', 'category.reorder', 'category.merge',
+    'user.invite', 'user.update', 'user.password', 'user.2fa.enable', 'user.2fa.disable', 'user.2fa.recoveryCodes',
+    'session.revoke', 'lockout.clear',
+    'entry.relink', 'file.delete',
+    'login'
+];
+
+// Entity id of changes to the Drive image folder as a whole
+const DRIVE_FOLDER_ENTITY = 'Drive folder';
+
+// Uploaded category icons are data URLs of up to MAX_CATEGORY_ICON_LENGTH;
+// a few of them would fill the 50,000 characters of a cell
+const AUDIT_DATA_URL_PLACEHOLDER = '(uploaded image)';
+
+function toAuditJson_(values) {
+    return JSON.stringify(values, (key, value) =>
+        typeof value === 'string' && value.indexOf('data:') === 0 ? AUDIT_DATA_URL_PLACEHOLDER : value);
+}
+
+// before/after are null when the entity did not exist on that side of the
+// change. The change itself is already saved, so a failed write is logged
+// rather than reported to the admin as a failed request.
+function recordAudit_(ctx, actor, action, entityId, before, after) {
+    const { date, time } = nowStamp_();
+    try {
+        ctx.storage.sheets.ensureSheet(SHEETS.AUDIT, AUDIT_COLUMNS);
+        ctx.storage.sheets.appendRow(SHEETS.AUDIT, {
+            'DATE': date,
+            'TIME': time,
+            'ACTOR': actor,
+            'ACTION': action,
+            'ENTITY ID': entityId,
+            'BEFORE': before ? toAuditJson_(before) : '',
+            'AFTER': after ? toAuditJson_(after) : ''
+        });
+    } catch (error) {
+        console.error(`Could not record ${action} of ${entityId} by ${actor}: ${error.message}`);
+    }
+}
+
+function parseAuditValue_(value) {
+    try {
+        return value ? JSON.parse(value) : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+function toAuditRecord_(row) {
+    return {
+        date: row['DATE'],
+        time: row['TIME'],
+        actor: row['ACTOR'],
+        action: row['ACTION'],
+        entityId: row['ENTITY ID'],
+        before: parseAuditValue_(row['BEFORE']),
+        after: parseAuditValue_(row['AFTER'])
+    };
+}
+
+// Latest first; params: user, type, startDate, endDate (yyyy-MM-dd), page, size.
+// The action filter is "type" because "action" names the route. Without page
+// or size every matching record is returned, e.g. for a CSV export.
+function handleListAudit_(ctx) {
+    requirePermission_(ctx, 'viewAudit');
+    const params = ctx.params;
+    const user = (params.user || '').trim().toLowerCase();
+
+    const rows = ctx.storage.sheets.hasSheet(SHEETS.AUDIT) ? ctx.storage.sheets.getRows(SHEETS.AUDIT) : [];
+    const records = rows.reverse().filter(row => {
+        if (user && !String(row['ACTOR']).toLowerCase().includes(user)) return false;
+        if (params.type && row['ACTION'] !== params.type) return false;
+        if (params.startDate && row['DATE'] < params.startDate) return false;
+        if (params.endDate && row['DATE'] > params.endDate) return false;
+        return true;
+    });
+
+    const size = Math.max(1, parseInt(params.size, 10) || DEFAULT_PAGE_SIZE);
+    const page = Math.max(1, parseInt(params.page, 10) || 1);
+    const paged = params.page || params.size ? records.slice((page - 1) * size, page * size) : records;
+
+    return {
+        message: 'OK',
+        data: { records: paged.map(toAuditRecord_), total: records.length, page, size, actions: AUDIT_ACTIONS }
+    };
+}
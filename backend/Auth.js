@@ -0,0 +1,258 @@
+/**
+ * Auth Routes
+ * Login against Admin-info and token sessions kept in CacheService
+ *
+ * Sessions slide: each auth/refresh moves expiresAt SESSION_IDLE_MINUTES past
+ * the refresh, so only an idle admin panel runs out.
+ *
+ * PASSWORD holds "pbkdf2-sha256$<iterations>$<salt>$<hash>". Plain-text values
+ * from older sheets are still accepted and replaced by a hash on the next login.
+ * Accounts with two-factor authentication get a session from auth/2fa/verify
+ * instead (see TwoFactor.js).
+ */
+function toAdminUser_(row) {
+    // A blank ROLE is the original single admin; an unknown one gets the least access
+    const role = !row.ROLE ? 'owner' : ROLES.indexOf(row.ROLE) !== -1 ? row.ROLE : 'viewer';
+    return {
+        username: row.USERNAME,
+        role,
+        status: row.STATUS || USER_STATUS.ACTIVE,
+        twoFactorEnabled: !!row['TOTP SECRET']
+    };
+}
+
+function findAdminUser_(ctx, username) {
+    const row = ctx.storage.sheets.getRows(SHEETS.ADMIN).find(current => current.USERNAME === username);
+    return row ? toAdminUser_(row) : null;
+}
+
+// Role and status are read on every request, so changes apply to live sessions
+function requireAuth_(ctx) {
+    const session = ctx.storage.tokens.get(ctx.token);
+    if (!session || new Date(session.expiresAt) <= new Date()) {
+        throw new ApiError(401, 'Unauthorized');
+    }
+
+    const user = findAdminUser_(ctx, session.username);
+    if (!user || user.status === USER_STATUS.INACTIVE) {
+        ctx.storage.tokens.remove(ctx.token);
+        throw new ApiError(401, 'Unauthorized');
+    }
+
+    ctx.storage.tokens.touch(ctx.token);
+    return Object.assign({}, session, { role: user.role, status: user.status });
+}
+
+function requirePermission_(ctx, permission) {
+    const session = requireAuth_(ctx);
+    if (ROLE_PERMISSIONS[permission].indexOf(session.role) === -1) {
+        throw new ApiError(403, 'Your role does not allow this action');
+    }
+    return session;
+}
+
+// PBKDF2-HMAC-SHA256 for a single 32-byte block, base64 encoded
+function derivePasswordKey_(password, salt, iterations) {
+    const key = Utilities.newBlob(password).getBytes();
+    let block = Utilities.computeHmacSha256Signature(Utilities.newBlob(salt).getBytes().concat([0, 0, 0, 1]), key);
+    const result = block.slice();
+
+    for (let round = 1; round < iterations; round++) {
+        block = Utilities.computeHmacSha256Signature(block, key);
+        for (let i = 0; i < result.length; i++) {
+            result[i] ^= block[i];
+        }
+    }
+    return Utilities.base64Encode(result);
+}
+
+function hashPassword_(password) {
+    const salt = Utilities.getUuid().replace(/-/g, '');
+    const hash = derivePasswordKey_(password, salt, PASSWORD_HASH_ITERATIONS);
+    return ['pbkdf2-sha256', PASSWORD_HASH_ITERATIONS, salt, hash].join('$');
+}
+
+function parsePasswordHash_(stored) {
+    const parts = String(stored || '').split('$');
+    if (parts.length !== 4 || parts[0] !== 'pbkdf2-sha256') return null;
+
+    const iterations = parseInt(parts[1], 10);
+    return iterations > 0 ? { iterations, salt: parts[2], hash: parts[3] } : null;
+}
+
+function verifyPassword_(password, stored) {
+    const parsed = parsePasswordHash_(stored);
+    if (!parsed) {
+        // Legacy plain-text value, replaced by a hash once this login succeeds
+        return constantTimeEquals_(password, String(stored || ''));
+    }
+    return constantTimeEquals_(derivePasswordKey_(password, parsed.salt, parsed.iterations), parsed.hash);
+}
+
+// Checked in place of a missing user's hash, so an unknown username takes as
+// long to refuse as a wrong password and cannot be told apart by timing
+function getDummyPasswordHash_() {
+    return ['pbkdf2-sha256', PASSWORD_HASH_ITERATIONS, 'no-such-user', ''].join('$');
+}
+
+function needsRehash_(stored) {
+    const parsed = parsePasswordHash_(stored);
+    return !parsed || parsed.iterations < PASSWORD_HASH_ITERATIONS;
+}
+
+function constantTimeEquals_(a, b) {
+    let diff = a.length ^ b.length;
+    for (let i = 0; i < Math.max(a.length, b.length); i++) {
+        diff |= (a.charCodeAt(i) || 0) ^ (b.charCodeAt(i) || 0);
+    }
+    return diff === 0;
+}
+
+// Mirrors Validators.validatePasswordStrength() in the admin panel
+function requireStrongPassword_(password, username) {
+    if (password.length < PASSWORD_MIN_LENGTH) {
+        throw new ApiError(400, `Password must be at least ${PASSWORD_MIN_LENGTH} characters long`);
+    }
+    if (!/[a-z]/.test(password) || !/[A-Z]/.test(password) || !/[0-9]/.test(password)) {
+        throw new ApiError(400, 'Password must contain upper and lower case letters and a number');
+    }
+    if (username && password.toLowerCase().includes(username.toLowerCase())) {
+        throw new ApiError(400, 'Password must not contain the username');
+    }
+}
+
+function handleLogin_(ctx) {
+    const username = requireField_(ctx.body.username, 'Username');
+    const password = requireField_(ctx.body.password, 'Password');
+    const keys = toLoginKeys_(username, ctx.body.clientId);
+    requireNotLockedOut_(ctx, keys);
+
+    const rows = ctx.storage.sheets.getRows(SHEETS.ADMIN);
+    const index = rows.findIndex(row => row.USERNAME === username);
+    const admin = rows[index];
+    const verified = verifyPassword_(password, admin ? admin.PASSWORD : getDummyPasswordHash_());
+    if (!admin || !verified) {
+        const attemptsRemaining = recordLoginFailure_(ctx, keys);
+        throw new ApiError(401, 'Invalid username or password', { attemptsRemaining });
+    }
+
+    const user = toAdminUser_(admin);
+    if (user.status === USER_STATUS.INACTIVE) {
+        throw new ApiError(401, 'This account has been deactivated');
+    }
+
+    if (needsRehash_(admin.PASSWORD)) {
+        rows[index] = Object.assign({}, admin, { PASSWORD: hashPassword_(password) });
+        ctx.storage.sheets.ensureColumns(SHEETS.ADMIN, ADMIN_EXTRA_COLUMNS);
+        ctx.storage.sheets.setRows(SHEETS.ADMIN, rows);
+    }
+
+    // The password alone is not enough; the code is checked by auth/2fa/verify,
+    // which also clears the failed attempts
+    if (user.twoFactorEnabled) {
+        return { message: 'Two-factor code required', data: startTwoFactorChallenge_(ctx, username, ctx.body.clientId) };
+    }
+
+    clearLoginFailures_(ctx, keys);
+    return { message: 'Login successful', data: startSession_(ctx, user, ctx.body.userAgent) };
+}
+
+// Never longer than the cache keeps the token
+function getSessionIdleSeconds_() {
+    const minutes = parseFloat(getProperty_('SESSION_IDLE_MINUTES', ''));
+    return Math.min((minutes > 0 ? minutes : DEFAULT_SESSION_IDLE_MINUTES) * 60, TOKEN_TTL_SECONDS);
+}
+
+// The id names the session in the Sessions view without revealing its token
+function startSession_(ctx, user, userAgent) {
+    const now = new Date();
+    const token = Utilities.getUuid();
+    const expiresAt = new Date(now.getTime() + getSessionIdleSeconds_() * 1000).toISOString();
+    const agent = String(userAgent || '').slice(0, SESSION_USER_AGENT_MAX_LENGTH);
+
+    ctx.storage.tokens.put(token, {
+        id: Utilities.getUuid(),
+        username: user.username,
+        createdAt: now.toISOString(),
+        expiresAt,
+        userAgent: agent
+    });
+    trackSession_(ctx, user.username, token);
+    recordAudit_(ctx, user.username, 'login', user.username, null, { userAgent: agent });
+
+    return { token, expiresAt, username: user.username, role: user.role, status: user.status };
+}
+
+// Keeps the token; an expired one cannot be refreshed and needs a new login
+function handleRefresh_(ctx) {
+    const session = requireAuth_(ctx);
+    const expiresAt = new Date(Date.now() + getSessionIdleSeconds_() * 1000).toISOString();
+
+    ctx.storage.tokens.put(ctx.token, {
+        id: session.id,
+        username: session.username,
+        createdAt: session.createdAt,
+        expiresAt,
+        userAgent: session.userAgent
+    });
+    // Keeps the username's token list alive as long as the session
+    trackSession_(ctx, session.username, ctx.token);
+
+    return {
+        message: 'Session extended',
+        data: { token: ctx.token, expiresAt, username: session.username, role: session.role, status: session.status }
+    };
+}
+
+function handleVerify_(ctx) {
+    const session = requireAuth_(ctx);
+    return {
+        message: 'Token is valid',
+        data: { username: session.username, role: session.role, status: session.status, expiresAt: session.expiresAt }
+    };
+}
+
+// Wrong current passwords count against the same keys as failed logins, so a
+// stolen session cannot be used to guess the password. Every other session of
+// the admin ends with the old password.
+function handleChangePassword_(ctx) {
+    const session = requireAuth_(ctx);
+    const currentPassword = requireField_(ctx.body.currentPassword, 'Current password');
+    const newPassword = requireField_(ctx.body.newPassword, 'New password');
+    const keys = toLoginKeys_(session.username, ctx.body.clientId);
+    requireNotLockedOut_(ctx, keys);
+
+    const rows = ctx.storage.sheets.getRows(SHEETS.ADMIN);
+    const index = rows.findIndex(row => row.USERNAME === session.username);
+    if (index === -1 || !verifyPassword_(currentPassword, rows[index].PASSWORD)) {
+        const attemptsRemaining = recordLoginFailure_(ctx, keys);
+        throw new ApiError(400, 'Current password is incorrect', { attemptsRemaining });
+    }
+    if (newPassword === currentPassword) {
+        throw new ApiError(400, 'New password must be different from the current one');
+    }
+    requireStrongPassword_(newPassword, session.username);
+
+    // Choosing their own password completes an invitation
+    const before = toAdminUser_(rows[index]);
+    rows[index] = Object.assign({}, rows[index], { PASSWORD: hashPassword_(newPassword) });
+    if (session.status === USER_STATUS.INVITED) {
+        rows[index].STATUS = USER_STATUS.ACTIVE;
+    }
+    ctx.storage.sheets.ensureColumns(SHEETS.ADMIN, ADMIN_EXTRA_COLUMNS);
+    ctx.storage.sheets.setRows(SHEETS.ADMIN, rows);
+
+    // Never the hashes; the snapshot shows an invitation being completed
+    recordAudit_(ctx, session.username, 'user.password', session.username, before, toAdminUser_(rows[index]));
+    clearLoginFailures_(ctx, keys);
+    const revoked = revokeOtherSessions_(ctx, session);
+    return { message: 'Password changed', data: { revokedSessions: revoked.length } };
+}
+
+function handleLogout_(ctx) {
+    const session = ctx.storage.tokens.get(ctx.token);
+    if (session) {
+        revokeSessions_(ctx, session.username, [ctx.token]);
+    }
+    return { message: 'Logged out' };
+}
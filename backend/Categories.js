@@ -0,0 +1,416 @@
+/**
+ * Category Routes
+ * Each category is a row in "Categories" plus its own copy of Master_Template.
+ * The row also holds how the category is shown: description, badge color,
+ * icon, display order and whether the public showcase lists it.
+ */
+function toCategory_(row) {
+    return {
+        serial: parseInt(row['S.NO'], 10),
+        name: row['CATEGORY-NAME'],
+        date: row['DATE'],
+        time: row['TIME'],
+        revision: row['REVISION'] || '',
+        description: row['DESCRIPTION'] || '',
+        color: row['COLOR'] || '',
+        icon: row['ICON'] || '',
+        order: getCategoryPosition_(row),
+        hidden: row['VISIBILITY'] === CATEGORY_VISIBILITY.HIDDEN
+    };
+}
+
+// What a card needs to draw the category badge
+function toCategoryStyle_(row) {
+    const category = toCategory_(row);
+    return { color: category.color, icon: category.icon, description: category.description };
+}
+
+// Rows saved before SORT ORDER existed keep their creation order
+function getCategoryPosition_(row) {
+    return parseInt(row['SORT ORDER'], 10) || parseInt(row['S.NO'], 10) || 0;
+}
+
+function getSortedCategoryRows_(ctx) {
+    return ctx.storage.sheets.getRows(SHEETS.CATEGORIES).sort((a, b) =>
+        (getCategoryPosition_(a) - getCategoryPosition_(b)) || (parseInt(a['S.NO'], 10) - parseInt(b['S.NO'], 10))
+    );
+}
+
+function isCategoryHidden_(row) {
+    return !!row && row['VISIBILITY'] === CATEGORY_VISIBILITY.HIDDEN;
+}
+
+// An emoji (a few characters at most) or an uploaded SVG as a base64 data URL.
+// Clients only show SVG icons through <img>, where their scripts do not run.
+function parseCategoryIcon_(value) {
+    const icon = String(value || '').trim();
+    if (!icon) return '';
+
+    if (icon.indexOf('data:') === 0) {
+        if (!/^data:image\/svg\+xml;base64,[A-Za-z0-9+/]+=*$/.test(icon)) {
+            throw new ApiError(400, 'Icon images must be SVG files');
+        }
+        if (icon.length > MAX_CATEGORY_ICON_LENGTH) {
+            throw new ApiError(400, 'Icon image is too large. SVG icons can be up to 29 KB.');
+        }
+        return icon;
+    }
+
+    if (Array.from(icon).length > 8 || /[<>]/.test(icon)) {
+        throw new ApiError(400, 'Icon must be an emoji or an SVG file');
+    }
+    return icon;
+}
+
+// The optional details in the body as columns; fields left out are not returned,
+// so an update keeps their current value
+function readCategoryDetails_(body) {
+    const details = {};
+
+    if (body.description !== undefined) {
+        const description = String(body.description || '').trim();
+        if (description.length > MAX_CATEGORY_DESCRIPTION_LENGTH) {
+            throw new ApiError(400, `Description must be at most ${MAX_CATEGORY_DESCRIPTION_LENGTH} characters`);
+        }
+        details['DESCRIPTION'] = description;
+    }
+    if (body.color !== undefined) {
+        const color = String(body.color || '').trim();
+        if (color && !/^#[0-9a-f]{6}$/i.test(color)) {
+            throw new ApiError(400, 'Color must be a hex value such as #0B5FFF');
+        }
+        details['COLOR'] = color.toUpperCase();
+    }
+    if (body.icon !== undefined) {
+        details['ICON'] = parseCategoryIcon_(body.icon);
+    }
+    if (body.hidden !== undefined) {
+        const hidden = body.hidden === true || body.hidden === 'true';
+        details['VISIBILITY'] = hidden ? CATEGORY_VISIBILITY.HIDDEN : CATEGORY_VISIBILITY.PUBLIC;
+    }
+    return details;
+}
+
+function requireCategoryNameLength_(name) {
+    if (name.length > MAX_CATEGORY_NAME_LENGTH) {
+        throw new ApiError(400, `Category name must be at most ${MAX_CATEGORY_NAME_LENGTH} characters`);
+    }
+    return name;
+}
+
+function requireCategory_(ctx, name) {
+    const exists = ctx.storage.sheets.getRows(SHEETS.CATEGORIES).some(row => row['CATEGORY-NAME'] === name);
+    if (!exists || !ctx.storage.sheets.hasSheet(name)) {
+        throw new ApiError(404, `Category "${name}" not found`);
+    }
+}
+
+function isCategoryNameTaken_(ctx, name) {
+    const lowerName = name.toLowerCase();
+    const inCategories = ctx.storage.sheets.getRows(SHEETS.CATEGORIES)
+        .some(row => row['CATEGORY-NAME'].toLowerCase() === lowerName);
+    const inSheets = ctx.storage.sheets.listSheetNames()
+        .concat(SYSTEM_SHEETS)
+        .some(sheetName => sheetName.toLowerCase() === lowerName);
+    return inCategories || inSheets;
+}
+
+// In display order. Hidden categories are only listed with includeHidden=true,
+// which needs a signed-in user.
+function handleListCategories_(ctx) {
+    const includeHidden = String(ctx.params.includeHidden) === 'true';
+    if (includeHidden) {
+        requirePermission_(ctx, 'viewEntries');
+    }
+
+    const rows = getSortedCategoryRows_(ctx).filter(row => includeHidden || !isCategoryHidden_(row));
+    return { message: 'OK', data: rows.map(toCategory_) };
+}
+
+function handleCreateCategory_(ctx) {
+    const session = requirePermission_(ctx, 'manageCategories');
+    const name = requireCategoryNameLength_(requireField_(ctx.body.name, 'Category name'));
+
+    if (isCategoryNameTaken_(ctx, name)) {
+        throw new ApiError(409, `Category "${name}" already exists`);
+    }
+
+    const { date, time } = nowStamp_();
+    const rows = ctx.storage.sheets.getRows(SHEETS.CATEGORIES);
+    // New categories are listed last
+    const row = Object.assign({
+        'S.NO': nextSerial_(rows),
+        'CATEGORY-NAME': name,
+        'DATE': date,
+        'TIME': time,
+        'REVISION': newRevision_(),
+        'DESCRIPTION': '',
+        'COLOR': '',
+        'ICON': '',
+        'SORT ORDER': rows.reduce((max, current) => Math.max(max, getCategoryPosition_(current)), 0) + 1,
+        'VISIBILITY': CATEGORY_VISIBILITY.PUBLIC
+    }, readCategoryDetails_(ctx.body));
+
+    ctx.storage.sheets.ensureColumns(SHEETS.CATEGORIES, CATEGORY_EXTRA_COLUMNS);
+    ctx.storage.sheets.copyTemplate(name);
+    ctx.storage.sheets.appendRow(SHEETS.CATEGORIES, row);
+
+    recordAudit_(ctx, session.username, 'category.create', name, null, row);
+    return { message: 'Category created', data: toCategory_(row) };
+}
+
+// body: { originalName, newName, revision } plus any of the details in
+// readCategoryDetails_. Keeping the name only saves the details.
+function handleUpdateCategory_(ctx) {
+    const session = requirePermission_(ctx, 'manageCategories');
+    const originalName = requireField_(ctx.body.originalName, 'Original name');
+    const newName = requireField_(ctx.body.newName, 'New name');
+
+    // Renamed or deleted by someone else since the list was loaded
+    const current = ctx.storage.sheets.getRows(SHEETS.CATEGORIES).find(row => row['CATEGORY-NAME'] === originalName);
+    if (!current || !ctx.storage.sheets.hasSheet(originalName)) {
+        throw new ApiError(409, `Category "${originalName}" was renamed or deleted by someone else`, {
+            conflict: true,
+            current: null
+        });
+    }
+    checkRevision_(ctx, current, () => toCategory_(current));
+
+    // A case-only rename of the same category is allowed
+    const renamed = newName !== originalName;
+    if (renamed) {
+        requireCategoryNameLength_(newName);
+    }
+    if (originalName.toLowerCase() !== newName.toLowerCase() && isCategoryNameTaken_(ctx, newName)) {
+        throw new ApiError(409, `Category "${newName}" already exists`);
+    }
+
+    const updated = Object.assign({}, current, readCategoryDetails_(ctx.body), {
+        'CATEGORY-NAME': newName,
+        'REVISION': newRevision_()
+    });
+    const rows = ctx.storage.sheets.getRows(SHEETS.CATEGORIES).map(row =>
+        row['CATEGORY-NAME'] === originalName ? updated : row
+    );
+    ctx.storage.sheets.ensureColumns(SHEETS.CATEGORIES, CATEGORY_EXTRA_COLUMNS);
+    if (renamed) {
+        ctx.storage.sheets.renameSheet(originalName, newName);
+    }
+    ctx.storage.sheets.setRows(SHEETS.CATEGORIES, rows);
+
+    // Entries carry the name too; a new revision makes open edit forms reload it
+    let entries = [];
+    if (renamed) {
+        ensureEntryColumns_(ctx, newName);
+        entries = ctx.storage.sheets.getRows(newName).map(row =>
+            Object.assign({}, row, { 'CATEGORY': newName, 'REVISION': newRevision_() })
+        );
+        ctx.storage.sheets.setRows(newName, entries);
+        renameTrashedCategory_(ctx, originalName, newName);
+    }
+
+    recordAudit_(ctx, session.username, renamed ? 'category.rename' : 'category.update', originalName, current, updated);
+    return {
+        message: 'Category updated',
+        data: Object.assign(toCategory_(updated), { entriesUpdated: entries.length })
+    };
+}
+
+// Appends the rows to another category sheet after its own serials; one write,
+// so the entries are never in both sheets or in neither
+function moveEntriesToCategory_(ctx, entries, category) {
+    ensureEntryColumns_(ctx, category);
+    const rows = ctx.storage.sheets.getRows(category);
+    entries.forEach(row => {
+        rows.push(Object.assign({}, row, {
+            'S.NO': nextSerial_(rows),
+            'CATEGORY': category,
+            'REVISION': newRevision_()
+        }));
+    });
+    ctx.storage.sheets.setRows(category, rows);
+}
+
+// body: { name, moveTo?, confirmName? }. A category with entries is only
+// deleted once they are moved to moveTo, or confirmName repeats its name to
+// send them to the Trash with it.
+function handleDeleteCategory_(ctx) {
+    const session = requirePermission_(ctx, 'manageCategories');
+    const name = requireField_(ctx.body.name, 'Category name');
+    requireCategory_(ctx, name);
+
+    const entries = ctx.storage.sheets.getRows(name);
+    const moveTo = ctx.body.moveTo ? String(ctx.body.moveTo).trim() : '';
+    const count = `${entries.length} entr${entries.length === 1 ? 'y' : 'ies'}`;
+
+    if (moveTo) {
+        if (moveTo === name) {
+            throw new ApiError(400, 'Choose another category to move the entries to');
+        }
+        requireCategory_(ctx, moveTo);
+    } else if (entries.length > 0 && ctx.body.confirmName !== name) {
+        throw new ApiError(400, `"${name}" holds ${count}. Choose a category to move them to, or type the category name to delete them.`, {
+            entryCount: entries.length
+        });
+    }
+
+    // Entries not moved go to the Trash with the category; their images stay until it is purged.
+    // The Trash record is written first and taken back if the move fails, so
+    // entries never end up in both sheets.
+    const categories = ctx.storage.sheets.getRows(SHEETS.CATEGORIES);
+    const deleted = categories.find(row => row['CATEGORY-NAME'] === name);
+    const trashed = moveToTrash_(ctx, session.username, TRASH_TYPES.CATEGORY, name, { row: deleted },
+        moveTo ? [] : entries);
+    if (moveTo) {
+        try {
+            moveEntriesToCategory_(ctx, entries, moveTo);
+        } catch (error) {
+            removeTrashItem_(ctx, trashed['TRASH ID']);
+            throw error;
+        }
+    }
+
+    ctx.storage.sheets.deleteSheet(name);
+    ctx.storage.sheets.setRows(SHEETS.CATEGORIES, categories.filter(row => row !== deleted));
+
+    // The record names the entries the sheet held and where they went
+    const before = Object.assign({}, deleted, {
+        'ENTRIES': entries.map(row => ({ 'ENTRY ID': row['ENTRY ID'], 'WEB NAME': row['WEB NAME'], 'URL': row['URL'] }))
+    });
+    if (moveTo) {
+        before['MOVED TO'] = moveTo;
+    }
+    recordAudit_(ctx, session.username, 'category.delete', name, before, null);
+
+    return {
+        message: moveTo ? `Category deleted and ${count} moved to "${moveTo}"` : 'Category moved to the Trash',
+        data: { trashId: trashed['TRASH ID'], moved: moveTo ? entries.length : 0 }
+    };
+}
+
+// Entries count as the same site when their URLs match without scheme, "www."
+// and trailing slashes, or their names match ignoring case and spacing
+function getDuplicateKeys_(row) {
+    const url = String(row['URL'] || '').toLowerCase()
+        .replace(/^https?:\/\//, '')
+        .replace(/^www\./, '')
+        .replace(/\/+$/, '');
+    const name = String(row['WEB NAME'] || '').toLowerCase().trim().replace(/\s+/g, ' ');
+    return [url ? `url:${url}` : '', name ? `name:${name}` : ''].filter(Boolean);
+}
+
+// Flags every entry that repeats an earlier one with its ENTRY ID; existing flags stay
+function flagDuplicateEntries_(rows) {
+    const seen = {};
+    const flagged = [];
+    rows.forEach(row => {
+        const keys = getDuplicateKeys_(row);
+        const match = keys.find(key => seen[key]);
+        if (match) {
+            row['DUPLICATE OF'] = seen[match];
+            flagged.push(row);
+        }
+        keys.forEach(key => {
+            seen[key] = seen[key] || row['ENTRY ID'];
+        });
+    });
+    return flagged;
+}
+
+// body: { categories, target }. Every category but target is emptied into it
+// and deleted; entries keep their dates, and any that look like another entry
+// of target afterwards are flagged for review.
+function handleMergeCategories_(ctx) {
+    const session = requirePermission_(ctx, 'manageCategories');
+    const names = (Array.isArray(ctx.body.categories) ? ctx.body.categories : [])
+        .map(name => String(name).trim())
+        .filter((name, index, list) => name && list.indexOf(name) === index);
+    const target = requireField_(ctx.body.target, 'Category to keep');
+
+    if (names.length < 2) {
+        throw new ApiError(400, 'Choose at least two categories to merge');
+    }
+    if (names.indexOf(target) === -1) {
+        throw new ApiError(400, 'The category to keep must be one of the merged categories');
+    }
+    names.forEach(name => requireCategory_(ctx, name));
+
+    const sources = names.filter(name => name !== target);
+
+    // Visibility belongs to the category, so entries moved into a public one become public
+    const categoryRows = ctx.storage.sheets.getRows(SHEETS.CATEGORIES);
+    const findRow = name => categoryRows.find(row => row['CATEGORY-NAME'] === name);
+    const hiddenSources = sources.filter(name => isCategoryHidden_(findRow(name)));
+    if (hiddenSources.length > 0 && !isCategoryHidden_(findRow(target)) && ctx.body.publishHidden !== true) {
+        throw new ApiError(400, `Merging into "${target}" would make the entries of hidden categories public: ${hiddenSources.join(', ')}`, {
+            hiddenCategories: hiddenSources
+        });
+    }
+    const moved = [].concat(...sources.map(name => ctx.storage.sheets.getRows(name)));
+
+    // The target is written once with the moved entries and the flags
+    ensureEntryColumns_(ctx, target);
+    const rows = ctx.storage.sheets.getRows(target);
+    moved.forEach(row => {
+        rows.push(Object.assign({}, row, {
+            'S.NO': nextSerial_(rows),
+            'CATEGORY': target,
+            'REVISION': newRevision_()
+        }));
+    });
+    const duplicates = flagDuplicateEntries_(rows);
+    duplicates.forEach(row => {
+        row['REVISION'] = newRevision_();
+    });
+    ctx.storage.sheets.setRows(target, rows);
+
+    const categories = ctx.storage.sheets.getRows(SHEETS.CATEGORIES);
+    const removed = categories.filter(row => sources.indexOf(row['CATEGORY-NAME']) !== -1);
+    sources.forEach(name => {
+        ctx.storage.sheets.deleteSheet(name);
+        renameTrashedCategory_(ctx, name, target);
+    });
+    ctx.storage.sheets.setRows(SHEETS.CATEGORIES, categories.filter(row => removed.indexOf(row) === -1));
+
+    const kept = categories.find(row => row['CATEGORY-NAME'] === target);
+    const summary = row => ({ 'ENTRY ID': row['ENTRY ID'], 'WEB NAME': row['WEB NAME'], 'URL': row['URL'] });
+    recordAudit_(ctx, session.username, 'category.merge', target, {
+        'CATEGORIES': removed,
+        'ENTRIES': moved.map(summary)
+    }, Object.assign({}, kept, {
+        'MERGED': sources,
+        'DUPLICATES': duplicates.map(row => Object.assign(summary(row), { 'DUPLICATE OF': row['DUPLICATE OF'] }))
+    }));
+
+    const count = `${moved.length} entr${moved.length === 1 ? 'y' : 'ies'}`;
+    const flagged = duplicates.length > 0
+        ? `; ${duplicates.length} possible duplicate${duplicates.length === 1 ? '' : 's'} flagged`
+        : '';
+    return {
+        message: `Merged ${sources.length + 1} categories into "${target}" (${count} moved${flagged})`,
+        data: { category: toCategory_(kept), moved: moved.length, duplicates: duplicates.length }
+    };
+}
+
+// body: { names } in the new display order; categories left out follow in
+// their current order. The order is not part of the edit form, so rows keep
+// their REVISION and open edits are not turned into conflicts.
+function handleReorderCategories_(ctx) {
+    const session = requirePermission_(ctx, 'manageCategories');
+    const names = Array.isArray(ctx.body.names) ? ctx.body.names.map(name => String(name)) : [];
+    if (names.length === 0) {
+        throw new ApiError(400, 'Category order is required');
+    }
+
+    const previous = getSortedCategoryRows_(ctx).map(row => row['CATEGORY-NAME']);
+    const listed = names.filter((name, index) => previous.indexOf(name) !== -1 && names.indexOf(name) === index);
+    const order = listed.concat(previous.filter(name => listed.indexOf(name) === -1));
+
+    ctx.storage.sheets.ensureColumns(SHEETS.CATEGORIES, CATEGORY_EXTRA_COLUMNS);
+    ctx.storage.sheets.setRows(SHEETS.CATEGORIES, ctx.storage.sheets.getRows(SHEETS.CATEGORIES).map(row =>
+        Object.assign({}, row, { 'SORT ORDER': order.indexOf(row['CATEGORY-NAME']) + 1 })
+    ));
+
+    recordAudit_(ctx, session.username, 'category.reorder', SHEETS.CATEGORIES, { 'ORDER': previous }, { 'ORDER': order });
+    return { message: 'Category order saved', data: getSortedCategoryRows_(ctx).map(toCategory_) };
+}
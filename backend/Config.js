@@ -0,0 +1,102 @@
+/**
+ * Backend Configuration
+ * Sheet names, limits and Script Properties lookups
+ *
+ * Script Properties:
+ *   SPREADSHEET_ID      - spreadsheet to use (defaults to the bound spreadsheet)
+ *   DRIVE_FOLDER_ID     - Drive folder that receives uploaded images
+ *   IMAGE_URL_TEMPLATE  - public image URL, "{id}" is replaced by the file id
+ *   LOGIN_MAX_FAILURES  - failed logins in a row before a lockout (default 5)
+ *   LOGIN_LOCKOUT_MINUTES - first lockout period, doubled by each one after (default 1)
+ *   SESSION_IDLE_MINUTES - how long a session lasts without a refresh (default 30)
+ *   TRASH_RETENTION_DAYS - how long deleted entries and categories can be restored (default 30)
+ */
+const SHEETS = {
+    ADMIN: 'Admin-info',
+    CATEGORIES: 'Categories',
+    TEMPLATE: 'Master_Template',
+    LOGIN_ATTEMPTS: 'Login-attempts',
+    AUDIT: 'Audit',
+    ENTRY_HISTORY: 'Entry-history',
+    TRASH: 'Trash'
+};
+
+const SYSTEM_SHEETS = [SHEETS.ADMIN, SHEETS.CATEGORIES, SHEETS.TEMPLATE, SHEETS.LOGIN_ATTEMPTS, SHEETS.AUDIT,
+    SHEETS.ENTRY_HISTORY, SHEETS.TRASH];
+
+// Admin-info columns added after USERNAME and PASSWORD; rows without a ROLE are
+// the original single admin and count as owners, rows without a TOTP SECRET
+// log in with their password alone
+const ADMIN_EXTRA_COLUMNS = ['ROLE', 'STATUS', 'TOTP SECRET', 'TOTP LAST STEP', 'RECOVERY CODES'];
+
+const ROLES = ['owner', 'editor', 'viewer'];
+const USER_STATUS = { INVITED: 'invited', ACTIVE: 'active', INACTIVE: 'inactive' };
+
+// Roles allowed per action; mirrored by AdminApp.PERMISSIONS in the admin panel
+const ROLE_PERMISSIONS = {
+    viewEntries: ['owner', 'editor', 'viewer'],
+    editEntries: ['owner', 'editor'],
+    manageCategories: ['owner'],
+    manageStorage: ['owner'],
+    manageUsers: ['owner'],
+    viewAudit: ['owner']
+};
+
+// Entry columns added after the original Master_Template; older sheets gain them on write
+const ENTRY_EXTRA_COLUMNS = ['IMAGE FRAMING', 'GALLERY IMAGES', 'ENTRY ID', 'REVISION', 'DUPLICATE OF'];
+const CATEGORY_EXTRA_COLUMNS = ['REVISION', 'DESCRIPTION', 'COLOR', 'ICON', 'SORT ORDER', 'VISIBILITY'];
+const CATEGORY_VISIBILITY = { PUBLIC: 'public', HIDDEN: 'hidden' };
+// Names are sheet names, which Sheets caps at 100 characters; the admin form allows 50
+const MAX_CATEGORY_NAME_LENGTH = 50;
+const MAX_CATEGORY_DESCRIPTION_LENGTH = 300;
+// Uploaded SVG icons are kept in the cell as a data URL; a cell holds 50,000 characters
+const MAX_CATEGORY_ICON_LENGTH = 40000;
+
+const MAX_ENTRY_IMAGES = 10;
+// Images are uploaded as they are picked; ones no entry took up after this long
+// are from abandoned forms and are deleted, checked at most once per interval
+const STALE_UPLOAD_HOURS = 24;
+const UPLOAD_SWEEP_INTERVAL_SECONDS = 60 * 60;
+// Past versions kept per entry; older ones are dropped along with their images
+const MAX_ENTRY_REVISIONS = 20;
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+const TIME_ZONE = 'Asia/Kolkata';
+const DEFAULT_PAGE_SIZE = 12;
+const TOKEN_TTL_SECONDS = 6 * 60 * 60; // CacheService maximum
+const DEFAULT_SESSION_IDLE_MINUTES = 30;
+const SESSION_USER_AGENT_MAX_LENGTH = 300;
+
+// Every PBKDF2 round is a separate Utilities call of roughly 0.1 ms, so this
+// is about 2.5 s per hash. That is the limit here: current guidance (600,000)
+// would take a minute, and a login that upgrades a hash derives twice while
+// holding the script lock, which other writes wait at most LOCK_TIMEOUT_MS for.
+// Stored hashes record their own count and are upgraded on the next login.
+const PASSWORD_HASH_ITERATIONS = 25000;
+const PASSWORD_MIN_LENGTH = 8;
+
+// RFC 6238 defaults understood by every authenticator app; one step of clock
+// drift is accepted either way
+const TOTP_ISSUER = 'ATF Showcase';
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const TOTP_WINDOW_STEPS = 1;
+const TWO_FACTOR_SETUP_TTL_SECONDS = 10 * 60;
+const TWO_FACTOR_CHALLENGE_TTL_SECONDS = 5 * 60;
+const TWO_FACTOR_MAX_ATTEMPTS = 5;
+const RECOVERY_CODE_COUNT = 10;
+
+const DEFAULT_LOGIN_MAX_FAILURES = 5;
+const DEFAULT_LOGIN_LOCKOUT_MINUTES = 1;
+const LOGIN_MAX_LOCKOUT_MINUTES = 24 * 60;
+// Failures older than this are forgotten, along with the lockouts they caused
+const LOGIN_ATTEMPT_RESET_HOURS = 24;
+const LOCK_TIMEOUT_MS = 30 * 1000;
+
+const DEFAULT_DRIVE_FOLDER_ID = '1jQIWqzcCGcrkZx_wB1mScl7RhpaHR6Bv';
+const DEFAULT_IMAGE_URL_TEMPLATE = 'https://drive.google.com/thumbnail?id={id}&sz=w1000';
+
+function getProperty_(key, fallback) {
+    const value = PropertiesService.getScriptProperties().getProperty(key);
+    return value !== null && value !== '' ? value : fallback;
+}
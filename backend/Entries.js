@@ -0,0 +1,467 @@
+/**
+ * Entry Routes
+ * Website entries live in the sheet of their category; images live in Drive.
+ * WEB IMAGE holds the cover and GALLERY IMAGES a JSON array of the others.
+ * ENTRY ID never changes, unlike the sheet and S.NO, so clients address entries by it.
+ */
+function toEntry_(ctx, row, sheetName) {
+    const imageFileId = row['WEB IMAGE'] || '';
+
+    return {
+        id: row['ENTRY ID'],
+        sheetName,
+        serial: parseInt(row['S.NO'], 10),
+        image: ctx.storage.files.getImageUrl(imageFileId),
+        imageFileId,
+        images: getEntryFileIds_(row).map(fileId => ({ fileId, url: ctx.storage.files.getImageUrl(fileId) })),
+        name: row['WEB NAME'],
+        description: row['DESCRIPTION'],
+        url: row['URL'],
+        category: row['CATEGORY'] || sheetName,
+        date: row['DATE'],
+        time: row['TIME'],
+        imageFraming: imageFileId ? readFraming_(row['IMAGE FRAMING']) : null,
+        revision: row['REVISION'] || '',
+        duplicateOf: row['DUPLICATE OF'] || ''
+    };
+}
+
+// Every file of an entry in display order, cover first
+function getEntryFileIds_(row) {
+    let gallery = [];
+    try {
+        gallery = row['GALLERY IMAGES'] ? JSON.parse(row['GALLERY IMAGES']) : [];
+    } catch (error) {
+        gallery = [];
+    }
+
+    return [row['WEB IMAGE']].concat(Array.isArray(gallery) ? gallery : []).filter(Boolean);
+}
+
+function setEntryFileIds_(row, fileIds) {
+    row['WEB IMAGE'] = fileIds[0] || '';
+    row['GALLERY IMAGES'] = fileIds.length > 1 ? JSON.stringify(fileIds.slice(1)) : '';
+}
+
+// images: JSON array of ids returned by POST upload; ids already on the entry
+// are accepted as they are, since legacy cells may hold plain URLs
+function parseImageList_(ctx, value, knownIds) {
+    let fileIds = value;
+    if (typeof value === 'string') {
+        try {
+            fileIds = value.trim() ? JSON.parse(value) : [];
+        } catch (error) {
+            throw new ApiError(400, 'Images must be a JSON array of file ids');
+        }
+    }
+
+    if (!Array.isArray(fileIds) || fileIds.some(id => typeof id !== 'string' || !id)) {
+        throw new ApiError(400, 'Images must be a JSON array of file ids');
+    }
+
+    fileIds = fileIds.filter((id, index) => fileIds.indexOf(id) === index);
+    if (fileIds.length > MAX_ENTRY_IMAGES) {
+        throw new ApiError(400, `An entry can have at most ${MAX_ENTRY_IMAGES} images`);
+    }
+
+    const newIds = fileIds.filter(id => knownIds.indexOf(id) === -1);
+    if (newIds.length > 0) {
+        // Sharing a file would let deleting one entry break another
+        const referenced = collectReferencedFileIds_(ctx);
+        newIds.forEach(id => {
+            if (referenced[id]) {
+                throw new ApiError(400, 'An image already belongs to another entry');
+            }
+            if (!ctx.storage.files.isInFolder(id)) {
+                throw new ApiError(400, 'An image was not found. Please upload it again.');
+            }
+        });
+    }
+    return fileIds;
+}
+
+function ensureEntryColumns_(ctx, sheetName) {
+    ctx.storage.sheets.ensureColumns(sheetName, ENTRY_EXTRA_COLUMNS);
+}
+
+// Stored framing is returned as an object; anything unreadable means "no framing"
+function readFraming_(value) {
+    try {
+        return value ? normalizeFraming_(JSON.parse(value)) : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Validates the client's framing ({ mode: 'focus', x, y } or { mode: 'crop', x, y, w, h },
+// fractions of the image) and returns the JSON string to store, or '' for none
+function parseFraming_(value) {
+    if (value === undefined || value === null || value === '') return '';
+
+    let framing = value;
+    if (typeof value === 'string') {
+        try {
+            framing = JSON.parse(value);
+        } catch (error) {
+            throw new ApiError(400, 'Image framing must be valid JSON');
+        }
+    }
+
+    const normalized = normalizeFraming_(framing);
+    if (!normalized) {
+        throw new ApiError(400, 'Invalid image framing');
+    }
+    return JSON.stringify(normalized);
+}
+
+function normalizeFraming_(framing) {
+    if (!framing || typeof framing !== 'object') return null;
+
+    const keys = framing.mode === 'focus' ? ['x', 'y'] : framing.mode === 'crop' ? ['x', 'y', 'w', 'h'] : null;
+    if (!keys) return null;
+
+    const normalized = { mode: framing.mode };
+    for (const key of keys) {
+        const number = Number(framing[key]);
+        if (!isFinite(number) || number < 0 || number > 1) return null;
+        normalized[key] = Math.round(number * 10000) / 10000;
+    }
+
+    if (framing.mode === 'crop' && (normalized.w === 0 || normalized.h === 0
+        || normalized.x + normalized.w > 1.0001 || normalized.y + normalized.h > 1.0001)) {
+        return null;
+    }
+    return normalized;
+}
+
+function newEntryId_() {
+    return Utilities.getUuid();
+}
+
+// Rows written before ENTRY ID existed, typed into the sheet by hand or copied
+// from another row get a fresh id; returns true when any sheet was rewritten
+function backfillEntryIds_(ctx) {
+    const seen = {};
+    let changed = false;
+
+    getCategorySheetNames_(ctx).forEach(sheetName => {
+        const rows = ctx.storage.sheets.getRows(sheetName);
+        let sheetChanged = false;
+
+        const updated = rows.map(row => {
+            const id = row['ENTRY ID'];
+            if (id && !seen[id]) {
+                seen[id] = true;
+                return row;
+            }
+
+            sheetChanged = true;
+            const freshId = newEntryId_();
+            seen[freshId] = true;
+            return Object.assign({}, row, { 'ENTRY ID': freshId });
+        });
+
+        if (sheetChanged) {
+            ensureEntryColumns_(ctx, sheetName);
+            ctx.storage.sheets.setRows(sheetName, updated);
+            changed = true;
+        }
+    });
+    return changed;
+}
+
+// For GET routes, which run without the lock: takes it only when a backfill is needed
+function ensureEntryIds_(ctx) {
+    const seen = {};
+    const needsIds = getCategorySheetNames_(ctx).some(sheetName =>
+        ctx.storage.sheets.getRows(sheetName).some(row => {
+            const id = row['ENTRY ID'];
+            if (!id || seen[id]) return true;
+            seen[id] = true;
+            return false;
+        })
+    );
+    if (needsIds) {
+        withScriptLock_(() => backfillEntryIds_(ctx));
+    }
+}
+
+function getCategorySheetNames_(ctx) {
+    return ctx.storage.sheets.getRows(SHEETS.CATEGORIES)
+        .map(row => row['CATEGORY-NAME'])
+        .filter(name => name && ctx.storage.sheets.hasSheet(name));
+}
+
+// upload: { name, mimeType, data } with data base64 encoded
+function storeImage_(ctx, upload) {
+    if (!upload || !upload.data) return '';
+
+    if (!/^image\//.test(upload.mimeType || '')) {
+        throw new ApiError(400, 'Only image files can be uploaded');
+    }
+    return ctx.storage.files.createFile(upload);
+}
+
+// Entries of hidden categories are only listed with includeHidden. Badge
+// details go out once per category as categoryStyles rather than with every entry.
+function collectEntries_(ctx, includeHidden) {
+    const params = ctx.params;
+    const search = (params.search || '').trim().toLowerCase();
+
+    ensureEntryIds_(ctx);
+
+    const categoryRows = {};
+    ctx.storage.sheets.getRows(SHEETS.CATEGORIES).forEach(row => {
+        categoryRows[row['CATEGORY-NAME']] = row;
+    });
+
+    let entries = [];
+    const categoryStyles = {};
+    getCategorySheetNames_(ctx)
+        .filter(sheetName => includeHidden || !isCategoryHidden_(categoryRows[sheetName]))
+        .forEach(sheetName => {
+            categoryStyles[sheetName] = toCategoryStyle_(categoryRows[sheetName]);
+            ctx.storage.sheets.getRows(sheetName).forEach(row => entries.push(toEntry_(ctx, row, sheetName)));
+        });
+
+    entries = entries.filter(entry => {
+        if (params.category && entry.category !== params.category) return false;
+        if (params.startDate && entry.date < params.startDate) return false;
+        if (params.endDate && entry.date > params.endDate) return false;
+        if (search) {
+            const haystack = [entry.name, entry.description, entry.category, entry.url].join(' ').toLowerCase();
+            if (!haystack.includes(search)) return false;
+        }
+        return true;
+    });
+
+    // Latest first by combined DATE + TIME
+    entries.sort((a, b) => `${b.date} ${b.time}`.localeCompare(`${a.date} ${a.time}`));
+
+    const size = Math.max(1, parseInt(params.size, 10) || DEFAULT_PAGE_SIZE);
+    const page = Math.max(1, parseInt(params.page, 10) || 1);
+    const total = entries.length;
+
+    // Without explicit paging the dashboard needs every entry for its chart
+    const paged = params.page || params.size ? entries.slice((page - 1) * size, page * size) : entries;
+
+    return { entries: paged, total, page, size, categoryStyles };
+}
+
+// Looks the entry up in every category sheet, since its category may have changed
+function findEntry_(ctx, entryId) {
+    const sheetNames = getCategorySheetNames_(ctx);
+    for (const sheetName of sheetNames) {
+        const rows = ctx.storage.sheets.getRows(sheetName);
+        const index = rows.findIndex(row => row['ENTRY ID'] === entryId);
+        if (index !== -1) {
+            return { sheetName, rows, index };
+        }
+    }
+    throw new ApiError(404, 'Entry not found. It may have been deleted.');
+}
+
+function handlePublicList_(ctx) {
+    return { message: 'OK', data: collectEntries_(ctx, false) };
+}
+
+function handleAdminList_(ctx) {
+    requirePermission_(ctx, 'viewEntries');
+    return { message: 'OK', data: collectEntries_(ctx, true) };
+}
+
+function handleCreateEntry_(ctx) {
+    const session = requirePermission_(ctx, 'editEntries');
+    const category = requireField_(ctx.body.category, 'Category');
+    requireCategory_(ctx, category);
+
+    const name = requireField_(ctx.body.name, 'Web name');
+    const description = requireField_(ctx.body.description, 'Description');
+    const url = normalizeUrl_(ctx.body.url);
+    const framing = parseFraming_(ctx.body.imageFraming);
+    const uploadedIds = ctx.body.images !== undefined ? parseImageList_(ctx, ctx.body.images, []) : null;
+
+    // Commit the image only once all fields are valid, so failures leave no orphan file
+    ensureEntryColumns_(ctx, category);
+    const imageFileId = uploadedIds ? '' : storeImage_(ctx, ctx.body.image);
+    const fileIds = uploadedIds || (imageFileId ? [imageFileId] : []);
+    const { date, time } = nowStamp_();
+    const row = {
+        'ENTRY ID': newEntryId_(),
+        'S.NO': nextSerial_(ctx.storage.sheets.getRows(category)),
+        'WEB NAME': name,
+        'DESCRIPTION': description,
+        'URL': url,
+        'CATEGORY': category,
+        'DATE': date,
+        'TIME': time,
+        'IMAGE FRAMING': fileIds.length > 0 ? framing : '',
+        'REVISION': newRevision_()
+    };
+    setEntryFileIds_(row, fileIds);
+
+    try {
+        ctx.storage.sheets.appendRow(category, row);
+    } catch (error) {
+        ctx.storage.files.deleteFile(imageFileId);
+        throw error;
+    }
+
+    recordAudit_(ctx, session.username, 'entry.create', row['ENTRY ID'], null, row);
+    return { message: 'Entry created', data: toEntry_(ctx, row, category) };
+}
+
+function handleUpdateEntry_(ctx) {
+    const session = requirePermission_(ctx, 'editEntries');
+    const entryId = requireField_(ctx.body.id, 'Entry id');
+    const { sheetName, rows, index } = findEntry_(ctx, entryId);
+
+    const current = rows[index];
+    checkRevision_(ctx, current, () => toEntry_(ctx, current, sheetName));
+
+    const category = ctx.body.category ? String(ctx.body.category).trim() : sheetName;
+    if (category !== sheetName) {
+        requireCategory_(ctx, category);
+    }
+
+    const { date, time } = nowStamp_();
+    const updated = Object.assign({}, current, {
+        'WEB NAME': ctx.body.name !== undefined ? requireField_(ctx.body.name, 'Web name') : current['WEB NAME'],
+        'DESCRIPTION': ctx.body.description !== undefined ? requireField_(ctx.body.description, 'Description') : current['DESCRIPTION'],
+        'URL': ctx.body.url !== undefined ? normalizeUrl_(ctx.body.url) : current['URL'],
+        'CATEGORY': category,
+        'DATE': date,
+        'TIME': time,
+        'REVISION': newRevision_(),
+        // Saving an entry counts as reviewing a duplicate flag
+        'DUPLICATE OF': ''
+    });
+
+    // Images of kept versions still belong to this entry, so a restore can list them again
+    const oldFileIds = getEntryFileIds_(current);
+    const knownIds = oldFileIds.concat(Object.keys(collectHistoryFileIds_(ctx, entryId)));
+    const listedIds = ctx.body.images !== undefined ? parseImageList_(ctx, ctx.body.images, knownIds) : null;
+    const framing = ctx.body.imageFraming !== undefined ? parseFraming_(ctx.body.imageFraming) : null;
+
+    ensureEntryColumns_(ctx, category);
+
+    // An inline upload replaces only the cover; replaced files stay with the kept version
+    const newFileId = listedIds ? '' : storeImage_(ctx, ctx.body.image);
+    const fileIds = listedIds || (newFileId ? [newFileId].concat(oldFileIds.slice(1)) : oldFileIds);
+    setEntryFileIds_(updated, fileIds);
+
+    // A new cover starts unframed unless the client framed it
+    if (fileIds.length === 0) {
+        updated['IMAGE FRAMING'] = '';
+    } else if (framing !== null) {
+        updated['IMAGE FRAMING'] = framing;
+    } else if (fileIds[0] !== oldFileIds[0]) {
+        updated['IMAGE FRAMING'] = '';
+    }
+
+    try {
+        if (category === sheetName) {
+            rows[index] = updated;
+            ctx.storage.sheets.setRows(sheetName, rows);
+        } else {
+            // Move the row to the new category sheet
+            const targetRows = ctx.storage.sheets.getRows(category);
+            updated['S.NO'] = nextSerial_(targetRows);
+            targetRows.push(updated);
+            ctx.storage.sheets.setRows(category, targetRows);
+
+            rows.splice(index, 1);
+            ctx.storage.sheets.setRows(sheetName, renumber_(rows));
+        }
+    } catch (error) {
+        ctx.storage.files.deleteFile(newFileId);
+        throw error;
+    }
+
+    saveEntryRevision_(ctx, session.username, current);
+    recordAudit_(ctx, session.username, 'entry.update', entryId, current, updated);
+    return { message: 'Entry updated', data: toEntry_(ctx, updated, category) };
+}
+
+function handleDeleteEntry_(ctx) {
+    const session = requirePermission_(ctx, 'editEntries');
+    const entryId = requireField_(ctx.body.id, 'Entry id');
+    const { sheetName, rows, index } = findEntry_(ctx, entryId);
+
+    // Its files and kept versions stay until the Trash item is purged
+    const deleted = rows[index];
+    rows.splice(index, 1);
+    ctx.storage.sheets.setRows(sheetName, renumber_(rows));
+    const trashed = moveToTrash_(ctx, session.username, TRASH_TYPES.ENTRY, deleted['WEB NAME'], { sheetName, row: deleted });
+
+    recordAudit_(ctx, session.username, 'entry.delete', entryId, deleted, null);
+    return { message: 'Entry moved to the Trash', data: { trashId: trashed['TRASH ID'] } };
+}
+
+// Orphans older than STALE_UPLOAD_HOURS, left by forms that were closed
+// without saving or discarding. Runs with the lock, from uploads.
+function sweepStaleUploads_(ctx) {
+    if (ctx.storage.challenges.get('upload-sweep', 'last')) return;
+    ctx.storage.challenges.put('upload-sweep', 'last', new Date().toISOString(), UPLOAD_SWEEP_INTERVAL_SECONDS);
+
+    const cutoff = Date.now() - STALE_UPLOAD_HOURS * 60 * 60 * 1000;
+    const referenced = collectReferencedFileIds_(ctx);
+    ctx.storage.files.listFiles()
+        .filter(file => !referenced[file.fileId] && Date.parse(file.created) < cutoff)
+        .forEach(file => ctx.storage.files.deleteFile(file.fileId));
+}
+
+// Standalone upload used by AdminAPI.uploadFile()
+function handleUpload_(ctx) {
+    requirePermission_(ctx, 'editEntries');
+    const upload = ctx.body.file || ctx.body.image;
+    if (!upload || !upload.data) {
+        throw new ApiError(400, 'No file uploaded');
+    }
+
+    sweepStaleUploads_(ctx);
+    const fileId = storeImage_(ctx, upload);
+    ctx.storage.challenges.put('uploads', ctx.token, getSessionUploads_(ctx).concat(fileId), TOKEN_TTL_SECONDS);
+    return { message: 'File uploaded', data: { fileId, url: ctx.storage.files.getImageUrl(fileId) } };
+}
+
+// Every file id referenced by any entry, kept version or Trash item, used to
+// tell saved images from stray uploads
+function collectReferencedFileIds_(ctx) {
+    const referenced = Object.assign(collectHistoryFileIds_(ctx), collectTrashFileIds_(ctx));
+    getCategorySheetNames_(ctx).forEach(sheetName => {
+        ctx.storage.sheets.getRows(sheetName).forEach(row => {
+            getEntryFileIds_(row).forEach(fileId => {
+                referenced[fileId] = true;
+            });
+        });
+    });
+
+    // A Drive link in a legacy cell keeps the file it points at in use
+    Object.keys(referenced).forEach(reference => {
+        referenced[ctx.storage.files.toFileId(reference)] = true;
+    });
+    return referenced;
+}
+
+// Files this session uploaded; only those can be discarded through it
+function getSessionUploads_(ctx) {
+    return ctx.storage.challenges.get('uploads', ctx.token) || [];
+}
+
+// Deletes uploads the admin removed before saving; files used by an entry are kept
+function handleDiscardFiles_(ctx) {
+    requirePermission_(ctx, 'editEntries');
+    const fileIds = Array.isArray(ctx.body.fileIds) ? ctx.body.fileIds : [];
+    const uploads = getSessionUploads_(ctx);
+    const referenced = collectReferencedFileIds_(ctx);
+
+    const discarded = fileIds.filter(fileId => uploads.indexOf(fileId) !== -1 && !referenced[fileId]);
+    discarded.forEach(fileId => ctx.storage.files.deleteFile(fileId));
+    if (discarded.length > 0) {
+        ctx.storage.challenges.put('uploads', ctx.token,
+            uploads.filter(fileId => discarded.indexOf(fileId) === -1), TOKEN_TTL_SECONDS);
+    }
+
+    return { message: 'Files discarded', data: { discarded: discarded.length } };
+}
@@ -0,0 +1,136 @@
+/**
+ * Entry History
+ * Every update appends the version it replaces to the Entry-history sheet,
+ * keyed by the entry and that version's REVISION. Images of a kept version
+ * stay in Drive until the version is pruned or the entry is deleted, so any
+ * version can be restored as it was.
+ */
+const ENTRY_HISTORY_COLUMNS = ['ENTRY ID', 'REVISION', 'DATE', 'TIME', 'REPLACED BY', 'VALUES'];
+
+function getHistoryRows_(ctx) {
+    return ctx.storage.sheets.hasSheet(SHEETS.ENTRY_HISTORY) ? ctx.storage.sheets.getRows(SHEETS.ENTRY_HISTORY) : [];
+}
+
+function parseHistoryValues_(row) {
+    try {
+        return row['VALUES'] ? JSON.parse(row['VALUES']) : {};
+    } catch (error) {
+        return {};
+    }
+}
+
+// Every file id kept by a past version, optionally of one entry only
+function collectHistoryFileIds_(ctx, entryId) {
+    const referenced = {};
+    getHistoryRows_(ctx)
+        .filter(row => !entryId || row['ENTRY ID'] === entryId)
+        .forEach(row => {
+            getEntryFileIds_(parseHistoryValues_(row)).forEach(fileId => {
+                referenced[fileId] = true;
+            });
+        });
+    return referenced;
+}
+
+// Deletes files of dropped versions that neither an entry nor a kept version uses
+function deleteUnreferencedFiles_(ctx, fileIds) {
+    if (fileIds.length === 0) return;
+
+    const referenced = collectReferencedFileIds_(ctx);
+    fileIds
+        .filter((fileId, index) => fileIds.indexOf(fileId) === index && !referenced[fileId])
+        .forEach(fileId => ctx.storage.files.deleteFile(fileId));
+}
+
+// Keeps the replaced row; the oldest versions beyond MAX_ENTRY_REVISIONS are dropped
+function saveEntryRevision_(ctx, actor, previous) {
+    const { date, time } = nowStamp_();
+    const entryId = previous['ENTRY ID'];
+
+    ctx.storage.sheets.ensureSheet(SHEETS.ENTRY_HISTORY, ENTRY_HISTORY_COLUMNS);
+    const rows = ctx.storage.sheets.getRows(SHEETS.ENTRY_HISTORY).concat({
+        'ENTRY ID': entryId,
+        'REVISION': previous['REVISION'] || newRevision_(),
+        'DATE': date,
+        'TIME': time,
+        'REPLACED BY': actor,
+        'VALUES': JSON.stringify(previous)
+    });
+
+    const versions = rows.filter(row => row['ENTRY ID'] === entryId);
+    const pruned = versions.slice(0, Math.max(0, versions.length - MAX_ENTRY_REVISIONS));
+    if (pruned.length === 0) {
+        ctx.storage.sheets.appendRow(SHEETS.ENTRY_HISTORY, rows[rows.length - 1]);
+        return;
+    }
+
+    ctx.storage.sheets.setRows(SHEETS.ENTRY_HISTORY, rows.filter(row => pruned.indexOf(row) === -1));
+    deleteUnreferencedFiles_(ctx, [].concat(...pruned.map(row => getEntryFileIds_(parseHistoryValues_(row)))));
+}
+
+// Drops the history of deleted entries along with the files only it still used
+function removeEntryHistory_(ctx, entryIds) {
+    const rows = getHistoryRows_(ctx);
+    const removed = rows.filter(row => entryIds.indexOf(row['ENTRY ID']) !== -1);
+    if (removed.length === 0) return;
+
+    ctx.storage.sheets.setRows(SHEETS.ENTRY_HISTORY, rows.filter(row => removed.indexOf(row) === -1));
+    deleteUnreferencedFiles_(ctx, [].concat(...removed.map(row => getEntryFileIds_(parseHistoryValues_(row)))));
+}
+
+function toEntryRevision_(ctx, row) {
+    const values = parseHistoryValues_(row);
+    return {
+        revision: row['REVISION'],
+        replacedAt: { date: row['DATE'], time: row['TIME'] },
+        replacedBy: row['REPLACED BY'],
+        entry: toEntry_(ctx, values, values['CATEGORY'] || '')
+    };
+}
+
+// Latest first; the current version leads the list so clients can diff against it
+function handleEntryHistory_(ctx) {
+    requirePermission_(ctx, 'viewEntries');
+    const entryId = requireField_(ctx.params.id, 'Entry id');
+    const { sheetName, rows, index } = findEntry_(ctx, entryId);
+
+    const revisions = getHistoryRows_(ctx)
+        .filter(row => row['ENTRY ID'] === entryId)
+        .reverse()
+        .map(row => toEntryRevision_(ctx, row));
+
+    return { message: 'OK', data: { current: toEntry_(ctx, rows[index], sheetName), revisions } };
+}
+
+// body: { id, revision, target } where revision is the version the client
+// loaded and target the kept version to restore. The restore is saved as a new
+// update, so it can be undone from the history like any other.
+function handleRevertEntry_(ctx) {
+    requirePermission_(ctx, 'editEntries');
+    const entryId = requireField_(ctx.body.id, 'Entry id');
+    const target = requireField_(ctx.body.target, 'Revision to restore');
+
+    const kept = getHistoryRows_(ctx).find(row => row['ENTRY ID'] === entryId && row['REVISION'] === target);
+    if (!kept) {
+        throw new ApiError(404, 'That version is no longer kept');
+    }
+
+    // A version from a category that has since been deleted stays where the entry is now
+    const values = parseHistoryValues_(kept);
+    const categoryExists = getCategorySheetNames_(ctx).indexOf(values['CATEGORY']) !== -1;
+
+    const result = handleUpdateEntry_(Object.assign({}, ctx, {
+        body: {
+            id: entryId,
+            revision: ctx.body.revision,
+            name: values['WEB NAME'],
+            description: values['DESCRIPTION'],
+            url: values['URL'],
+            category: categoryExists ? values['CATEGORY'] : '',
+            images: getEntryFileIds_(values),
+            imageFraming: values['IMAGE FRAMING'] || ''
+        }
+    }));
+
+    return { message: 'Version restored', data: result.data };
+}
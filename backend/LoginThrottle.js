@@ -0,0 +1,174 @@
+/**
+ * Login Throttling
+ * Counts failed logins per username and per client in the Login-attempts
+ * sheet. Reaching the threshold locks that key for a period that doubles with
+ * every lockout in a row; a completed login clears both keys.
+ *
+ * Apps Script does not expose the caller's address, so a client is the id the
+ * login page keeps in localStorage. Requests without one share a single key,
+ * and a script that invents ids is still stopped by the per-username count.
+ */
+const LOGIN_ATTEMPT_COLUMNS = ['TYPE', 'NAME', 'FAILURES', 'LOCKOUTS', 'LAST FAILURE', 'LOCKED UNTIL'];
+
+function getLoginThrottleSettings_() {
+    const maxFailures = parseInt(getProperty_('LOGIN_MAX_FAILURES', ''), 10);
+    const lockoutMinutes = parseFloat(getProperty_('LOGIN_LOCKOUT_MINUTES', ''));
+    return {
+        maxFailures: maxFailures > 0 ? maxFailures : DEFAULT_LOGIN_MAX_FAILURES,
+        lockoutMinutes: lockoutMinutes > 0 ? lockoutMinutes : DEFAULT_LOGIN_LOCKOUT_MINUTES
+    };
+}
+
+function toLoginKeys_(username, clientId) {
+    const client = /^[A-Za-z0-9-]{8,64}$/.test(String(clientId || '')) ? String(clientId) : 'unknown';
+    return [
+        { type: 'user', name: String(username).toLowerCase() },
+        { type: 'client', name: client }
+    ];
+}
+
+function matchesLoginKey_(row, key) {
+    return row.TYPE === key.type && row.NAME === key.name;
+}
+
+function isStaleLoginAttempt_(row, now) {
+    const lastFailure = Date.parse(row['LAST FAILURE']) || 0;
+    return now - lastFailure > LOGIN_ATTEMPT_RESET_HOURS * 60 * 60 * 1000;
+}
+
+function formatWait_(seconds) {
+    if (seconds < 60) return `${seconds} second${seconds === 1 ? '' : 's'}`;
+
+    const minutes = Math.ceil(seconds / 60);
+    if (minutes < 60) return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+
+    const hours = Math.ceil(minutes / 60);
+    return `${hours} hour${hours === 1 ? '' : 's'}`;
+}
+
+function lockoutError_(lockedUntil) {
+    const retryAfterSeconds = Math.max(1, Math.ceil((lockedUntil - Date.now()) / 1000));
+    return new ApiError(429, `Too many failed attempts. Try again in ${formatWait_(retryAfterSeconds)}.`, {
+        lockedUntil: new Date(lockedUntil).toISOString(),
+        retryAfterSeconds
+    });
+}
+
+// Read-only, so nothing is created before the first failure
+function requireNotLockedOut_(ctx, keys) {
+    if (!ctx.storage.sheets.hasSheet(SHEETS.LOGIN_ATTEMPTS)) return;
+
+    const now = Date.now();
+    const lockedUntil = ctx.storage.sheets.getRows(SHEETS.LOGIN_ATTEMPTS)
+        .filter(row => keys.some(key => matchesLoginKey_(row, key)))
+        .map(row => Date.parse(row['LOCKED UNTIL']) || 0)
+        .reduce((latest, until) => Math.max(latest, until), 0);
+
+    if (lockedUntil > now) {
+        throw lockoutError_(lockedUntil);
+    }
+}
+
+// Returns the attempts left before a lockout, or throws 429 when this failure
+// locks one of the keys
+function recordLoginFailure_(ctx, keys) {
+    const settings = getLoginThrottleSettings_();
+    const now = Date.now();
+
+    ctx.storage.sheets.ensureSheet(SHEETS.LOGIN_ATTEMPTS, LOGIN_ATTEMPT_COLUMNS);
+    const rows = ctx.storage.sheets.getRows(SHEETS.LOGIN_ATTEMPTS)
+        .filter(row => !isStaleLoginAttempt_(row, now) || keys.some(key => matchesLoginKey_(row, key)));
+
+    let remaining = settings.maxFailures;
+    let lockedUntil = 0;
+
+    keys.forEach(key => {
+        let row = rows.find(current => matchesLoginKey_(current, key));
+        if (!row) {
+            row = { 'TYPE': key.type, 'NAME': key.name };
+            rows.push(row);
+        }
+
+        // A quiet day starts the count over
+        if (isStaleLoginAttempt_(row, now)) {
+            row['FAILURES'] = 0;
+            row['LOCKOUTS'] = 0;
+        }
+
+        const failures = (parseInt(row['FAILURES'], 10) || 0) + 1;
+        row['LAST FAILURE'] = new Date(now).toISOString();
+
+        if (failures >= settings.maxFailures) {
+            const lockouts = (parseInt(row['LOCKOUTS'], 10) || 0) + 1;
+            const minutes = Math.min(settings.lockoutMinutes * Math.pow(2, lockouts - 1), LOGIN_MAX_LOCKOUT_MINUTES);
+            const until = now + minutes * 60 * 1000;
+
+            row['FAILURES'] = 0;
+            row['LOCKOUTS'] = lockouts;
+            row['LOCKED UNTIL'] = new Date(until).toISOString();
+            lockedUntil = Math.max(lockedUntil, until);
+        } else {
+            row['FAILURES'] = failures;
+            remaining = Math.min(remaining, settings.maxFailures - failures);
+        }
+    });
+
+    ctx.storage.sheets.setRows(SHEETS.LOGIN_ATTEMPTS, rows);
+
+    if (lockedUntil) {
+        throw lockoutError_(lockedUntil);
+    }
+    return remaining;
+}
+
+function clearLoginFailures_(ctx, keys) {
+    if (!ctx.storage.sheets.hasSheet(SHEETS.LOGIN_ATTEMPTS)) return;
+
+    const rows = ctx.storage.sheets.getRows(SHEETS.LOGIN_ATTEMPTS);
+    const kept = rows.filter(row => !keys.some(key => matchesLoginKey_(row, key)));
+    if (kept.length !== rows.length) {
+        ctx.storage.sheets.setRows(SHEETS.LOGIN_ATTEMPTS, kept);
+    }
+}
+
+function toLockout_(row, now) {
+    const lockedUntil = Date.parse(row['LOCKED UNTIL']) || 0;
+    return {
+        type: row.TYPE,
+        name: row.NAME,
+        failures: parseInt(row['FAILURES'], 10) || 0,
+        lockouts: parseInt(row['LOCKOUTS'], 10) || 0,
+        lastFailure: row['LAST FAILURE'],
+        lockedUntil: lockedUntil > now ? row['LOCKED UNTIL'] : null
+    };
+}
+
+// Recent failures, locked keys first
+function handleListLockouts_(ctx) {
+    requirePermission_(ctx, 'manageUsers');
+    if (!ctx.storage.sheets.hasSheet(SHEETS.LOGIN_ATTEMPTS)) {
+        return { message: 'OK', data: [] };
+    }
+
+    const now = Date.now();
+    const lockouts = ctx.storage.sheets.getRows(SHEETS.LOGIN_ATTEMPTS)
+        .filter(row => !isStaleLoginAttempt_(row, now))
+        .map(row => toLockout_(row, now))
+        .sort((a, b) => (b.lockedUntil ? 1 : 0) - (a.lockedUntil ? 1 : 0)
+            || String(b.lastFailure).localeCompare(String(a.lastFailure)));
+
+    return { message: 'OK', data: lockouts };
+}
+
+function handleClearLockout_(ctx) {
+    const session = requirePermission_(ctx, 'manageUsers');
+    const type = requireField_(ctx.body.type, 'Type');
+    const name = requireField_(ctx.body.name, 'Name');
+
+    const row = ctx.storage.sheets.hasSheet(SHEETS.LOGIN_ATTEMPTS)
+        ? ctx.storage.sheets.getRows(SHEETS.LOGIN_ATTEMPTS).find(current => matchesLoginKey_(current, { type, name }))
+        : null;
+    clearLoginFailures_(ctx, [{ type, name }]);
+    recordAudit_(ctx, session.username, 'lockout.clear', `${type}:${name}`, row ? toLockout_(row, Date.now()) : { type, name }, null);
+    return { message: 'Lockout cleared' };
+}
@@ -0,0 +1,133 @@
+/**
+ * Web App Entry Points
+ * Routes doGet/doPost to handlers by action and wraps every result in the
+ * { success, message, data } envelope
+ *
+ * The route is taken from ?action=, the "action" field of a JSON body, or the
+ * path after /exec (e.pathInfo), in that order.
+ */
+function doGet(e) {
+    return handleRequest_('GET', e);
+}
+
+function doPost(e) {
+    return handleRequest_('POST', e);
+}
+
+// Built lazily because handlers are declared in files loaded after this one
+function getRoutes_() {
+    return {
+        'POST auth/login': handleLogin_,
+        'POST auth/verify': handleVerify_,
+        'POST auth/refresh': handleRefresh_,
+        'GET auth/sessions': handleListSessions_,
+        'POST auth/sessions/revoke': handleRevokeSession_,
+        'POST auth/sessions/revokeOthers': handleRevokeOtherSessions_,
+        'GET audit/list': handleListAudit_,
+        'POST auth/logout': handleLogout_,
+        'POST auth/changePassword': handleChangePassword_,
+        'POST auth/2fa/verify': handleTwoFactorVerify_,
+        'GET auth/2fa/status': handleTwoFactorStatus_,
+        'POST auth/2fa/setup': handleTwoFactorSetup_,
+        'POST auth/2fa/enable': handleTwoFactorEnable_,
+        'POST auth/2fa/disable': handleTwoFactorDisable_,
+        'POST auth/2fa/recoveryCodes': handleRegenerateRecoveryCodes_,
+        'GET users/list': handleListUsers_,
+        'POST users/invite': handleInviteUser_,
+        'POST users/update': handleUpdateUser_,
+        'GET users/lockouts': handleListLockouts_,
+        'POST users/clearLockout': handleClearLockout_,
+        'GET categories/list': handleListCategories_,
+        'POST categories/create': handleCreateCategory_,
+        'POST categories/update': handleUpdateCategory_,
+        'POST categories/delete': handleDeleteCategory_,
+        'POST categories/merge': handleMergeCategories_,
+        'POST categories/reorder': handleReorderCategories_,
+        'GET entries/publicList': handlePublicList_,
+        'GET entries/list': handleAdminList_,
+        'POST entries/create': handleCreateEntry_,
+        'POST entries/update': handleUpdateEntry_,
+        'POST entries/delete': handleDeleteEntry_,
+        'GET entries/history': handleEntryHistory_,
+        'POST entries/revert': handleRevertEntry_,
+        'GET trash/list': handleListTrash_,
+        'POST trash/restore': handleRestoreTrash_,
+        'POST trash/purge': handlePurgeTrash_,
+        'POST upload': handleUpload_,
+        'POST files/discard': handleDiscardFiles_,
+        'GET storage/report': handleStorageReport_,
+        'POST storage/relink': handleRelinkImages_,
+        'POST storage/deleteOrphans': handleDeleteOrphans_
+    };
+}
+
+function parseRequest_(method, e) {
+    const params = (e && e.parameter) || {};
+    let body = {};
+
+    if (e && e.postData && e.postData.contents) {
+        try {
+            body = JSON.parse(e.postData.contents);
+        } catch (error) {
+            throw new ApiError(400, 'Invalid JSON body');
+        }
+    }
+
+    const action = String(params.action || body.action || (e && e.pathInfo) || '').replace(/^\/+|\/+$/g, '');
+
+    return {
+        method,
+        action,
+        params,
+        body,
+        token: body.token || params.token || ''
+    };
+}
+
+// Serialise writes so concurrent requests cannot interleave sheet updates
+function withScriptLock_(callback) {
+    const lock = LockService.getScriptLock();
+    lock.waitLock(LOCK_TIMEOUT_MS);
+    try {
+        return callback();
+    } finally {
+        // Also when the handler throws: a failed login is recorded before its error
+        SpreadsheetApp.flush();
+        lock.releaseLock();
+    }
+}
+
+function handleRequest_(method, e) {
+    let payload;
+
+    try {
+        const request = parseRequest_(method, e);
+        const handler = getRoutes_()[`${method} ${request.action}`];
+        if (!handler) {
+            throw new ApiError(404, `Unknown route: ${method} /${request.action}`);
+        }
+
+        const ctx = Object.assign({}, request, { storage: createStorage_() });
+        const result = method === 'POST' ? withScriptLock_(() => handler(ctx)) : handler(ctx);
+
+        payload = { success: true, message: result.message, data: result.data };
+    } catch (error) {
+        const isApiError = error instanceof ApiError;
+        if (!isApiError) {
+            console.error(error.stack || error);
+        }
+
+        // Apps Script cannot set HTTP status codes, so the code travels in the body
+        payload = {
+            success: false,
+            message: error.message || 'Internal server error',
+            code: isApiError ? error.code : 500
+        };
+        if (isApiError && error.data !== undefined) {
+            payload.data = error.data;
+        }
+    }
+
+    return ContentService.createTextOutput(JSON.stringify(payload))
+        .setMimeType(ContentService.MimeType.JSON);
+}
@@ -0,0 +1,91 @@
+/**
+ * Session Routes
+ * Lists the signed-in admin's live sessions and revokes them. A revoked token
+ * fails requireAuth_ exactly like an expired one.
+ *
+ * Apps Script does not see request headers, so the user agent is the one the
+ * login page sends along with the credentials.
+ */
+
+// Adds the token to its username's list, dropping tokens that have ended
+function trackSession_(ctx, username, token) {
+    const tokens = ctx.storage.tokens.listTokens(username)
+        .filter(current => current !== token && ctx.storage.tokens.get(current));
+    ctx.storage.tokens.saveTokens(username, tokens.concat(token));
+}
+
+function revokeSessions_(ctx, username, revoked) {
+    revoked.forEach(token => ctx.storage.tokens.remove(token));
+    ctx.storage.tokens.saveTokens(username, ctx.storage.tokens.listTokens(username)
+        .filter(token => revoked.indexOf(token) === -1 && ctx.storage.tokens.get(token)));
+}
+
+// Pairs each live token with its session; the token itself never leaves the server
+function getLiveSessions_(ctx, username) {
+    const now = new Date();
+    return ctx.storage.tokens.listTokens(username)
+        .map(token => ({ token, session: ctx.storage.tokens.get(token) }))
+        .filter(({ session }) => session && session.id && new Date(session.expiresAt) > now);
+}
+
+function toSessionInfo_(ctx, token, session) {
+    return {
+        id: session.id,
+        createdAt: session.createdAt,
+        lastUsedAt: ctx.storage.tokens.getLastUsed(token) || session.createdAt,
+        expiresAt: session.expiresAt,
+        userAgent: session.userAgent || '',
+        current: token === ctx.token
+    };
+}
+
+// This session first, then the most recently used
+function handleListSessions_(ctx) {
+    const session = requireAuth_(ctx);
+    const sessions = getLiveSessions_(ctx, session.username)
+        .map(({ token, session: current }) => toSessionInfo_(ctx, token, current))
+        .sort((a, b) => (b.current ? 1 : 0) - (a.current ? 1 : 0)
+            || String(b.lastUsedAt).localeCompare(String(a.lastUsedAt)));
+
+    return { message: 'OK', data: sessions };
+}
+
+function handleRevokeSession_(ctx) {
+    const session = requireAuth_(ctx);
+    const id = requireField_(ctx.body.id, 'Session');
+
+    const target = getLiveSessions_(ctx, session.username).find(({ session: current }) => current.id === id);
+    if (!target) {
+        throw new ApiError(404, 'Session not found. It may have ended already.');
+    }
+    if (target.token === ctx.token) {
+        throw new ApiError(400, 'Use Logout to end the session you are using');
+    }
+
+    revokeSessions_(ctx, session.username, [target.token]);
+    recordAudit_(ctx, session.username, 'session.revoke', session.username,
+        { sessions: [toSessionInfo_(ctx, target.token, target.session)] }, null);
+    return { message: 'Session revoked' };
+}
+
+// Ends every session of the admin except the one making the request; returns how many
+function revokeOtherSessions_(ctx, session) {
+    const live = getLiveSessions_(ctx, session.username).filter(({ token }) => token !== ctx.token);
+    const others = live.map(({ token }) => token);
+
+    revokeSessions_(ctx, session.username, others);
+    if (others.length > 0) {
+        recordAudit_(ctx, session.username, 'session.revoke', session.username,
+            { sessions: live.map(({ token, session: current }) => toSessionInfo_(ctx, token, current)) }, null);
+    }
+    return others;
+}
+
+function handleRevokeOtherSessions_(ctx) {
+    const session = requireAuth_(ctx);
+    const others = revokeOtherSessions_(ctx, session);
+    return {
+        message: `${others.length} other session${others.length === 1 ? '' : 's'} revoked`,
+        data: { revoked: others.length }
+    };
+}
@@ -0,0 +1,335 @@
+/**
+ * Storage Adapter
+ * Thin layer over SpreadsheetApp, DriveApp and CacheService so route handlers
+ * never touch the Google services directly
+ */
+class SheetStore {
+    constructor(spreadsheet) {
+        this.spreadsheet = spreadsheet;
+    }
+
+    getSheet_(name) {
+        const sheet = this.spreadsheet.getSheetByName(name);
+        if (!sheet) {
+            throw new ApiError(404, `Sheet "${name}" not found`);
+        }
+        return sheet;
+    }
+
+    hasSheet(name) {
+        return this.spreadsheet.getSheetByName(name) !== null;
+    }
+
+    listSheetNames() {
+        return this.spreadsheet.getSheets().map(sheet => sheet.getName());
+    }
+
+    getHeader(name) {
+        const sheet = this.getSheet_(name);
+        const lastColumn = sheet.getLastColumn();
+        return lastColumn > 0 ? sheet.getRange(1, 1, 1, lastColumn).getDisplayValues()[0] : [];
+    }
+
+    // Appends any header cells that are missing, leaving existing columns in place
+    ensureColumns(name, columns) {
+        const header = this.getHeader(name);
+        const missing = columns.filter(column => !header.includes(column));
+        if (missing.length === 0) return;
+
+        const sheet = this.getSheet_(name);
+        const needed = header.length + missing.length;
+        if (sheet.getMaxColumns() < needed) {
+            sheet.insertColumnsAfter(sheet.getMaxColumns(), needed - sheet.getMaxColumns());
+        }
+        sheet.getRange(1, header.length + 1, 1, missing.length).setValues([missing]);
+    }
+
+    // Creates a sheet with the given header the first time it is needed
+    ensureSheet(name, columns) {
+        if (!this.hasSheet(name)) {
+            this.spreadsheet.insertSheet(name).getRange(1, 1, 1, columns.length).setValues([columns]);
+            return;
+        }
+        this.ensureColumns(name, columns);
+    }
+
+    // Returns data rows as objects keyed by the header row
+    getRows(name) {
+        const values = this.getSheet_(name).getDataRange().getDisplayValues();
+        const header = values[0] || [];
+
+        return values.slice(1)
+            .filter(row => row.some(value => value !== ''))
+            .map(row => {
+                const record = {};
+                header.forEach((column, index) => {
+                    record[column] = row[index] !== undefined ? row[index] : '';
+                });
+                return record;
+            });
+    }
+
+    // Replaces every data row below the header
+    setRows(name, records) {
+        const sheet = this.getSheet_(name);
+        const header = this.getHeader(name);
+        const lastRow = sheet.getLastRow();
+
+        if (lastRow > 1) {
+            sheet.getRange(2, 1, lastRow - 1, header.length).clearContent();
+        }
+
+        if (records.length > 0) {
+            this.writeRows_(sheet, 2, header, records);
+        }
+    }
+
+    appendRow(name, record) {
+        this.appendRows(name, [record]);
+    }
+
+    appendRows(name, records) {
+        if (records.length === 0) return;
+
+        const sheet = this.getSheet_(name);
+        this.writeRows_(sheet, sheet.getLastRow() + 1, this.getHeader(name), records);
+    }
+
+    // Cells are written as plain text so DATE and TIME are never re-parsed by Sheets
+    writeRows_(sheet, startRow, header, records) {
+        const values = records.map(record =>
+            header.map(column => record[column] !== undefined && record[column] !== null ? String(record[column]) : '')
+        );
+        sheet.getRange(startRow, 1, values.length, header.length)
+            .setNumberFormat('@')
+            .setValues(values);
+    }
+
+    // New category sheets keep the headers and styling of Master_Template. A
+    // name Sheets rejects would leave a "Copy of Master_Template" behind, so
+    // the copy is removed again.
+    copyTemplate(name) {
+        const copy = this.getSheet_(SHEETS.TEMPLATE).copyTo(this.spreadsheet);
+        try {
+            copy.setName(name);
+        } catch (error) {
+            this.spreadsheet.deleteSheet(copy);
+            throw error;
+        }
+
+        const lastRow = copy.getLastRow();
+        if (lastRow > 1) {
+            copy.getRange(2, 1, lastRow - 1, copy.getLastColumn()).clearContent();
+        }
+    }
+
+    renameSheet(originalName, newName) {
+        this.getSheet_(originalName).setName(newName);
+    }
+
+    deleteSheet(name) {
+        this.spreadsheet.deleteSheet(this.getSheet_(name));
+    }
+}
+
+class FileStore {
+    constructor(folderId) {
+        this.folderId = folderId;
+    }
+
+    // upload: { name, mimeType, data } with data base64 encoded
+    createFile(upload) {
+        const blob = Utilities.newBlob(Utilities.base64Decode(upload.data), upload.mimeType, upload.name);
+        const file = DriveApp.getFolderById(this.folderId).createFile(blob);
+        file.setSharing(DriveApp.Access.ANYONE_WITH_LINK, DriveApp.Permission.VIEW);
+        return file.getId();
+    }
+
+    // Every file currently in the folder (Drive leaves trashed files out)
+    listFiles() {
+        const iterator = DriveApp.getFolderById(this.folderId).getFiles();
+        const files = [];
+
+        while (iterator.hasNext()) {
+            const file = iterator.next();
+            files.push({
+                fileId: file.getId(),
+                name: file.getName(),
+                mimeType: file.getMimeType(),
+                size: file.getSize(),
+                created: file.getDateCreated().toISOString()
+            });
+        }
+        return files;
+    }
+
+    isExternalUrl(fileId) {
+        return /^https?:\/\//i.test(fileId || '');
+    }
+
+    // Legacy cells may hold a Drive link (uc?id=<id>, thumbnail?id=<id> or
+    // /file/d/<id>/view) instead of the id; other URLs are returned as they are
+    toFileId(reference) {
+        if (!this.isExternalUrl(reference)) return reference || '';
+
+        const match = /^https?:\/\/(?:drive|docs)\.google\.com\/.*?(?:[?&]id=|\/d\/)([A-Za-z0-9_-]+)/i.exec(reference);
+        return match ? match[1] : reference;
+    }
+
+    hasFile(fileId) {
+        if (!fileId) return false;
+
+        try {
+            return !DriveApp.getFileById(fileId).isTrashed();
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // Only files directly in the image folder belong to the app; anything else
+    // the script can open in Drive is never attached to an entry or trashed
+    isInFolder(fileId) {
+        if (!fileId || this.isExternalUrl(fileId)) return false;
+
+        try {
+            return this.isFileInFolder_(DriveApp.getFileById(fileId));
+        } catch (error) {
+            return false;
+        }
+    }
+
+    isFileInFolder_(file) {
+        if (file.isTrashed()) return false;
+
+        const parents = file.getParents();
+        while (parents.hasNext()) {
+            if (parents.next().getId() === this.folderId) return true;
+        }
+        return false;
+    }
+
+    // Missing files are not an error: the goal is that the file is gone.
+    // Files outside the image folder are left alone.
+    deleteFile(fileId) {
+        if (!fileId || this.isExternalUrl(fileId)) return false;
+
+        try {
+            const file = DriveApp.getFileById(fileId);
+            if (!this.isFileInFolder_(file)) return false;
+
+            file.setTrashed(true);
+            return true;
+        } catch (error) {
+            console.warn(`Could not delete file ${fileId}: ${error.message}`);
+            return false;
+        }
+    }
+
+    getImageUrl(fileId) {
+        if (!fileId) return '';
+        if (this.isExternalUrl(fileId)) return fileId;
+
+        const template = getProperty_('IMAGE_URL_TEMPLATE', DEFAULT_IMAGE_URL_TEMPLATE);
+        return template.replace('{id}', encodeURIComponent(fileId));
+    }
+}
+
+class TokenStore {
+    constructor(cache) {
+        this.cache = cache;
+    }
+
+    key_(token) {
+        return `token:${token}`;
+    }
+
+    put(token, session) {
+        this.cache.put(this.key_(token), JSON.stringify(session), TOKEN_TTL_SECONDS);
+    }
+
+    get(token) {
+        if (!token) return null;
+
+        const value = this.cache.get(this.key_(token));
+        return value ? JSON.parse(value) : null;
+    }
+
+    remove(token) {
+        this.cache.remove(this.key_(token));
+        this.cache.remove(this.usedKey_(token));
+    }
+
+    // Last use is kept apart from the session, so a request recording it
+    // cannot overwrite a refresh that runs at the same time
+    usedKey_(token) {
+        return `token-used:${token}`;
+    }
+
+    touch(token) {
+        this.cache.put(this.usedKey_(token), new Date().toISOString(), TOKEN_TTL_SECONDS);
+    }
+
+    getLastUsed(token) {
+        return this.cache.get(this.usedKey_(token));
+    }
+
+    // The cache cannot be searched, so each admin's tokens are listed under
+    // their username; only changed by POST routes, which hold the script lock
+    indexKey_(username) {
+        return `sessions:${username}`;
+    }
+
+    listTokens(username) {
+        const value = this.cache.get(this.indexKey_(username));
+        return value ? JSON.parse(value) : [];
+    }
+
+    saveTokens(username, tokens) {
+        if (tokens.length === 0) {
+            this.cache.remove(this.indexKey_(username));
+        } else {
+            this.cache.put(this.indexKey_(username), JSON.stringify(tokens), TOKEN_TTL_SECONDS);
+        }
+    }
+}
+
+// Short-lived state for multi-step flows, such as a password that still
+// awaits its second factor; each kind of entry has its own key space
+class ChallengeStore {
+    constructor(cache) {
+        this.cache = cache;
+    }
+
+    key_(kind, id) {
+        return `${kind}:${id}`;
+    }
+
+    put(kind, id, value, ttlSeconds) {
+        this.cache.put(this.key_(kind, id), JSON.stringify(value), ttlSeconds);
+    }
+
+    get(kind, id) {
+        if (!id) return null;
+
+        const value = this.cache.get(this.key_(kind, id));
+        return value ? JSON.parse(value) : null;
+    }
+
+    remove(kind, id) {
+        this.cache.remove(this.key_(kind, id));
+    }
+}
+
+function createStorage_() {
+    const spreadsheetId = getProperty_('SPREADSHEET_ID', '');
+    const spreadsheet = spreadsheetId
+        ? SpreadsheetApp.openById(spreadsheetId)
+        : SpreadsheetApp.getActiveSpreadsheet();
+
+    return {
+        sheets: new SheetStore(spreadsheet),
+        files: new FileStore(getProperty_('DRIVE_FOLDER_ID', DEFAULT_DRIVE_FOLDER_ID)),
+        tokens: new TokenStore(CacheService.getScriptCache()),
+        challenges: new ChallengeStore(CacheService.getScriptCache())
+    };
+}
@@ -0,0 +1,136 @@
+/**
+ * Storage Report Routes
+ * Reconciles the Drive image folder with the image references in every
+ * category sheet: orphaned files are used by no entry, kept version or Trash item,
+ * dangling references point at files that no longer exist
+ */
+function collectImageReferences_(ctx) {
+    const references = [];
+
+    getCategorySheetNames_(ctx).forEach(sheetName => {
+        ctx.storage.sheets.getRows(sheetName).forEach(row => {
+            getEntryFileIds_(row).forEach((fileId, position) => {
+                references.push({
+                    entryId: row['ENTRY ID'],
+                    sheetName,
+                    entryName: row['WEB NAME'],
+                    fileId,
+                    position
+                });
+            });
+        });
+    });
+    return references;
+}
+
+function handleStorageReport_(ctx) {
+    requirePermission_(ctx, 'manageStorage');
+    ensureEntryIds_(ctx);
+    const files = ctx.storage.files.listFiles();
+    const references = collectImageReferences_(ctx);
+
+    const inFolder = {};
+    files.forEach(file => {
+        inFolder[file.fileId] = true;
+    });
+
+    // Files of kept versions and trashed entries are in use until those are purged
+    const referenced = collectReferencedFileIds_(ctx);
+
+    const orphans = files
+        .filter(file => !referenced[file.fileId])
+        .map(file => Object.assign({}, file, { url: ctx.storage.files.getImageUrl(file.fileId) }));
+
+    // Files outside the folder still count as present; external URLs are not ours to check
+    const dangling = references.filter(reference =>
+        !inFolder[reference.fileId]
+        && !ctx.storage.files.isExternalUrl(reference.fileId)
+        && !ctx.storage.files.hasFile(reference.fileId)
+    );
+
+    const sumSizes = list => list.reduce((total, file) => total + (Number(file.size) || 0), 0);
+
+    return {
+        message: 'OK',
+        data: {
+            totalFiles: files.length,
+            totalBytes: sumSizes(files),
+            orphans,
+            orphanBytes: sumSizes(orphans),
+            dangling
+        }
+    };
+}
+
+// fileIds: orphans picked in the Storage view; files an entry, kept version or
+// Trash item uses, or that are not in the image folder, are skipped
+function handleDeleteOrphans_(ctx) {
+    const session = requirePermission_(ctx, 'manageStorage');
+    const fileIds = Array.isArray(ctx.body.fileIds) ? ctx.body.fileIds : [];
+    const referenced = collectReferencedFileIds_(ctx);
+
+    const deleted = fileIds.filter(fileId => typeof fileId === 'string' && !referenced[fileId]
+        && ctx.storage.files.isInFolder(fileId) && ctx.storage.files.deleteFile(fileId));
+
+    if (deleted.length > 0) {
+        recordAudit_(ctx, session.username, 'file.delete', DRIVE_FOLDER_ENTITY, { FILES: deleted }, null);
+    }
+    return { message: 'Files deleted', data: { deleted: deleted.length } };
+}
+
+// links: [{ entryId, fileId, replacementId }]; an empty replacementId
+// drops the reference, otherwise it must be a file in the image folder no entry uses
+function handleRelinkImages_(ctx) {
+    const session = requirePermission_(ctx, 'manageStorage');
+    const links = Array.isArray(ctx.body.links) ? ctx.body.links : [];
+    if (links.length === 0) {
+        throw new ApiError(400, 'No references to update');
+    }
+
+    const referenced = collectReferencedFileIds_(ctx);
+    let relinked = 0;
+    let removed = 0;
+
+    links.forEach(link => {
+        const entryId = requireField_(link.entryId, 'Entry id');
+        const fileId = requireField_(link.fileId, 'File id');
+        const replacementId = link.replacementId ? String(link.replacementId).trim() : '';
+
+        const { sheetName, rows, index } = findEntry_(ctx, entryId);
+        const fileIds = getEntryFileIds_(rows[index]);
+        const position = fileIds.indexOf(fileId);
+        if (position === -1) {
+            throw new ApiError(409, `"${rows[index]['WEB NAME']}" no longer references that image. Refresh and try again.`);
+        }
+
+        if (replacementId) {
+            if (referenced[replacementId]) {
+                throw new ApiError(400, 'The replacement file already belongs to an entry');
+            }
+            if (!ctx.storage.files.isInFolder(replacementId)) {
+                throw new ApiError(404, 'The replacement file was not found in the image folder');
+            }
+            fileIds[position] = replacementId;
+            referenced[replacementId] = true;
+            relinked++;
+        } else {
+            fileIds.splice(position, 1);
+            removed++;
+        }
+
+        const updated = Object.assign({}, rows[index]);
+        setEntryFileIds_(updated, fileIds);
+        if (position === 0) {
+            updated['IMAGE FRAMING'] = '';
+        }
+        updated['REVISION'] = newRevision_();
+
+        ensureEntryColumns_(ctx, sheetName);
+        const before = rows[index];
+        rows[index] = updated;
+        ctx.storage.sheets.setRows(sheetName, rows);
+        recordAudit_(ctx, session.username, 'entry.relink', entryId, before, updated);
+    });
+
+    return { message: 'References updated', data: { relinked, removed } };
+}
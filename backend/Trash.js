@@ -0,0 +1,273 @@
+/**
+ * Trash
+ * Deleted entries and categories are moved to the Trash sheet as JSON and
+ * kept for the retention period. Restoring puts them back; purging, by hand
+ * or once the period is over, deletes them for good along with their Drive
+ * files and kept versions. Until then their files count as in use.
+ *
+ * A cell holds 50,000 characters, so the entries of a deleted category get a
+ * row each, with the category's TRASH ID as their GROUP ID. The group is
+ * listed, restored and purged as one item.
+ */
+const TRASH_COLUMNS = ['TRASH ID', 'TYPE', 'NAME', 'DELETED BY', 'DELETED AT', 'PURGE AT', 'VALUES', 'GROUP ID'];
+
+const TRASH_TYPES = { ENTRY: 'entry', CATEGORY: 'category', CATEGORY_ENTRY: 'category-entry' };
+
+function getTrashRetentionDays_() {
+    const days = parseFloat(getProperty_('TRASH_RETENTION_DAYS', ''));
+    return days > 0 ? days : DEFAULT_TRASH_RETENTION_DAYS;
+}
+
+function getTrashRows_(ctx) {
+    return ctx.storage.sheets.hasSheet(SHEETS.TRASH) ? ctx.storage.sheets.getRows(SHEETS.TRASH) : [];
+}
+
+// Entry rows hold { sheetName, row }, category rows { row }. Category rows
+// written before entries had rows of their own also hold { entries }.
+function parseTrashValues_(row) {
+    try {
+        return row['VALUES'] ? JSON.parse(row['VALUES']) : {};
+    } catch (error) {
+        return {};
+    }
+}
+
+function getTrashedEntryRows_(row) {
+    const values = parseTrashValues_(row);
+    if (row['TYPE'] === TRASH_TYPES.CATEGORY) {
+        return Array.isArray(values.entries) ? values.entries : [];
+    }
+    return values.row ? [values.row] : [];
+}
+
+// The item's own row and, for a category, the rows of its entries
+function isInTrashGroup_(row, trashId) {
+    return row['TRASH ID'] === trashId || (!!row['GROUP ID'] && row['GROUP ID'] === trashId);
+}
+
+function getTrashItemEntries_(rows, item) {
+    return [].concat(...rows.filter(row => isInTrashGroup_(row, item['TRASH ID'])).map(getTrashedEntryRows_));
+}
+
+function isTrashExpired_(row, now) {
+    return (Date.parse(row['PURGE AT']) || 0) <= now;
+}
+
+// Every file id of a trashed entry, so it is neither an orphan nor reusable
+function collectTrashFileIds_(ctx) {
+    const referenced = {};
+    getTrashRows_(ctx).forEach(row => {
+        getTrashedEntryRows_(row).forEach(entry => {
+            getEntryFileIds_(entry).forEach(fileId => {
+                referenced[fileId] = true;
+            });
+        });
+    });
+    return referenced;
+}
+
+// entries: the rows of a deleted category, each written to a row of its own
+function moveToTrash_(ctx, actor, type, name, values, entries = []) {
+    purgeExpiredTrash_(ctx);
+
+    const now = new Date();
+    const stamp = {
+        'DELETED BY': actor,
+        'DELETED AT': now.toISOString(),
+        'PURGE AT': new Date(now.getTime() + getTrashRetentionDays_() * 24 * 60 * 60 * 1000).toISOString()
+    };
+    const row = Object.assign({
+        'TRASH ID': Utilities.getUuid(),
+        'TYPE': type,
+        'NAME': name,
+        'VALUES': JSON.stringify(values)
+    }, stamp);
+    const entryRows = entries.map(entry => Object.assign({
+        'TRASH ID': Utilities.getUuid(),
+        'TYPE': TRASH_TYPES.CATEGORY_ENTRY,
+        'NAME': entry['WEB NAME'],
+        'VALUES': JSON.stringify({ sheetName: name, row: entry }),
+        'GROUP ID': row['TRASH ID']
+    }, stamp));
+
+    ctx.storage.sheets.ensureSheet(SHEETS.TRASH, TRASH_COLUMNS);
+    ctx.storage.sheets.appendRows(SHEETS.TRASH, [row].concat(entryRows));
+    return row;
+}
+
+function removeTrashItem_(ctx, trashId) {
+    ctx.storage.sheets.setRows(SHEETS.TRASH, getTrashRows_(ctx).filter(row => !isInTrashGroup_(row, trashId)));
+}
+
+// Drops the items first so their files no longer count as referenced
+function purgeTrashRows_(ctx, purged) {
+    if (purged.length === 0) return;
+
+    const rows = getTrashRows_(ctx);
+    const isPurged = row => purged.some(item => isInTrashGroup_(row, item['TRASH ID']));
+    ctx.storage.sheets.setRows(SHEETS.TRASH, rows.filter(row => !isPurged(row)));
+
+    const entries = [].concat(...rows.filter(isPurged).map(getTrashedEntryRows_));
+    removeEntryHistory_(ctx, entries.map(entry => entry['ENTRY ID']));
+    deleteUnreferencedFiles_(ctx, [].concat(...entries.map(getEntryFileIds_)));
+}
+
+// Needs the script lock, like every write
+function purgeExpiredTrash_(ctx) {
+    const now = Date.now();
+    purgeTrashRows_(ctx, getTrashRows_(ctx).filter(row => isTrashExpired_(row, now)));
+}
+
+// Trashed entries follow a rename of their category so they can still be restored
+function renameTrashedCategory_(ctx, originalName, newName) {
+    const rows = getTrashRows_(ctx);
+    let changed = false;
+
+    const updated = rows.map(row => {
+        const values = parseTrashValues_(row);
+        if (row['TYPE'] !== TRASH_TYPES.ENTRY || ((values.row || {})['CATEGORY'] || values.sheetName) !== originalName) {
+            return row;
+        }
+
+        changed = true;
+        values.sheetName = newName;
+        values.row = Object.assign({}, values.row, { 'CATEGORY': newName });
+        return Object.assign({}, row, { 'VALUES': JSON.stringify(values) });
+    });
+
+    if (changed) {
+        ctx.storage.sheets.setRows(SHEETS.TRASH, updated);
+    }
+}
+
+// Entries of a trashed category only come back with it
+function findTrashRow_(ctx, trashId) {
+    const row = getTrashRows_(ctx).find(current => current['TRASH ID'] === trashId);
+    if (!row || row['TYPE'] === TRASH_TYPES.CATEGORY_ENTRY || isTrashExpired_(row, Date.now())) {
+        throw new ApiError(404, 'Item not found in the Trash. It may have been restored or purged.');
+    }
+    return row;
+}
+
+// Entries need editEntries and categories manageCategories, as when deleting them
+function requireTrashPermission_(ctx, row) {
+    return requirePermission_(ctx, row['TYPE'] === TRASH_TYPES.CATEGORY ? 'manageCategories' : 'editEntries');
+}
+
+function toTrashItem_(row, rows) {
+    const values = parseTrashValues_(row);
+
+    return {
+        id: row['TRASH ID'],
+        type: row['TYPE'],
+        name: row['NAME'],
+        category: row['TYPE'] === TRASH_TYPES.ENTRY ? ((values.row || {})['CATEGORY'] || values.sheetName || '') : row['NAME'],
+        entryCount: getTrashItemEntries_(rows, row).length,
+        deletedBy: row['DELETED BY'],
+        deletedAt: row['DELETED AT'],
+        purgeAt: row['PURGE AT']
+    };
+}
+
+// Latest deletion first. GET runs without the lock, so it is taken only when
+// something expired since the last write.
+function handleListTrash_(ctx) {
+    requirePermission_(ctx, 'editEntries');
+
+    const now = Date.now();
+    let rows = getTrashRows_(ctx);
+    if (rows.some(row => isTrashExpired_(row, now))) {
+        withScriptLock_(() => purgeExpiredTrash_(ctx));
+        rows = getTrashRows_(ctx);
+    }
+
+    const items = rows
+        .filter(row => row['TYPE'] !== TRASH_TYPES.CATEGORY_ENTRY)
+        .map(row => toTrashItem_(row, rows))
+        .sort((a, b) => String(b.deletedAt).localeCompare(String(a.deletedAt)));
+
+    return { message: 'OK', data: { items, retentionDays: getTrashRetentionDays_() } };
+}
+
+function restoreTrashedEntry_(ctx, values) {
+    const category = values.row['CATEGORY'] || values.sheetName;
+    if (getCategorySheetNames_(ctx).indexOf(category) === -1) {
+        throw new ApiError(400, `Category "${category}" no longer exists. Restore it from the Trash first.`);
+    }
+
+    ensureEntryColumns_(ctx, category);
+    const rows = ctx.storage.sheets.getRows(category);
+    const row = Object.assign({}, values.row, {
+        'S.NO': nextSerial_(rows),
+        'CATEGORY': category,
+        'REVISION': newRevision_()
+    });
+    ctx.storage.sheets.appendRow(category, row);
+    return row;
+}
+
+function restoreTrashedCategory_(ctx, values, entries) {
+    const name = values.row['CATEGORY-NAME'];
+    if (isCategoryNameTaken_(ctx, name)) {
+        throw new ApiError(409, `A category named "${name}" already exists. Rename it before restoring this one.`);
+    }
+
+    const categories = ctx.storage.sheets.getRows(SHEETS.CATEGORIES);
+    const row = Object.assign({}, values.row, {
+        'S.NO': nextSerial_(categories),
+        'REVISION': newRevision_()
+    });
+
+    ctx.storage.sheets.ensureColumns(SHEETS.CATEGORIES, CATEGORY_EXTRA_COLUMNS);
+    ctx.storage.sheets.copyTemplate(name);
+    ensureEntryColumns_(ctx, name);
+    ctx.storage.sheets.setRows(name, renumber_(entries.map(entry => Object.assign({}, entry, {
+        'CATEGORY': name,
+        'REVISION': newRevision_()
+    }))));
+    ctx.storage.sheets.appendRow(SHEETS.CATEGORIES, row);
+    return row;
+}
+
+// Signed in before the lookup, so only admins can tell which ids exist
+function handleRestoreTrash_(ctx) {
+    requirePermission_(ctx, 'editEntries');
+    const trashId = requireField_(ctx.body.id, 'Trash item');
+    const trashed = findTrashRow_(ctx, trashId);
+    const session = requireTrashPermission_(ctx, trashed);
+    const values = parseTrashValues_(trashed);
+    if (!values.row) {
+        throw new ApiError(400, `"${trashed['NAME']}" is damaged in the Trash sheet and cannot be restored`);
+    }
+
+    if (trashed['TYPE'] === TRASH_TYPES.CATEGORY) {
+        const row = restoreTrashedCategory_(ctx, values, getTrashItemEntries_(getTrashRows_(ctx), trashed));
+        removeTrashItem_(ctx, trashId);
+        recordAudit_(ctx, session.username, 'category.restore', row['CATEGORY-NAME'], null, row);
+        return { message: `Category "${row['CATEGORY-NAME']}" restored`, data: toCategory_(row) };
+    }
+
+    const row = restoreTrashedEntry_(ctx, values);
+    removeTrashItem_(ctx, trashId);
+    recordAudit_(ctx, session.username, 'entry.restore', row['ENTRY ID'], null, row);
+    return { message: `"${row['WEB NAME']}" restored`, data: toEntry_(ctx, row, row['CATEGORY']) };
+}
+
+function handlePurgeTrash_(ctx) {
+    requirePermission_(ctx, 'editEntries');
+    const trashId = requireField_(ctx.body.id, 'Trash item');
+    const trashed = findTrashRow_(ctx, trashId);
+    const session = requireTrashPermission_(ctx, trashed);
+    const entryCount = getTrashItemEntries_(getTrashRows_(ctx), trashed).length;
+
+    purgeTrashRows_(ctx, [trashed]);
+
+    const row = parseTrashValues_(trashed).row || {};
+    if (trashed['TYPE'] === TRASH_TYPES.CATEGORY) {
+        recordAudit_(ctx, session.username, 'category.purge', trashed['NAME'],
+            Object.assign({}, row, { 'ENTRIES': entryCount }), null);
+    } else {
+        recordAudit_(ctx, session.username, 'entry.purge', row['ENTRY ID'] || trashed['NAME'], row, null);
+    }
+    return { message: `"${trashed['NAME']}" deleted permanently` };
+}
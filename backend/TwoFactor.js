@@ -0,0 +1,312 @@
+/**
+ * Two-Factor Routes
+ * Optional RFC 6238 TOTP per admin. Setup keeps a new secret in the cache until
+ * a first code from the authenticator app confirms it; enabling stores the
+ * secret in Admin-info and issues one-time recovery codes, kept only as hashes.
+ *
+ * Login with two-factor takes two requests: auth/login checks the password and
+ * returns a short-lived challenge, auth/2fa/verify trades the challenge and a
+ * code (or a recovery code) for a session.
+ */
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// Apps Script byte arrays are signed
+function toSignedByte_(value) {
+    const byte = value & 255;
+    return byte > 127 ? byte - 256 : byte;
+}
+
+// Each HMAC of a fresh UUID adds 32 bytes
+function randomBytes_(count) {
+    let bytes = [];
+    while (bytes.length < count) {
+        bytes = bytes.concat(Utilities.computeHmacSha256Signature(Utilities.getUuid(), Utilities.getUuid()));
+    }
+    return bytes.slice(0, count);
+}
+
+function base32Encode_(bytes) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    bytes.forEach(byte => {
+        value = (value << 8) | (byte & 255);
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    });
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+}
+
+function base32Decode_(text) {
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    String(text).toUpperCase().replace(/[^A-Z2-7]/g, '').split('').forEach(char => {
+        value = (value << 5) | BASE32_ALPHABET.indexOf(char);
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push(toSignedByte_(value >>> (bits - 8)));
+            bits -= 8;
+        }
+    });
+    return bytes;
+}
+
+function currentTotpStep_() {
+    return Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS);
+}
+
+// RFC 4226 HOTP with HMAC-SHA1 and dynamic truncation
+function generateTotp_(secret, step) {
+    const counter = [0, 0, 0, 0, step >>> 24, step >>> 16, step >>> 8, step].map(toSignedByte_);
+    const hash = Utilities.computeHmacSignature(Utilities.MacAlgorithm.HMAC_SHA_1, counter, base32Decode_(secret));
+
+    const offset = hash[hash.length - 1] & 15;
+    const binary = ((hash[offset] & 127) << 24)
+        | ((hash[offset + 1] & 255) << 16)
+        | ((hash[offset + 2] & 255) << 8)
+        | (hash[offset + 3] & 255);
+
+    return String(binary % Math.pow(10, TOTP_DIGITS)).padStart(TOTP_DIGITS, '0');
+}
+
+// Returns the matching time step, or -1. Steps at or before lastStep were
+// already used, so a code cannot be replayed within its window.
+function findTotpStep_(secret, code, lastStep) {
+    const current = currentTotpStep_();
+    for (let step = current - TOTP_WINDOW_STEPS; step <= current + TOTP_WINDOW_STEPS; step++) {
+        if (step > lastStep && constantTimeEquals_(generateTotp_(secret, step), code)) {
+            return step;
+        }
+    }
+    return -1;
+}
+
+function buildOtpauthUrl_(username, secret) {
+    const label = encodeURIComponent(`${TOTP_ISSUER}:${username}`);
+    return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(TOTP_ISSUER)}`
+        + `&algorithm=SHA1&digits=${TOTP_DIGITS}&period=${TOTP_STEP_SECONDS}`;
+}
+
+// Recovery codes are XXXXX-XXXXX; dashes, spaces and case are ignored when typed
+function normalizeRecoveryCode_(code) {
+    return String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+// The codes carry 50 random bits each, so one keyed hash is enough
+function hashRecoveryCode_(username, code) {
+    return Utilities.base64Encode(Utilities.computeHmacSha256Signature(normalizeRecoveryCode_(code), `recovery:${username}`));
+}
+
+function generateRecoveryCodes_() {
+    const codes = [];
+    for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+        const code = base32Encode_(randomBytes_(7)).slice(0, 10);
+        codes.push(`${code.slice(0, 5)}-${code.slice(5)}`);
+    }
+    return codes;
+}
+
+function parseRecoveryHashes_(row) {
+    try {
+        const hashes = JSON.parse(row['RECOVERY CODES'] || '[]');
+        return Array.isArray(hashes) ? hashes : [];
+    } catch (error) {
+        return [];
+    }
+}
+
+function findAdminRowIndex_(rows, username) {
+    const index = rows.findIndex(row => row.USERNAME === username);
+    if (index === -1) {
+        throw new ApiError(404, 'User not found');
+    }
+    return index;
+}
+
+function saveAdminRow_(ctx, rows, index, changes) {
+    rows[index] = Object.assign({}, rows[index], changes);
+    ctx.storage.sheets.ensureColumns(SHEETS.ADMIN, ADMIN_EXTRA_COLUMNS);
+    ctx.storage.sheets.setRows(SHEETS.ADMIN, rows);
+}
+
+// Disabling or regenerating codes asks for the password again, so an
+// unattended session cannot weaken the account; wrong ones count as failed logins
+function requireCurrentPassword_(ctx, row) {
+    const password = requireField_(ctx.body.password, 'Password');
+    const keys = toLoginKeys_(row.USERNAME, ctx.body.clientId);
+    requireNotLockedOut_(ctx, keys);
+
+    if (!verifyPassword_(password, row.PASSWORD)) {
+        const attemptsRemaining = recordLoginFailure_(ctx, keys);
+        throw new ApiError(400, 'Password is incorrect', { attemptsRemaining });
+    }
+    clearLoginFailures_(ctx, keys);
+}
+
+function startTwoFactorChallenge_(ctx, username, clientId) {
+    const challenge = Utilities.getUuid();
+    ctx.storage.challenges.put('2fa-login', challenge, {
+        username,
+        clientId,
+        userAgent: ctx.body.userAgent,
+        attempts: 0
+    }, TWO_FACTOR_CHALLENGE_TTL_SECONDS);
+    return { twoFactorRequired: true, challenge };
+}
+
+function handleTwoFactorStatus_(ctx) {
+    const session = requireAuth_(ctx);
+    const rows = ctx.storage.sheets.getRows(SHEETS.ADMIN);
+    const row = rows[findAdminRowIndex_(rows, session.username)];
+
+    return {
+        message: 'OK',
+        data: {
+            enabled: !!row['TOTP SECRET'],
+            recoveryCodesLeft: row['TOTP SECRET'] ? parseRecoveryHashes_(row).length : 0
+        }
+    };
+}
+
+function handleTwoFactorSetup_(ctx) {
+    const session = requireAuth_(ctx);
+    if (findAdminUser_(ctx, session.username).twoFactorEnabled) {
+        throw new ApiError(400, 'Two-factor authentication is already enabled');
+    }
+
+    const secret = base32Encode_(randomBytes_(20));
+    ctx.storage.challenges.put('2fa-setup', session.username, { secret }, TWO_FACTOR_SETUP_TTL_SECONDS);
+
+    return {
+        message: 'Scan the code with an authenticator app',
+        data: { secret, otpauthUrl: buildOtpauthUrl_(session.username, secret) }
+    };
+}
+
+function handleTwoFactorEnable_(ctx) {
+    const session = requireAuth_(ctx);
+    const code = requireField_(ctx.body.code, 'Code');
+
+    const pending = ctx.storage.challenges.get('2fa-setup', session.username);
+    if (!pending) {
+        throw new ApiError(400, 'Setup expired. Start again to get a new code.');
+    }
+
+    const step = findTotpStep_(pending.secret, code, -1);
+    if (step === -1) {
+        throw new ApiError(400, 'Invalid code. Check the time on your device and try again.');
+    }
+
+    const recoveryCodes = generateRecoveryCodes_();
+    const rows = ctx.storage.sheets.getRows(SHEETS.ADMIN);
+    const index = findAdminRowIndex_(rows, session.username);
+    const before = toAdminUser_(rows[index]);
+    saveAdminRow_(ctx, rows, index, {
+        'TOTP SECRET': pending.secret,
+        'TOTP LAST STEP': step,
+        'RECOVERY CODES': JSON.stringify(recoveryCodes.map(recoveryCode => hashRecoveryCode_(session.username, recoveryCode)))
+    });
+    ctx.storage.challenges.remove('2fa-setup', session.username);
+    recordAudit_(ctx, session.username, 'user.2fa.enable', session.username, before, toAdminUser_(rows[index]));
+
+    // Recovery codes are only returned when they are issued
+    return { message: 'Two-factor authentication enabled', data: { recoveryCodes } };
+}
+
+function handleTwoFactorDisable_(ctx) {
+    const session = requireAuth_(ctx);
+    const rows = ctx.storage.sheets.getRows(SHEETS.ADMIN);
+    const index = findAdminRowIndex_(rows, session.username);
+    requireCurrentPassword_(ctx, rows[index]);
+
+    const before = toAdminUser_(rows[index]);
+    saveAdminRow_(ctx, rows, index, { 'TOTP SECRET': '', 'TOTP LAST STEP': '', 'RECOVERY CODES': '' });
+    recordAudit_(ctx, session.username, 'user.2fa.disable', session.username, before, toAdminUser_(rows[index]));
+    return { message: 'Two-factor authentication disabled' };
+}
+
+function handleRegenerateRecoveryCodes_(ctx) {
+    const session = requireAuth_(ctx);
+    const rows = ctx.storage.sheets.getRows(SHEETS.ADMIN);
+    const index = findAdminRowIndex_(rows, session.username);
+    if (!rows[index]['TOTP SECRET']) {
+        throw new ApiError(400, 'Two-factor authentication is not enabled');
+    }
+    requireCurrentPassword_(ctx, rows[index]);
+
+    const recoveryCodes = generateRecoveryCodes_();
+    saveAdminRow_(ctx, rows, index, {
+        'RECOVERY CODES': JSON.stringify(recoveryCodes.map(recoveryCode => hashRecoveryCode_(session.username, recoveryCode)))
+    });
+    recordAudit_(ctx, session.username, 'user.2fa.recoveryCodes', session.username, null, { recoveryCodes: recoveryCodes.length });
+    return { message: 'New recovery codes issued', data: { recoveryCodes } };
+}
+
+// Second login step; accepts a 6-digit code or an unused recovery code
+function handleTwoFactorVerify_(ctx) {
+    const challengeId = requireField_(ctx.body.challenge, 'Challenge');
+    const code = requireField_(ctx.body.code, 'Code');
+
+    const challenge = ctx.storage.challenges.get('2fa-login', challengeId);
+    if (!challenge) {
+        throw new ApiError(401, 'Login expired. Enter your password again.');
+    }
+
+    const keys = toLoginKeys_(challenge.username, challenge.clientId);
+    requireNotLockedOut_(ctx, keys);
+
+    const rows = ctx.storage.sheets.getRows(SHEETS.ADMIN);
+    const index = rows.findIndex(row => row.USERNAME === challenge.username);
+    const row = rows[index];
+    const user = row ? toAdminUser_(row) : null;
+    if (!user || user.status === USER_STATUS.INACTIVE || !user.twoFactorEnabled) {
+        ctx.storage.challenges.remove('2fa-login', challengeId);
+        throw new ApiError(401, 'Login expired. Enter your password again.');
+    }
+
+    let changes = null;
+    if (code.length === TOTP_DIGITS && /^\d+$/.test(code)) {
+        const step = findTotpStep_(row['TOTP SECRET'], code, parseInt(row['TOTP LAST STEP'], 10) || -1);
+        if (step !== -1) {
+            changes = { 'TOTP LAST STEP': step };
+        }
+    } else {
+        const hashes = parseRecoveryHashes_(row);
+        const used = hashes.indexOf(hashRecoveryCode_(user.username, code));
+        if (used !== -1) {
+            hashes.splice(used, 1);
+            changes = { 'RECOVERY CODES': JSON.stringify(hashes) };
+        }
+    }
+
+    if (!changes) {
+        challenge.attempts++;
+        if (challenge.attempts >= TWO_FACTOR_MAX_ATTEMPTS) {
+            // Counts as a failed login, so codes cannot be guessed one challenge after another
+            ctx.storage.challenges.remove('2fa-login', challengeId);
+            recordLoginFailure_(ctx, keys);
+            throw new ApiError(401, 'Too many invalid codes. Enter your password again.');
+        }
+        ctx.storage.challenges.put('2fa-login', challengeId, challenge, TWO_FACTOR_CHALLENGE_TTL_SECONDS);
+        throw new ApiError(400, 'Invalid code');
+    }
+
+    saveAdminRow_(ctx, rows, index, changes);
+    ctx.storage.challenges.remove('2fa-login', challengeId);
+    clearLoginFailures_(ctx, keys);
+
+    const data = startSession_(ctx, user, challenge.userAgent);
+    if (changes['RECOVERY CODES'] !== undefined) {
+        data.recoveryCodesLeft = JSON.parse(changes['RECOVERY CODES']).length;
+    }
+    return { message: 'Login successful', data };
+}
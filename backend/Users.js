@@ -0,0 +1,102 @@
+/**
+ * User Routes
+ * Owners invite admins, change their roles and deactivate them. Invited users
+ * log in with a temporary password and become active once they change it.
+ */
+function requireUsername_(value) {
+    const username = requireField_(value, 'Username');
+    if (!/^[A-Za-z0-9._-]{3,32}$/.test(username)) {
+        throw new ApiError(400, 'Username must be 3-32 letters, numbers, dots, hyphens or underscores');
+    }
+    return username;
+}
+
+function requireRole_(value) {
+    const role = requireField_(value, 'Role');
+    if (ROLES.indexOf(role) === -1) {
+        throw new ApiError(400, `Role must be one of: ${ROLES.join(', ')}`);
+    }
+    return role;
+}
+
+// 64 random bits; the fixed letters and digit satisfy requireStrongPassword_()
+function generateTemporaryPassword_() {
+    return `Tmp${Utilities.getUuid().replace(/-/g, '').slice(0, 16)}7`;
+}
+
+function countActiveOwners_(users) {
+    return users.filter(user => user.role === 'owner' && user.status !== USER_STATUS.INACTIVE).length;
+}
+
+function handleListUsers_(ctx) {
+    requirePermission_(ctx, 'manageUsers');
+    return { message: 'OK', data: ctx.storage.sheets.getRows(SHEETS.ADMIN).map(toAdminUser_) };
+}
+
+function handleInviteUser_(ctx) {
+    const session = requirePermission_(ctx, 'manageUsers');
+    const username = requireUsername_(ctx.body.username);
+    const role = requireRole_(ctx.body.role);
+
+    const rows = ctx.storage.sheets.getRows(SHEETS.ADMIN);
+    if (rows.some(row => row.USERNAME.toLowerCase() === username.toLowerCase())) {
+        throw new ApiError(409, `User "${username}" already exists`);
+    }
+
+    const temporaryPassword = generateTemporaryPassword_();
+    const row = {
+        'USERNAME': username,
+        'PASSWORD': hashPassword_(temporaryPassword),
+        'ROLE': role,
+        'STATUS': USER_STATUS.INVITED
+    };
+
+    ctx.storage.sheets.ensureColumns(SHEETS.ADMIN, ADMIN_EXTRA_COLUMNS);
+    ctx.storage.sheets.appendRow(SHEETS.ADMIN, row);
+    recordAudit_(ctx, session.username, 'user.invite', username, null, toAdminUser_(row));
+
+    // The temporary password is only ever returned here
+    return { message: 'User invited', data: { user: toAdminUser_(row), temporaryPassword } };
+}
+
+// body: { username, role?, active? }
+function handleUpdateUser_(ctx) {
+    const session = requirePermission_(ctx, 'manageUsers');
+    const username = requireField_(ctx.body.username, 'Username');
+
+    const rows = ctx.storage.sheets.getRows(SHEETS.ADMIN);
+    const index = rows.findIndex(row => row.USERNAME === username);
+    if (index === -1) {
+        throw new ApiError(404, `User "${username}" not found`);
+    }
+
+    const current = toAdminUser_(rows[index]);
+    const updated = Object.assign({}, rows[index], { ROLE: current.role, STATUS: current.status });
+
+    if (ctx.body.role !== undefined) {
+        updated.ROLE = requireRole_(ctx.body.role);
+    }
+
+    if (ctx.body.active !== undefined) {
+        const active = ctx.body.active === true || ctx.body.active === 'true';
+        if (!active && username === session.username) {
+            throw new ApiError(400, 'You cannot deactivate your own account');
+        }
+        if (!active) {
+            updated.STATUS = USER_STATUS.INACTIVE;
+        } else if (current.status === USER_STATUS.INACTIVE) {
+            updated.STATUS = USER_STATUS.ACTIVE;
+        }
+    }
+
+    rows[index] = updated;
+    if (countActiveOwners_(rows.map(toAdminUser_)) === 0) {
+        throw new ApiError(400, 'At least one active owner is required');
+    }
+
+    ctx.storage.sheets.ensureColumns(SHEETS.ADMIN, ADMIN_EXTRA_COLUMNS);
+    ctx.storage.sheets.setRows(SHEETS.ADMIN, rows);
+
+    recordAudit_(ctx, session.username, 'user.update', username, current, toAdminUser_(updated));
+    return { message: 'User updated', data: toAdminUser_(updated) };
+}
@@ -0,0 +1,61 @@
+/**
+ * Shared Helpers
+ * Error type, timestamps and field validation used by every route
+ */
+class ApiError extends Error {
+    constructor(code, message, data) {
+        super(message);
+        this.name = 'ApiError';
+        this.code = code;
+        this.data = data;
+    }
+}
+
+// DATE as yyyy-MM-dd and TIME as HH:mm:ss in IST
+function nowStamp_() {
+    const now = new Date();
+    return {
+        date: Utilities.formatDate(now, TIME_ZONE, 'yyyy-MM-dd'),
+        time: Utilities.formatDate(now, TIME_ZONE, 'HH:mm:ss')
+    };
+}
+
+// Changes on every write; edit forms send back the one they loaded
+function newRevision_() {
+    return Utilities.getUuid();
+}
+
+// Rejects the write when the stored revision differs from the one the client
+// loaded; the conflict response carries the record as it is now
+function checkRevision_(ctx, row, toCurrent) {
+    if (ctx.body.revision === undefined || ctx.body.revision === null) {
+        throw new ApiError(400, 'Revision is required');
+    }
+    if (String(ctx.body.revision) !== (row['REVISION'] || '')) {
+        throw new ApiError(409, 'Someone else changed this while you were editing', {
+            conflict: true,
+            current: toCurrent()
+        });
+    }
+}
+
+function nextSerial_(rows) {
+    return rows.reduce((max, row) => Math.max(max, parseInt(row['S.NO'], 10) || 0), 0) + 1;
+}
+
+// Renumber S.NO after a row leaves a sheet so serials stay contiguous
+function renumber_(rows) {
+    return rows.map((row, index) => Object.assign({}, row, { 'S.NO': index + 1 }));
+}
+
+function requireField_(value, fieldName) {
+    if (value === undefined || value === null || String(value).trim() === '') {
+        throw new ApiError(400, `${fieldName} is required`);
+    }
+    return String(value).trim();
+}
+
+function normalizeUrl_(url) {
+    const trimmed = requireField_(url, 'URL');
+    return /^https?:\/\//i.test(trimmed) ? trimmed : `https://${trimmed}`;
+}
@@ -0,0 +1,191 @@
+/**
+ * DriveApp Fake
+ * Keeps file metadata in state and file bytes either on disk or in memory
+ *
+ * State shape: { files: { [id]: { name, mimeType, size, folderId, createdAt, trashed } } }
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { FakeBlob } = require('./utilities');
+
+class FakeFile {
+    constructor(drive, id) {
+        this.drive = drive;
+        this.id = id;
+    }
+
+    get meta() {
+        return this.drive.state.files[this.id];
+    }
+
+    getId() {
+        return this.id;
+    }
+
+    getName() {
+        return this.meta.name;
+    }
+
+    getMimeType() {
+        return this.meta.mimeType;
+    }
+
+    getSize() {
+        return this.meta.size;
+    }
+
+    getDateCreated() {
+        return new Date(this.meta.createdAt);
+    }
+
+    getUrl() {
+        return `https://drive.google.com/file/d/${this.id}/view`;
+    }
+
+    getBlob() {
+        return new FakeBlob(this.drive.readBytes(this.id), this.meta.mimeType, this.meta.name);
+    }
+
+    isTrashed() {
+        return Boolean(this.meta.trashed);
+    }
+
+    // Drive returns folders through the same iterator shape as files
+    getParents() {
+        return new FakeFileIterator(this.meta.folderId ? [this.drive.getFolderById(this.meta.folderId)] : []);
+    }
+
+    // Trashed files are purged right away; nothing in the app restores them
+    setTrashed(trashed) {
+        if (trashed && !this.meta.trashed) {
+            this.meta.trashed = true;
+            this.drive.removeBytes(this.id);
+        }
+        return this;
+    }
+
+    setSharing() {
+        return this;
+    }
+}
+
+class FakeFileIterator {
+    constructor(files) {
+        this.files = files;
+        this.index = 0;
+    }
+
+    hasNext() {
+        return this.index < this.files.length;
+    }
+
+    next() {
+        if (!this.hasNext()) {
+            throw new Error('No more files');
+        }
+        return this.files[this.index++];
+    }
+}
+
+class FakeFolder {
+    constructor(drive, id) {
+        this.drive = drive;
+        this.id = id;
+    }
+
+    getId() {
+        return this.id;
+    }
+
+    createFile(blob) {
+        return this.drive.createFile(this.id, blob);
+    }
+
+    getFiles() {
+        const files = Object.keys(this.drive.state.files)
+            .filter(id => {
+                const meta = this.drive.state.files[id];
+                return meta.folderId === this.id && !meta.trashed;
+            })
+            .map(id => new FakeFile(this.drive, id));
+        return new FakeFileIterator(files);
+    }
+}
+
+class FakeDriveApp {
+    constructor(state, options = {}) {
+        this.state = state;
+        this.uploadsDir = options.uploadsDir || null;
+        this.memory = new Map();
+
+        this.Access = { ANYONE: 'ANYONE', ANYONE_WITH_LINK: 'ANYONE_WITH_LINK', PRIVATE: 'PRIVATE' };
+        this.Permission = { VIEW: 'VIEW', EDIT: 'EDIT', COMMENT: 'COMMENT' };
+
+        if (this.uploadsDir) {
+            fs.mkdirSync(this.uploadsDir, { recursive: true });
+        }
+    }
+
+    getFolderById(id) {
+        return new FakeFolder(this, id);
+    }
+
+    // Own keys only, so ids like "constructor" are not found on the prototype
+    getFileById(id) {
+        const meta = Object.prototype.hasOwnProperty.call(this.state.files, id) ? this.state.files[id] : null;
+        if (!meta) {
+            throw new Error('No item with the given ID could be found, or you do not have permission to access it.');
+        }
+        return new FakeFile(this, id);
+    }
+
+    createFile(folderId, blob) {
+        const id = crypto.randomBytes(16).toString('hex');
+        const buffer = blob.buffer;
+
+        this.writeBytes(id, buffer);
+        this.state.files[id] = {
+            name: blob.getName() || 'Untitled',
+            mimeType: blob.getContentType(),
+            size: buffer.length,
+            folderId,
+            createdAt: new Date().toISOString(),
+            trashed: false
+        };
+
+        return new FakeFile(this, id);
+    }
+
+    // Byte storage
+    filePath(id) {
+        return path.join(this.uploadsDir, id);
+    }
+
+    writeBytes(id, buffer) {
+        if (this.uploadsDir) {
+            fs.writeFileSync(this.filePath(id), buffer);
+        } else {
+            this.memory.set(id, buffer);
+        }
+    }
+
+    readBytes(id) {
+        if (this.uploadsDir) {
+            return fs.existsSync(this.filePath(id)) ? fs.readFileSync(this.filePath(id)) : Buffer.alloc(0);
+        }
+        return this.memory.get(id) || Buffer.alloc(0);
+    }
+
+    removeBytes(id) {
+        if (this.uploadsDir) {
+            if (fs.existsSync(this.filePath(id))) {
+                fs.unlinkSync(this.filePath(id));
+            }
+        } else {
+            this.memory.delete(id);
+        }
+    }
+}
+
+module.exports = { FakeDriveApp, FakeFolder, FakeFile };
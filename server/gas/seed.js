@@ -0,0 +1,35 @@
+/**
+ * Seed Data
+ * Builds the fake spreadsheet from the reference CSVs in sheets/
+ */
+const fs = require('fs');
+const path = require('path');
+const { parseCsv } = require('../lib/csv');
+const { createState } = require('./runtime');
+
+const SEED_SHEETS = ['Admin-info', 'Categories', 'Master_Template'];
+
+function seedState(seedDir) {
+    const state = createState();
+
+    SEED_SHEETS.forEach(name => {
+        const file = path.join(seedDir, `${name}.csv`);
+        const values = fs.existsSync(file) ? parseCsv(fs.readFileSync(file, 'utf8')) : [];
+        state.spreadsheet.sheets.push({ name, values });
+    });
+
+    // Every seeded category gets its own sheet copied from Master_Template
+    const [categories, template] = ['Categories', 'Master_Template']
+        .map(name => state.spreadsheet.sheets.find(sheet => sheet.name === name).values);
+
+    categories.slice(1).forEach(row => {
+        const name = row[1];
+        if (name && !state.spreadsheet.sheets.some(sheet => sheet.name === name)) {
+            state.spreadsheet.sheets.push({ name, values: [(template[0] || []).slice()] });
+        }
+    });
+
+    return state;
+}
+
+module.exports = { seedState };
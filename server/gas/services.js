@@ -0,0 +1,143 @@
+/**
+ * Script Service Fakes
+ * CacheService, PropertiesService, LockService and ContentService
+ */
+
+const MAX_CACHE_TTL_SECONDS = 21600;
+
+class FakeCache {
+    // State shape: { [key]: { value, expiresAt } }
+    constructor(state) {
+        this.state = state;
+    }
+
+    get(key) {
+        const entry = this.state[key];
+        if (!entry) return null;
+
+        if (entry.expiresAt <= Date.now()) {
+            delete this.state[key];
+            return null;
+        }
+        return entry.value;
+    }
+
+    put(key, value, expirationInSeconds = 600) {
+        const ttl = Math.min(expirationInSeconds, MAX_CACHE_TTL_SECONDS);
+        this.state[key] = { value: String(value), expiresAt: Date.now() + ttl * 1000 };
+    }
+
+    remove(key) {
+        delete this.state[key];
+    }
+}
+
+class FakeCacheService {
+    constructor(state) {
+        this.cache = new FakeCache(state);
+    }
+
+    getScriptCache() {
+        return this.cache;
+    }
+}
+
+class FakeProperties {
+    // State shape: { [key]: value }
+    constructor(state) {
+        this.state = state;
+    }
+
+    getProperty(key) {
+        return Object.prototype.hasOwnProperty.call(this.state, key) ? this.state[key] : null;
+    }
+
+    setProperty(key, value) {
+        this.state[key] = String(value);
+        return this;
+    }
+
+    deleteProperty(key) {
+        delete this.state[key];
+        return this;
+    }
+
+    getProperties() {
+        return { ...this.state };
+    }
+}
+
+class FakePropertiesService {
+    constructor(state) {
+        this.properties = new FakeProperties(state);
+    }
+
+    getScriptProperties() {
+        return this.properties;
+    }
+}
+
+// Node handles one request at a time, so the lock only tracks misuse
+class FakeLock {
+    constructor() {
+        this.locked = false;
+    }
+
+    waitLock() {
+        this.locked = true;
+    }
+
+    tryLock() {
+        this.locked = true;
+        return true;
+    }
+
+    hasLock() {
+        return this.locked;
+    }
+
+    releaseLock() {
+        this.locked = false;
+    }
+}
+
+const FakeLockService = {
+    getScriptLock() {
+        return new FakeLock();
+    }
+};
+
+class FakeTextOutput {
+    constructor(content) {
+        this.content = content;
+        this.mimeType = 'text/plain';
+    }
+
+    getContent() {
+        return this.content;
+    }
+
+    setMimeType(mimeType) {
+        this.mimeType = mimeType;
+        return this;
+    }
+
+    getMimeType() {
+        return this.mimeType;
+    }
+}
+
+const FakeContentService = {
+    MimeType: { JSON: 'application/json', TEXT: 'text/plain' },
+
+    createTextOutput(content = '') {
+        return new FakeTextOutput(content);
+    }
+};
+
+module.exports = {
+    FakeCacheService,
+    FakePropertiesService,
+    FakeLockService,
+    FakeContentService
+};
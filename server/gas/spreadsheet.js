@@ -0,0 +1,207 @@
+/**
+ * SpreadsheetApp Fake
+ * In-memory spreadsheet covering the subset of the Sheets API the backend uses
+ *
+ * State shape: { sheets: [{ name, values: string[][] }] }
+ */
+
+// Sheets rejects longer sheet names
+const MAX_SHEET_NAME_LENGTH = 100;
+
+function checkSheetName(name) {
+    if (String(name).length > MAX_SHEET_NAME_LENGTH) {
+        throw new Error(`Sheet names must be ${MAX_SHEET_NAME_LENGTH} characters or fewer.`);
+    }
+}
+
+class FakeRange {
+    constructor(sheet, row, column, numRows, numColumns) {
+        if (row < 1 || column < 1 || numRows < 1 || numColumns < 1) {
+            throw new Error('The coordinates or dimensions of the range are invalid.');
+        }
+        this.sheet = sheet;
+        this.row = row;
+        this.column = column;
+        this.numRows = numRows;
+        this.numColumns = numColumns;
+    }
+
+    getValues() {
+        const values = [];
+        for (let r = 0; r < this.numRows; r++) {
+            const source = this.sheet.state.values[this.row - 1 + r] || [];
+            const row = [];
+            for (let c = 0; c < this.numColumns; c++) {
+                const value = source[this.column - 1 + c];
+                row.push(value === undefined || value === null ? '' : value);
+            }
+            values.push(row);
+        }
+        return values;
+    }
+
+    getDisplayValues() {
+        return this.getValues().map(row => row.map(value => String(value)));
+    }
+
+    setValues(values) {
+        if (values.length !== this.numRows || values.some(row => row.length !== this.numColumns)) {
+            throw new Error(`The number of rows or columns in the data does not match the range (${this.numRows}x${this.numColumns}).`);
+        }
+
+        values.forEach((row, r) => {
+            const target = this.sheet.rowAt(this.row - 1 + r);
+            row.forEach((value, c) => {
+                target[this.column - 1 + c] = value;
+            });
+        });
+        return this;
+    }
+
+    clearContent() {
+        return this.setValues(this.getValues().map(row => row.map(() => '')));
+    }
+
+    setNumberFormat() {
+        return this;
+    }
+}
+
+class FakeSheet {
+    constructor(spreadsheet, state) {
+        this.spreadsheet = spreadsheet;
+        this.state = state;
+    }
+
+    rowAt(index) {
+        while (this.state.values.length <= index) {
+            this.state.values.push([]);
+        }
+        return this.state.values[index];
+    }
+
+    getName() {
+        return this.state.name;
+    }
+
+    setName(name) {
+        checkSheetName(name);
+        const existing = this.spreadsheet.getSheetByName(name);
+        if (existing && existing.state !== this.state) {
+            throw new Error(`A sheet with the name "${name}" already exists. Please enter another name.`);
+        }
+        this.state.name = name;
+        return this;
+    }
+
+    getLastRow() {
+        for (let r = this.state.values.length - 1; r >= 0; r--) {
+            if (this.state.values[r].some(value => value !== '' && value !== undefined && value !== null)) {
+                return r + 1;
+            }
+        }
+        return 0;
+    }
+
+    getLastColumn() {
+        let last = 0;
+        this.state.values.forEach(row => {
+            for (let c = row.length - 1; c >= last; c--) {
+                if (row[c] !== '' && row[c] !== undefined && row[c] !== null) {
+                    last = c + 1;
+                    break;
+                }
+            }
+        });
+        return last;
+    }
+
+    // Fake sheets grow on demand, so they never run out of columns
+    getMaxColumns() {
+        return Math.max(26, this.getLastColumn());
+    }
+
+    insertColumnsAfter() {
+        return this;
+    }
+
+    getRange(row, column, numRows = 1, numColumns = 1) {
+        return new FakeRange(this, row, column, numRows, numColumns);
+    }
+
+    getDataRange() {
+        return this.getRange(1, 1, Math.max(1, this.getLastRow()), Math.max(1, this.getLastColumn()));
+    }
+
+    appendRow(values) {
+        const index = this.getLastRow();
+        this.state.values.splice(index, this.state.values.length - index, values.slice());
+        return this;
+    }
+
+    deleteRow(rowPosition) {
+        this.state.values.splice(rowPosition - 1, 1);
+    }
+
+    copyTo(spreadsheet) {
+        const copy = spreadsheet.addSheetState({
+            name: `Copy of ${this.state.name}`,
+            values: this.state.values.map(row => row.slice())
+        });
+        return copy;
+    }
+}
+
+class FakeSpreadsheet {
+    constructor(state) {
+        this.state = state;
+    }
+
+    addSheetState(sheetState) {
+        this.state.sheets.push(sheetState);
+        return new FakeSheet(this, sheetState);
+    }
+
+    getSheets() {
+        return this.state.sheets.map(sheetState => new FakeSheet(this, sheetState));
+    }
+
+    getSheetByName(name) {
+        const sheetState = this.state.sheets.find(sheet => sheet.name === name);
+        return sheetState ? new FakeSheet(this, sheetState) : null;
+    }
+
+    insertSheet(name) {
+        checkSheetName(name);
+        if (this.getSheetByName(name)) {
+            throw new Error(`A sheet with the name "${name}" already exists. Please enter another name.`);
+        }
+        return this.addSheetState({ name, values: [] });
+    }
+
+    deleteSheet(sheet) {
+        const index = this.state.sheets.indexOf(sheet.state);
+        if (index === -1) {
+            throw new Error('Sheet not found');
+        }
+        this.state.sheets.splice(index, 1);
+    }
+}
+
+class FakeSpreadsheetApp {
+    constructor(state) {
+        this.spreadsheet = new FakeSpreadsheet(state);
+    }
+
+    getActiveSpreadsheet() {
+        return this.spreadsheet;
+    }
+
+    openById() {
+        return this.spreadsheet;
+    }
+
+    flush() {}
+}
+
+module.exports = { FakeSpreadsheetApp, FakeSpreadsheet, FakeSheet, FakeRange };
@@ -0,0 +1,122 @@
+/**
+ * Utilities Fake
+ * Blob, base64, UUID, HMAC and date formatting helpers matching Apps Script behaviour
+ */
+const crypto = require('crypto');
+
+// Apps Script byte arrays are signed Java bytes
+function toSignedBytes(buffer) {
+    return Array.from(buffer, byte => (byte > 127 ? byte - 256 : byte));
+}
+
+function toBuffer(data) {
+    if (Buffer.isBuffer(data)) return data;
+    if (Array.isArray(data)) return Buffer.from(data.map(byte => byte & 255));
+    return Buffer.from(String(data), 'utf8');
+}
+
+class FakeBlob {
+    constructor(data, contentType, name) {
+        this.buffer = toBuffer(data || []);
+        this.contentType = contentType || 'application/octet-stream';
+        this.name = name || null;
+    }
+
+    getBytes() {
+        return toSignedBytes(this.buffer);
+    }
+
+    getDataAsString() {
+        return this.buffer.toString('utf8');
+    }
+
+    getContentType() {
+        return this.contentType;
+    }
+
+    setContentType(contentType) {
+        this.contentType = contentType;
+        return this;
+    }
+
+    getName() {
+        return this.name;
+    }
+
+    setName(name) {
+        this.name = name;
+        return this;
+    }
+}
+
+// Subset of java.text.SimpleDateFormat patterns used by the backend
+function formatDate(date, timeZone, pattern) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-GB', {
+        timeZone,
+        year: 'numeric', month: '2-digit', day: '2-digit',
+        hour: '2-digit', minute: '2-digit', second: '2-digit',
+        hourCycle: 'h23'
+    }).formatToParts(date).forEach(part => {
+        parts[part.type] = part.value;
+    });
+
+    const tokens = {
+        yyyy: parts.year,
+        MM: parts.month,
+        dd: parts.day,
+        HH: parts.hour,
+        mm: parts.minute,
+        ss: parts.second
+    };
+    return pattern.replace(/yyyy|MM|dd|HH|mm|ss/g, token => tokens[token]);
+}
+
+const MAC_ALGORITHMS = {
+    HMAC_MD5: 'md5',
+    HMAC_SHA_1: 'sha1',
+    HMAC_SHA_256: 'sha256',
+    HMAC_SHA_384: 'sha384',
+    HMAC_SHA_512: 'sha512'
+};
+
+const FakeUtilities = {
+    MacAlgorithm: Object.freeze(Object.keys(MAC_ALGORITHMS).reduce((values, name) => {
+        values[name] = name;
+        return values;
+    }, {})),
+
+    getUuid() {
+        return crypto.randomUUID();
+    },
+
+    // Arguments may be strings (UTF-8) or byte arrays, like the Apps Script overloads
+    computeHmacSha256Signature(value, key) {
+        return toSignedBytes(crypto.createHmac('sha256', toBuffer(key)).update(toBuffer(value)).digest());
+    },
+
+    computeHmacSignature(algorithm, value, key) {
+        if (!MAC_ALGORITHMS[algorithm]) {
+            throw new Error(`Unknown MacAlgorithm: ${algorithm}`);
+        }
+        return toSignedBytes(crypto.createHmac(MAC_ALGORITHMS[algorithm], toBuffer(key)).update(toBuffer(value)).digest());
+    },
+
+    base64Encode(data) {
+        return toBuffer(data).toString('base64');
+    },
+
+    base64Decode(encoded) {
+        return toSignedBytes(Buffer.from(encoded, 'base64'));
+    },
+
+    newBlob(data, contentType, name) {
+        return new FakeBlob(data, contentType, name);
+    },
+
+    formatDate,
+
+    sleep() {}
+};
+
+module.exports = { FakeUtilities, FakeBlob, toBuffer };
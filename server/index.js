@@ -0,0 +1,259 @@
+/**
+ * Local Offline Backend
+ * Runs the Apps Script backend (backend/*.js) on in-memory fakes of the Google
+ * services, seeded from sheets/*.csv, so the app runs without Google
+ *
+ * Usage: node server/index.js  (then set APP_SCRIPT_URL=http://localhost:8787/api)
+ * Tests: node --test server/test/*.test.js  (each test gets a fresh seeded runtime)
+ * Environment: PORT (default 8787), DATA_DIR (default server/data),
+ *              PUBLIC_URL (default http://localhost:PORT, used for image URLs)
+ */
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { parseMultipart } = require('./lib/multipart');
+const { createRuntime } = require('./gas/runtime');
+const { seedState } = require('./gas/seed');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+const PORT = parseInt(process.env.PORT, 10) || 8787;
+const DATA_DIR = path.resolve(process.env.DATA_DIR || path.join(__dirname, 'data'));
+const API_PREFIX = '/api';
+const MAX_BODY_BYTES = 20 * 1024 * 1024;
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'application/javascript; charset=utf-8',
+    '.txt': 'text/plain; charset=utf-8',
+    '.csv': 'text/csv; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.ico': 'image/x-icon'
+};
+
+const STATE_FILE = path.join(DATA_DIR, 'state.json');
+const PUBLIC_URL = process.env.PUBLIC_URL || `http://localhost:${PORT}`;
+
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+function loadState() {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    const state = fs.existsSync(STATE_FILE)
+        ? JSON.parse(fs.readFileSync(STATE_FILE, 'utf8'))
+        : seedState(path.join(ROOT_DIR, 'sheets'));
+
+    // Images are served by this server instead of Drive
+    state.properties.DRIVE_FOLDER_ID = state.properties.DRIVE_FOLDER_ID || 'local';
+    state.properties.IMAGE_URL_TEMPLATE = `${PUBLIC_URL}/uploads/{id}`;
+    return state;
+}
+
+// Write to a temp file first so a crash never leaves a half-written state
+function saveState() {
+    const tempFile = `${STATE_FILE}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify(runtime.state, null, 2));
+    fs.renameSync(tempFile, STATE_FILE);
+}
+
+const runtime = createRuntime(loadState(), { uploadsDir: path.join(DATA_DIR, 'uploads') });
+
+function setCorsHeaders(res) {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+}
+
+function sendJson(res, status, payload) {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify(payload));
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(new HttpError(413, 'Request body too large'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => resolve(Buffer.concat(chunks)));
+        req.on('error', reject);
+    });
+}
+
+// Multipart files are converted to the { name, mimeType, data } shape the backend expects
+async function parseRequestBody(req) {
+    if (req.method !== 'POST') {
+        return {};
+    }
+
+    const buffer = await readBody(req);
+    const contentType = req.headers['content-type'] || '';
+
+    if (contentType.startsWith('multipart/form-data')) {
+        const { fields, files } = parseMultipart(buffer, contentType);
+        const body = { ...fields };
+        Object.entries(files).forEach(([name, file]) => {
+            body[name] = { name: file.filename, mimeType: file.mimeType, data: file.data.toString('base64') };
+        });
+        return body;
+    }
+
+    if (buffer.length === 0) {
+        return {};
+    }
+
+    try {
+        return JSON.parse(buffer.toString('utf8'));
+    } catch (error) {
+        throw new HttpError(400, 'Invalid JSON body');
+    }
+}
+
+function getBearerToken(req) {
+    const header = req.headers.authorization || '';
+    const match = /^Bearer\s+(.+)$/i.exec(header);
+    return match ? match[1].trim() : null;
+}
+
+async function handleApi(req, res, url) {
+    if (req.method !== 'GET' && req.method !== 'POST') {
+        sendJson(res, 405, { success: false, message: `Method ${req.method} not allowed` });
+        return;
+    }
+
+    try {
+        const body = await parseRequestBody(req);
+        const token = getBearerToken(req);
+
+        // Build the event object Apps Script would pass to doGet/doPost
+        const e = {
+            parameter: Object.fromEntries(url.searchParams),
+            pathInfo: url.pathname.slice(API_PREFIX.length).replace(/^\/+/, ''),
+            postData: req.method === 'POST'
+                ? { contents: JSON.stringify(body), type: 'application/json' }
+                : undefined
+        };
+        if (token && !e.parameter.token) {
+            e.parameter.token = token;
+        }
+
+        const output = req.method === 'GET' ? runtime.doGet(e) : runtime.doPost(e);
+        const payload = JSON.parse(output.getContent());
+        saveState();
+
+        // Unlike Apps Script, a real HTTP status can be returned here
+        sendJson(res, payload.success ? 200 : payload.code || 500, payload);
+    } catch (error) {
+        const status = error instanceof HttpError ? error.status : 500;
+        if (status === 500) {
+            console.error(error);
+        }
+        sendJson(res, status, { success: false, message: error.message || 'Internal server error' });
+    }
+}
+
+function serveUpload(res, fileId) {
+    let file;
+    try {
+        file = runtime.services.DriveApp.getFileById(fileId);
+    } catch (error) {
+        file = null;
+    }
+
+    if (!file || file.isTrashed()) {
+        res.writeHead(404);
+        res.end();
+        return;
+    }
+
+    res.writeHead(200, { 'Content-Type': file.getMimeType(), 'Cache-Control': 'public, max-age=86400' });
+    res.end(file.getBlob().buffer);
+}
+
+// Only the frontend is served. env/config.txt is the config the pages fetch;
+// the rest of the repo (.git, backend, sheets with credentials) stays private.
+const STATIC_DIRS = ['admin', 'user', 'shared'];
+const STATIC_FILES = ['index.html', path.join('env', 'config.txt')];
+
+function isStaticPath(filePath) {
+    if (filePath === ROOT_DIR || filePath === ROOT_DIR + path.sep) return true;
+    if (!filePath.startsWith(ROOT_DIR + path.sep)) return false;
+
+    const relative = filePath.slice(ROOT_DIR.length + 1);
+    return STATIC_FILES.indexOf(relative) !== -1 ||
+        STATIC_DIRS.some(dir => relative === dir || relative.startsWith(dir + path.sep));
+}
+
+// Serve the frontend from the repository root so one command runs everything
+function serveStatic(res, pathname) {
+    let decoded;
+    try {
+        decoded = decodeURIComponent(pathname);
+    } catch (error) {
+        res.writeHead(400);
+        res.end('Bad request');
+        return;
+    }
+
+    let filePath = path.normalize(path.join(ROOT_DIR, decoded));
+    if (!isStaticPath(filePath)) {
+        res.writeHead(403);
+        res.end();
+        return;
+    }
+
+    if (fs.existsSync(filePath) && fs.statSync(filePath).isDirectory()) {
+        filePath = path.join(filePath, 'index.html');
+    }
+
+    if (!fs.existsSync(filePath)) {
+        res.writeHead(404);
+        res.end('Not found');
+        return;
+    }
+
+    const contentType = MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+    res.writeHead(200, { 'Content-Type': contentType });
+    fs.createReadStream(filePath).pipe(res);
+}
+
+const server = http.createServer((req, res) => {
+    setCorsHeaders(res);
+
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204);
+        res.end();
+        return;
+    }
+
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+    if (url.pathname === API_PREFIX || url.pathname.startsWith(`${API_PREFIX}/`)) {
+        handleApi(req, res, url);
+    } else if (url.pathname.startsWith('/uploads/')) {
+        serveUpload(res, url.pathname.slice('/uploads/'.length));
+    } else {
+        serveStatic(res, url.pathname);
+    }
+});
+
+server.listen(PORT, () => {
+    console.log(`ATF Showcase local backend running at http://localhost:${PORT}/`);
+    console.log(`API base (APP_SCRIPT_URL): http://localhost:${PORT}${API_PREFIX}`);
+    console.log(`Data directory: ${DATA_DIR}`);
+});
@@ -0,0 +1,75 @@
+/**
+ * Multipart Parser
+ * Splits a multipart/form-data request body into text fields and files
+ */
+
+function getBoundary(contentType) {
+    const match = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(contentType || '');
+    return match ? (match[1] || match[2]) : null;
+}
+
+function parseHeaders(headerText) {
+    const headers = {};
+    headerText.split('\r\n').forEach(line => {
+        const index = line.indexOf(':');
+        if (index > 0) {
+            headers[line.slice(0, index).trim().toLowerCase()] = line.slice(index + 1).trim();
+        }
+    });
+    return headers;
+}
+
+// Returns { fields: { name: value }, files: { name: { filename, mimeType, data } } }
+function parseMultipart(buffer, contentType) {
+    const boundary = getBoundary(contentType);
+    if (!boundary) {
+        throw new Error('Missing multipart boundary');
+    }
+
+    const delimiter = Buffer.from(`--${boundary}`);
+    const fields = {};
+    const files = {};
+
+    let start = buffer.indexOf(delimiter);
+    while (start !== -1) {
+        start += delimiter.length;
+
+        // "--" right after the delimiter marks the end of the body
+        if (buffer.slice(start, start + 2).toString() === '--') break;
+
+        const end = buffer.indexOf(delimiter, start);
+        if (end === -1) break;
+
+        // Each part is: CRLF headers CRLF CRLF content CRLF
+        const part = buffer.slice(start + 2, end - 2);
+        const headerEnd = part.indexOf('\r\n\r\n');
+        if (headerEnd !== -1) {
+            const headers = parseHeaders(part.slice(0, headerEnd).toString());
+            const content = part.slice(headerEnd + 4);
+            const disposition = headers['content-disposition'] || '';
+            const nameMatch = /name="([^"]*)"/i.exec(disposition);
+            const filenameMatch = /filename="([^"]*)"/i.exec(disposition);
+
+            if (nameMatch) {
+                if (filenameMatch) {
+                    // Browsers send an empty part when no file was chosen
+                    if (filenameMatch[1] && content.length > 0) {
+                        files[nameMatch[1]] = {
+                            filename: filenameMatch[1],
+                            mimeType: headers['content-type'] || 'application/octet-stream',
+                            data: content
+                        };
+                    }
+                } else {
+                    fields[nameMatch[1]] = content.toString('utf8');
+                }
+            }
+        }
+
+        start = end;
+    }
+
+    return { fields, files };
+}
+
+module.exports = { parseMultipart };
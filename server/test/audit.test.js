@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createApp, signInAs, createEntry } = require('./helpers');
+
+function records(app, params = {}) {
+    return app.get('audit/list', params).data;
+}
+
+test('records who changed an entry with its values before and after', () => {
+    const app = createApp();
+    const entry = createEntry(app, 'Technology', 'Alpha');
+    app.post('entries/update', { id: entry.id, revision: entry.revision, name: 'Alpha 2' });
+    app.post('entries/delete', { id: entry.id });
+
+    const [deleted, updated, created] = records(app, { user: 'admin' }).records
+        .filter(record => record.entityId === entry.id);
+    assert.deepStrictEqual([created.action, updated.action, deleted.action], ['entry.create', 'entry.update', 'entry.delete']);
+    assert.strictEqual(created.actor, 'admin');
+    assert.strictEqual(created.before, null);
+    assert.strictEqual(created.after['WEB NAME'], 'Alpha');
+    assert.deepStrictEqual([updated.before['WEB NAME'], updated.after['WEB NAME']], ['Alpha', 'Alpha 2']);
+    assert.strictEqual(deleted.after, null);
+});
+
+test('filters by actor, action and date and pages the result', () => {
+    const app = createApp();
+    const editor = signInAs(app, 'editor1', 'editor');
+    createEntry(app, 'Technology', 'Alpha');
+    createEntry(editor, 'Technology', 'Beta');
+    createEntry(editor, 'Technology', 'Gamma');
+
+    const byEditor = records(app, { user: 'EDITOR', type: 'entry.create' });
+    assert.strictEqual(byEditor.total, 2);
+    assert.ok(byEditor.records.every(record => record.actor === 'editor1'));
+    assert.ok(byEditor.actions.includes('entry.create'));
+
+    const page = records(app, { type: 'entry.create', page: 2, size: 2 });
+    assert.strictEqual(page.total, 3);
+    assert.deepStrictEqual(page.records.map(record => record.after['WEB NAME']), ['Alpha']);
+
+    assert.strictEqual(records(app, { type: 'entry.create', endDate: '2000-01-01' }).total, 0);
+});
+
+test('keeps password hashes and uploaded icons out of the records', () => {
+    const app = createApp();
+    const icon = 'data:image/svg+xml;base64,PHN2Zz48L3N2Zz4=';
+    assert.strictEqual(app.post('categories/create', { name: 'Tools', icon }).success, true);
+    app.post('auth/changePassword', { currentPassword: 'admin123', newPassword: 'NewPassword1' });
+
+    const text = JSON.stringify(records(app).records);
+    assert.ok(!text.includes('data:image'));
+    assert.ok(!text.includes('pbkdf2'));
+    assert.strictEqual(records(app, { type: 'user.password' }).total, 1);
+});
@@ -0,0 +1,128 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { FakeRange } = require('../gas/spreadsheet');
+const { createApp, createEntry, listEntries, getSheet } = require('./helpers');
+
+function categoryNames(app) {
+    return app.get('categories/list').data.map(category => category.name);
+}
+
+test('renames a category together with its sheet and entries', () => {
+    const app = createApp();
+    const category = app.post('categories/create', { name: 'Old' }).data;
+    createEntry(app, 'Old', 'Alpha');
+    createEntry(app, 'Old', 'Beta');
+
+    const renamed = app.post('categories/update', { originalName: 'Old', newName: 'New', revision: category.revision });
+    assert.strictEqual(renamed.success, true);
+
+    assert.ok(!categoryNames(app).includes('Old'));
+    assert.strictEqual(getSheet(app, 'Old'), undefined);
+    assert.deepStrictEqual(listEntries(app, 'New').map(e => `${e.name}:${e.category}`), ['Alpha:New', 'Beta:New']);
+
+    const stale = app.post('categories/update', { originalName: 'Old', newName: 'Newer', revision: category.revision });
+    assert.strictEqual(stale.code, 409);
+});
+
+test('merges categories into the one to keep and flags duplicate URLs', () => {
+    const app = createApp();
+    ['A', 'B'].forEach(name => app.post('categories/create', { name }));
+    const original = createEntry(app, 'A', 'One', { url: 'https://one.example' });
+    createEntry(app, 'B', 'Two', { url: 'http://www.one.example/' });
+    createEntry(app, 'B', 'Three', { url: 'https://three.example' });
+
+    assert.strictEqual(app.post('categories/merge', { categories: ['A'], target: 'A' }).code, 400);
+    assert.strictEqual(app.post('categories/merge', { categories: ['A', 'B'], target: 'Technology' }).code, 400);
+
+    const merged = app.post('categories/merge', { categories: ['A', 'B'], target: 'A' });
+    assert.strictEqual(merged.success, true);
+    assert.ok(!categoryNames(app).includes('B'));
+
+    const entries = listEntries(app, 'A');
+    assert.deepStrictEqual(entries.map(e => `${e.serial}:${e.name}:${e.category}`), ['1:One:A', '2:Two:A', '3:Three:A']);
+    assert.strictEqual(entries.find(e => e.name === 'Two').duplicateOf, original.id);
+    assert.strictEqual(entries.find(e => e.name === 'Three').duplicateOf, '');
+});
+
+test('merges a hidden category into a public one only once told its entries become public', () => {
+    const app = createApp();
+    app.post('categories/create', { name: 'Drafts', hidden: true });
+    app.post('categories/create', { name: 'Secret', hidden: true });
+    createEntry(app, 'Drafts', 'Alpha');
+
+    const refused = app.post('categories/merge', { categories: ['Drafts', 'Technology'], target: 'Technology' });
+    assert.strictEqual(refused.code, 400);
+    assert.deepStrictEqual(refused.data.hiddenCategories, ['Drafts']);
+    assert.deepStrictEqual(listEntries(app, 'Drafts').map(e => e.name), ['Alpha']);
+
+    // Hidden into hidden keeps the entries out of sight, so nothing is asked
+    assert.strictEqual(app.post('categories/merge', { categories: ['Secret', 'Drafts'], target: 'Secret' }).success, true);
+
+    const merged = app.post('categories/merge', { categories: ['Secret', 'Technology'], target: 'Technology', publishHidden: true });
+    assert.strictEqual(merged.success, true);
+    assert.deepStrictEqual(listEntries(app, 'Technology').map(e => e.name), ['Alpha']);
+});
+
+test('deletes an empty category into the Trash', () => {
+    const app = createApp();
+    app.post('categories/create', { name: 'Empty' });
+
+    const deleted = app.post('categories/delete', { name: 'Empty' });
+    assert.strictEqual(deleted.success, true);
+    assert.ok(!categoryNames(app).includes('Empty'));
+    assert.strictEqual(getSheet(app, 'Empty'), undefined);
+    assert.deepStrictEqual(app.get('trash/list').data.items.map(item => [item.type, item.name]), [['category', 'Empty']]);
+});
+
+test('deletes a category holding entries only once told where they go', () => {
+    const app = createApp();
+    app.post('categories/create', { name: 'Src' });
+    createEntry(app, 'Src', 'Alpha');
+    createEntry(app, 'Technology', 'Beta');
+
+    assert.strictEqual(app.post('categories/delete', { name: 'Src' }).code, 400);
+    assert.strictEqual(app.post('categories/delete', { name: 'Src', confirmName: 'src' }).code, 400);
+    assert.strictEqual(app.post('categories/delete', { name: 'Src', moveTo: 'Src' }).code, 400);
+    assert.strictEqual(app.post('categories/delete', { name: 'Src', moveTo: 'Nope' }).success, false);
+    assert.ok(categoryNames(app).includes('Src'));
+
+    const moved = app.post('categories/delete', { name: 'Src', moveTo: 'Technology' });
+    assert.strictEqual(moved.success, true);
+    assert.deepStrictEqual(listEntries(app, 'Technology').map(e => `${e.serial}:${e.name}:${e.category}`),
+        ['1:Beta:Technology', '2:Alpha:Technology']);
+});
+
+test('deletes a category with its entries when its name is typed', () => {
+    const app = createApp();
+    app.post('categories/create', { name: 'Gone' });
+    createEntry(app, 'Gone', 'Alpha');
+    createEntry(app, 'Gone', 'Beta');
+
+    const deleted = app.post('categories/delete', { name: 'Gone', confirmName: 'Gone' });
+    assert.strictEqual(deleted.success, true);
+    assert.ok(!categoryNames(app).includes('Gone'));
+
+    const items = app.get('trash/list').data.items;
+    assert.deepStrictEqual(items.map(item => [item.type, item.name, item.entryCount]), [['category', 'Gone', 2]]);
+});
+
+test('keeps the category and leaves no Trash item when moving its entries fails', t => {
+    const app = createApp();
+    app.post('categories/create', { name: 'Src' });
+    createEntry(app, 'Src', 'Alpha');
+
+    const setValues = FakeRange.prototype.setValues;
+    t.mock.method(FakeRange.prototype, 'setValues', function (values) {
+        if (this.sheet.getName() === 'Technology') {
+            throw new Error('Service Spreadsheets failed');
+        }
+        return setValues.call(this, values);
+    });
+
+    assert.strictEqual(app.post('categories/delete', { name: 'Src', moveTo: 'Technology' }).success, false);
+    t.mock.restoreAll();
+
+    assert.ok(categoryNames(app).includes('Src'));
+    assert.deepStrictEqual(listEntries(app, 'Src').map(e => e.name), ['Alpha']);
+    assert.deepStrictEqual(app.get('trash/list').data.items, []);
+});
@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createApp, createEntry } = require('./helpers');
+
+test('refuses an entry update without a revision', () => {
+    const app = createApp();
+    const entry = createEntry(app, 'Technology', 'Alpha');
+
+    assert.strictEqual(app.post('entries/update', { id: entry.id, name: 'Alpha 2' }).code, 400);
+});
+
+test('refuses a stale entry update and returns the current version', () => {
+    const app = createApp();
+    const entry = createEntry(app, 'Technology', 'Alpha');
+
+    const updated = app.post('entries/update', { id: entry.id, revision: entry.revision, name: 'Alpha 2' });
+    assert.notStrictEqual(updated.data.revision, entry.revision);
+
+    const stale = app.post('entries/update', { id: entry.id, revision: entry.revision, name: 'Alpha 3' });
+    assert.strictEqual(stale.code, 409);
+    assert.strictEqual(stale.data.conflict, true);
+    assert.strictEqual(stale.data.current.name, 'Alpha 2');
+    assert.strictEqual(stale.data.current.revision, updated.data.revision);
+});
+
+test('refuses a stale category update', () => {
+    const app = createApp();
+    const category = app.post('categories/create', { name: 'Tools' }).data;
+
+    const updated = app.post('categories/update', {
+        originalName: 'Tools', newName: 'Tools', revision: category.revision, description: 'Handy'
+    });
+    assert.strictEqual(updated.success, true);
+
+    const stale = app.post('categories/update', {
+        originalName: 'Tools', newName: 'Tools', revision: category.revision, description: 'Stale'
+    });
+    assert.strictEqual(stale.code, 409);
+    assert.strictEqual(stale.data.conflict, true);
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createApp, createEntry, listEntries, getSheet, setEntryCell } = require('./helpers');
+
+test('creates an entry in its category sheet with an id and a normalized URL', () => {
+    const app = createApp();
+    const entry = createEntry(app, 'Technology', 'Alpha', { url: 'alpha.example' });
+
+    assert.ok(entry.id);
+    assert.ok(entry.revision);
+    assert.strictEqual(entry.serial, 1);
+    assert.strictEqual(entry.category, 'Technology');
+    assert.match(entry.url, /^https?:\/\/alpha\.example/);
+    assert.deepStrictEqual(listEntries(app, 'Technology').map(e => [e.id, e.name]), [[entry.id, 'Alpha']]);
+});
+
+test('rejects an entry without required fields or with an unknown category', () => {
+    const app = createApp();
+
+    const missing = app.post('entries/create', { category: 'Technology', name: 'Alpha', url: 'https://a.example' });
+    assert.strictEqual(missing.success, false);
+    assert.strictEqual(missing.code, 400);
+
+    const unknown = app.post('entries/create', {
+        category: 'Nope', name: 'Alpha', description: 'd', url: 'https://a.example'
+    });
+    assert.strictEqual(unknown.code, 404);
+});
+
+test('updates an entry by its id and keeps fields left out', () => {
+    const app = createApp();
+    const entry = createEntry(app, 'Technology', 'Alpha');
+
+    const updated = app.post('entries/update', { id: entry.id, revision: entry.revision, name: 'Alpha 2' });
+    assert.strictEqual(updated.success, true);
+    assert.strictEqual(updated.data.id, entry.id);
+    assert.strictEqual(updated.data.name, 'Alpha 2');
+    assert.strictEqual(updated.data.description, entry.description);
+
+    assert.strictEqual(app.post('entries/update', { id: 'nope', revision: 'x', name: 'Beta' }).code, 404);
+});
+
+test('moves an entry to another category under the same id and renumbers the old sheet', () => {
+    const app = createApp();
+    const first = createEntry(app, 'Technology', 'Alpha');
+    createEntry(app, 'Technology', 'Beta');
+
+    const moved = app.post('entries/update', { id: first.id, revision: first.revision, category: 'Design' });
+    assert.strictEqual(moved.success, true);
+    assert.strictEqual(moved.data.category, 'Design');
+
+    assert.deepStrictEqual(listEntries(app, 'Technology').map(e => `${e.serial}:${e.name}`), ['1:Beta']);
+    assert.deepStrictEqual(listEntries(app, 'Design').map(e => e.id), [first.id]);
+});
+
+test('gives rows without an id, or with a copied one, an id of their own', () => {
+    const app = createApp();
+    const first = createEntry(app, 'Technology', 'Alpha');
+    const second = createEntry(app, 'Technology', 'Beta');
+    setEntryCell(app, 'Technology', second.id, 'ENTRY ID', first.id);
+    const { values } = getSheet(app, 'Technology');
+    values.push(values[0].map(column => ({ 'S.NO': '3', 'WEB NAME': 'Gamma', 'URL': 'https://gamma.example' })[column] || ''));
+
+    const ids = listEntries(app, 'Technology').map(e => e.id);
+    assert.strictEqual(ids.length, 3);
+    assert.strictEqual(new Set(ids).size, 3);
+    assert.ok(ids.every(Boolean));
+});
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { FakeSpreadsheetApp, FakeSheet } = require('../gas/spreadsheet');
+const { FakeDriveApp } = require('../gas/drive');
+const { createApp, getSheet } = require('./helpers');
+
+test('the spreadsheet fake refuses sheet names Sheets would refuse', () => {
+    const spreadsheet = new FakeSpreadsheetApp({ sheets: [] }).getActiveSpreadsheet();
+    const sheet = spreadsheet.insertSheet('Short');
+
+    assert.throws(() => spreadsheet.insertSheet('x'.repeat(101)));
+    assert.throws(() => sheet.setName('x'.repeat(101)));
+    assert.strictEqual(sheet.getName(), 'Short');
+});
+
+test('the Drive fake finds files by their own id only', () => {
+    const drive = new FakeDriveApp({ files: {} });
+
+    assert.throws(() => drive.getFileById('constructor'));
+    assert.throws(() => drive.getFileById('toString'));
+});
+
+test('creates a category from Master_Template and refuses a taken or overlong name', () => {
+    const app = createApp();
+
+    assert.strictEqual(app.post('categories/create', { name: 'Tools' }).success, true);
+    assert.deepStrictEqual(getSheet(app, 'Tools').values[0], getSheet(app, 'Master_Template').values[0]);
+
+    const sheetCount = app.runtime.state.spreadsheet.sheets.length;
+    assert.strictEqual(app.post('categories/create', { name: 'tools' }).code, 409);
+    assert.strictEqual(app.post('categories/create', { name: 'x'.repeat(51) }).code, 400);
+    assert.strictEqual(app.runtime.state.spreadsheet.sheets.length, sheetCount);
+});
+
+test('drops the template copy when the sheet cannot take the name', t => {
+    const app = createApp();
+    t.mock.method(FakeSheet.prototype, 'setName', () => {
+        throw new Error('Sheet name rejected');
+    });
+
+    const sheetCount = app.runtime.state.spreadsheet.sheets.length;
+    assert.strictEqual(app.post('categories/create', { name: 'Tools' }).success, false);
+    assert.strictEqual(app.runtime.state.spreadsheet.sheets.length, sheetCount);
+});
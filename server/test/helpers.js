@@ -0,0 +1,89 @@
+/**
+ * Test Helpers
+ * Starts the backend on the in-memory fakes, seeded from sheets/*.csv, and
+ * signs in as the seeded admin so each test gets a fresh spreadsheet and Drive
+ */
+const path = require('path');
+const { createRuntime } = require('../gas/runtime');
+const { seedState } = require('../gas/seed');
+
+const SEED_DIR = path.resolve(__dirname, '..', '..', 'sheets');
+const ADMIN = { username: 'admin', password: 'admin123' };
+
+function createApp() {
+    const runtime = createRuntime(seedState(SEED_DIR));
+    const login = runtime.request('POST', 'auth/login', { body: { ...ADMIN, userAgent: 'node-test' } });
+    if (!login.success) {
+        throw new Error(`Seeded admin could not sign in: ${login.message}`);
+    }
+    const token = login.data.token;
+
+    // Signed-in shortcuts that return the { success, message, data, code } envelope
+    const get = (action, params = {}) => runtime.request('GET', action, { token, params });
+    const post = (action, body = {}) => runtime.request('POST', action, { token, body });
+
+    return { runtime, token, get, post };
+}
+
+// Invites an admin with the role and signs them in with a password of their own
+function signInAs(app, username, role) {
+    const invited = app.post('users/invite', { username, role });
+    if (!invited.success) {
+        throw new Error(`User "${username}" could not be invited: ${invited.message}`);
+    }
+    const password = 'Chosen-Password-1';
+    const login = body => app.runtime.request('POST', 'auth/login', { body });
+    const temporary = login({ username, password: invited.data.temporaryPassword }).data.token;
+    app.runtime.request('POST', 'auth/changePassword', {
+        token: temporary,
+        body: { currentPassword: invited.data.temporaryPassword, newPassword: password }
+    });
+
+    const token = login({ username, password }).data.token;
+    return {
+        runtime: app.runtime,
+        token,
+        get: (action, params = {}) => app.runtime.request('GET', action, { token, params }),
+        post: (action, body = {}) => app.runtime.request('POST', action, { token, body })
+    };
+}
+
+function createEntry(app, category, name, fields = {}) {
+    const response = app.post('entries/create', {
+        category,
+        name,
+        description: `${name} description`,
+        url: `https://${name.toLowerCase()}.example`,
+        ...fields
+    });
+    if (!response.success) {
+        throw new Error(`Entry "${name}" could not be created: ${response.message}`);
+    }
+    return response.data;
+}
+
+// Uploads a small PNG the way the entry form does and returns its file id
+function uploadImage(app) {
+    const response = app.post('upload', { file: { name: 'image.png', mimeType: 'image/png', data: 'aGVsbG8=' } });
+    if (!response.success) {
+        throw new Error(`Image could not be uploaded: ${response.message}`);
+    }
+    return response.data.fileId;
+}
+
+function listEntries(app, category) {
+    return app.get('entries/list', { category }).data.entries;
+}
+
+function getSheet(app, name) {
+    return app.runtime.state.spreadsheet.sheets.find(sheet => sheet.name === name);
+}
+
+// Writes a cell of an entry row directly, as an edit in the spreadsheet would
+function setEntryCell(app, sheetName, entryId, column, value) {
+    const { values } = getSheet(app, sheetName);
+    const row = values.find(current => current[values[0].indexOf('ENTRY ID')] === entryId);
+    row[values[0].indexOf(column)] = value;
+}
+
+module.exports = { ADMIN, createApp, signInAs, createEntry, uploadImage, listEntries, getSheet, setEntryCell };
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createApp, createEntry, uploadImage } = require('./helpers');
+
+function update(app, entry, fields) {
+    const response = app.post('entries/update', { id: entry.id, revision: entry.revision, ...fields });
+    assert.strictEqual(response.success, true);
+    return response.data;
+}
+
+function history(app, entry) {
+    return app.get('entries/history', { id: entry.id }).data;
+}
+
+test('keeps each replaced version, latest first', () => {
+    const app = createApp();
+    const first = createEntry(app, 'Technology', 'Alpha');
+    const second = update(app, first, { name: 'Alpha 2' });
+    const third = update(app, second, { description: 'Changed' });
+
+    const { current, revisions } = history(app, first);
+    assert.strictEqual(current.revision, third.revision);
+    assert.deepStrictEqual(revisions.map(version => version.revision), [second.revision, first.revision]);
+    assert.deepStrictEqual(revisions.map(version => version.entry.name), ['Alpha 2', 'Alpha']);
+    assert.strictEqual(revisions[0].replacedBy, 'admin');
+});
+
+test('restores a kept version as a new update', () => {
+    const app = createApp();
+    const first = createEntry(app, 'Technology', 'Alpha');
+    const second = update(app, first, { name: 'Alpha 2', category: 'Design' });
+
+    const stale = app.post('entries/revert', { id: first.id, revision: first.revision, target: first.revision });
+    assert.strictEqual(stale.code, 409);
+
+    const reverted = app.post('entries/revert', { id: first.id, revision: second.revision, target: first.revision });
+    assert.strictEqual(reverted.success, true);
+    assert.strictEqual(reverted.data.name, 'Alpha');
+    assert.strictEqual(reverted.data.category, 'Technology');
+    assert.notStrictEqual(reverted.data.revision, first.revision);
+    assert.strictEqual(history(app, first).revisions.length, 2);
+
+    assert.strictEqual(app.post('entries/revert', { id: first.id, revision: reverted.data.revision, target: 'gone' }).code, 404);
+});
+
+test('keeps the image of a replaced version until that version is dropped', () => {
+    const app = createApp();
+    const oldImage = uploadImage(app);
+    let entry = createEntry(app, 'Technology', 'Alpha', { images: JSON.stringify([oldImage]) });
+    entry = update(app, entry, { images: JSON.stringify([uploadImage(app)]) });
+
+    const drive = app.runtime.services.DriveApp;
+    assert.strictEqual(drive.getFileById(oldImage).isTrashed(), false);
+    assert.deepStrictEqual(history(app, entry).revisions[0].entry.images.map(image => image.fileId), [oldImage]);
+
+    // Twenty more versions (MAX_ENTRY_REVISIONS) push the first one out
+    for (let i = 0; i < 20; i++) {
+        entry = update(app, entry, { name: `Alpha ${i}` });
+    }
+    const { revisions } = history(app, entry);
+    assert.strictEqual(revisions.length, 20);
+    assert.ok(revisions.every(version => version.entry.imageFileId !== oldImage));
+    assert.strictEqual(drive.getFileById(oldImage).isTrashed(), true);
+});
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ADMIN, createApp, getSheet } = require('./helpers');
+
+const CLIENT_A = 'client-aaaa-1111';
+const CLIENT_B = 'client-bbbb-2222';
+
+function login(app, username, password, clientId) {
+    return app.runtime.request('POST', 'auth/login', { body: { username, password, clientId } });
+}
+
+function failTimes(app, count, username, clientId) {
+    let response;
+    for (let i = 0; i < count; i++) {
+        response = login(app, username, 'wrong-password', clientId);
+    }
+    return response;
+}
+
+// Moves every lockout into the past, as if its period had run out
+function expireLockouts(app) {
+    const sheet = getSheet(app, 'Login-attempts');
+    const column = sheet.values[0].indexOf('LOCKED UNTIL');
+    const past = new Date(Date.now() - 1000).toISOString();
+    sheet.values.slice(1).forEach(row => {
+        if (row[column]) row[column] = past;
+    });
+}
+
+test('counts down the attempts left and locks the username on the fifth failure', () => {
+    const app = createApp();
+
+    const first = login(app, ADMIN.username, 'wrong-password', CLIENT_A);
+    assert.strictEqual(first.code, 401);
+    assert.strictEqual(first.data.attemptsRemaining, 4);
+
+    const locked = failTimes(app, 4, ADMIN.username, CLIENT_A);
+    assert.strictEqual(locked.code, 429);
+    assert.ok(locked.data.retryAfterSeconds > 0 && locked.data.retryAfterSeconds <= 60);
+
+    // The right password from another client is refused while the username is locked
+    assert.strictEqual(login(app, ADMIN.username, ADMIN.password, CLIENT_B).code, 429);
+});
+
+test('locks a client that tries many usernames', () => {
+    const app = createApp();
+    ['ghost1', 'ghost2', 'ghost3', 'ghost4'].forEach(username => login(app, username, 'x', CLIENT_A));
+
+    assert.strictEqual(login(app, 'ghost5', 'x', CLIENT_A).code, 429);
+    assert.strictEqual(login(app, ADMIN.username, ADMIN.password, CLIENT_A).code, 429);
+    assert.strictEqual(login(app, ADMIN.username, ADMIN.password, CLIENT_B).success, true);
+});
+
+test('doubles the lockout period for each lockout in a row', () => {
+    const app = createApp();
+    assert.ok(failTimes(app, 5, 'ghost', CLIENT_A).data.retryAfterSeconds <= 60);
+
+    expireLockouts(app);
+    const second = failTimes(app, 5, 'ghost', CLIENT_B);
+    assert.strictEqual(second.code, 429);
+    assert.ok(second.data.retryAfterSeconds > 60 && second.data.retryAfterSeconds <= 120);
+});
+
+test('a completed login clears the failures of its username and client', () => {
+    const app = createApp();
+    failTimes(app, 3, ADMIN.username, CLIENT_A);
+
+    assert.strictEqual(login(app, ADMIN.username, ADMIN.password, CLIENT_A).success, true);
+    assert.strictEqual(login(app, ADMIN.username, 'wrong-password', CLIENT_A).data.attemptsRemaining, 4);
+});
+
+test('an admin lists and clears a lockout', () => {
+    const app = createApp();
+    failTimes(app, 5, 'ghost', CLIENT_A);
+
+    const lockouts = app.get('users/lockouts').data;
+    assert.deepStrictEqual(lockouts.map(lockout => `${lockout.type}:${lockout.name}`).sort(), [`client:${CLIENT_A}`, 'user:ghost']);
+
+    assert.strictEqual(app.post('users/clearLockout', { type: 'user', name: 'ghost' }).success, true);
+    assert.deepStrictEqual(app.get('users/lockouts').data.map(lockout => lockout.name), [CLIENT_A]);
+    assert.strictEqual(login(app, 'ghost', 'x', CLIENT_B).code, 401);
+});
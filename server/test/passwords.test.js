@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { FakeUtilities } = require('../gas/utilities');
+const { ADMIN, createApp, getSheet } = require('./helpers');
+
+const STRONG_PASSWORD = 'NewPassword1';
+
+function storedPassword(app, username) {
+    const { values } = getSheet(app, 'Admin-info');
+    return values.find(row => row[values[0].indexOf('USERNAME')] === username)[values[0].indexOf('PASSWORD')];
+}
+
+function login(app, username, password) {
+    return app.runtime.request('POST', 'auth/login', { body: { username, password } });
+}
+
+test('replaces a plain-text password with a salted hash on login', () => {
+    const app = createApp();
+
+    assert.match(storedPassword(app, ADMIN.username), /^pbkdf2-sha256\$\d+\$[0-9a-f]+\$.+$/);
+    assert.strictEqual(login(app, ADMIN.username, ADMIN.password).success, true);
+    assert.strictEqual(login(app, ADMIN.username, 'wrong-password').code, 401);
+});
+
+test('spends as long on an unknown username as on a wrong password', t => {
+    const app = createApp();
+    const hmac = t.mock.method(FakeUtilities, 'computeHmacSha256Signature');
+
+    login(app, ADMIN.username, 'wrong-password');
+    const known = hmac.mock.callCount();
+    hmac.mock.resetCalls();
+    login(app, 'nobody', 'wrong-password');
+
+    assert.ok(known > 1000);
+    assert.strictEqual(hmac.mock.callCount(), known);
+});
+
+test('changes the password and ends the other sessions', () => {
+    const app = createApp();
+    const other = login(app, ADMIN.username, ADMIN.password).data.token;
+
+    const changed = app.post('auth/changePassword', { currentPassword: ADMIN.password, newPassword: STRONG_PASSWORD });
+    assert.strictEqual(changed.success, true);
+    assert.strictEqual(changed.data.revokedSessions, 1);
+
+    assert.strictEqual(app.runtime.request('POST', 'auth/verify', { token: other, body: {} }).code, 401);
+    assert.strictEqual(app.post('auth/verify').success, true);
+    assert.strictEqual(login(app, ADMIN.username, ADMIN.password).code, 401);
+    assert.strictEqual(login(app, ADMIN.username, STRONG_PASSWORD).success, true);
+});
+
+test('refuses a weak or unchanged new password', () => {
+    const app = createApp();
+
+    assert.strictEqual(app.post('auth/changePassword', { currentPassword: ADMIN.password, newPassword: 'short' }).code, 400);
+    assert.strictEqual(app.post('auth/changePassword', { currentPassword: ADMIN.password, newPassword: ADMIN.password }).code, 400);
+});
+
+test('throttles wrong current passwords like failed logins', () => {
+    const app = createApp();
+    const attempt = () => app.post('auth/changePassword', { currentPassword: 'wrong-password', newPassword: STRONG_PASSWORD });
+
+    const first = attempt();
+    assert.strictEqual(first.code, 400);
+    assert.strictEqual(first.data.attemptsRemaining, 4);
+
+    [1, 2, 3].forEach(attempt);
+    assert.strictEqual(attempt().code, 429);
+
+    // Locked out, the right password no longer helps either
+    assert.strictEqual(app.post('auth/changePassword', { currentPassword: ADMIN.password, newPassword: STRONG_PASSWORD }).code, 429);
+    assert.strictEqual(login(app, ADMIN.username, ADMIN.password).code, 429);
+});
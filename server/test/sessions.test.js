@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ADMIN, createApp } = require('./helpers');
+
+// Rewrites when the stored session runs out, relative to now
+function setSessionExpiry(app, token, fromNowMs) {
+    const entry = app.runtime.state.cache[`token:${token}`];
+    const session = JSON.parse(entry.value);
+    session.expiresAt = new Date(Date.now() + fromNowMs).toISOString();
+    entry.value = JSON.stringify(session);
+}
+
+function signInAgain(app, userAgent) {
+    const body = { username: ADMIN.username, password: ADMIN.password, userAgent };
+    return app.runtime.request('POST', 'auth/login', { body }).data.token;
+}
+
+test('moves the expiry of a live session forward on refresh', () => {
+    const app = createApp();
+    setSessionExpiry(app, app.token, 60 * 1000);
+
+    const refreshed = app.post('auth/refresh');
+    assert.strictEqual(refreshed.success, true);
+    assert.strictEqual(refreshed.data.token, app.token);
+    assert.ok(Date.parse(refreshed.data.expiresAt) > Date.now() + 25 * 60 * 1000);
+    assert.strictEqual(app.post('auth/verify').data.expiresAt, refreshed.data.expiresAt);
+});
+
+test('refuses to refresh or use an expired session', () => {
+    const app = createApp();
+    setSessionExpiry(app, app.token, -1000);
+
+    assert.strictEqual(app.post('auth/refresh').code, 401);
+    assert.strictEqual(app.get('entries/list').code, 401);
+});
+
+test('lists the live sessions of the caller, this one first, without tokens', () => {
+    const app = createApp();
+    signInAgain(app, 'Other browser');
+
+    const sessions = app.get('auth/sessions').data;
+    assert.strictEqual(sessions.length, 2);
+    assert.deepStrictEqual(sessions.map(session => [session.current, session.userAgent]),
+        [[true, 'node-test'], [false, 'Other browser']]);
+    assert.ok(sessions.every(session => session.id && !JSON.stringify(session).includes(app.token)));
+});
+
+test('revokes another session but not the current one', () => {
+    const app = createApp();
+    const other = signInAgain(app, 'Other browser');
+    const [current, target] = app.get('auth/sessions').data;
+
+    assert.strictEqual(app.post('auth/sessions/revoke', { id: current.id }).code, 400);
+    assert.strictEqual(app.post('auth/sessions/revoke', { id: target.id }).success, true);
+    assert.strictEqual(app.runtime.request('POST', 'auth/verify', { token: other, body: {} }).code, 401);
+    assert.strictEqual(app.post('auth/sessions/revoke', { id: target.id }).code, 404);
+
+    const record = app.get('audit/list', { type: 'session.revoke' }).data.records[0];
+    assert.deepStrictEqual(record.before.sessions.map(session => session.id), [target.id]);
+});
+
+test('revokes every other session at once', () => {
+    const app = createApp();
+    const others = [signInAgain(app, 'A'), signInAgain(app, 'B')];
+
+    const revoked = app.post('auth/sessions/revokeOthers');
+    assert.strictEqual(revoked.data.revoked, 2);
+    others.forEach(token => {
+        assert.strictEqual(app.runtime.request('POST', 'auth/verify', { token, body: {} }).code, 401);
+    });
+    assert.deepStrictEqual(app.get('auth/sessions').data.map(session => session.current), [true]);
+});
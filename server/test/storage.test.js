@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createApp, createEntry, uploadImage, listEntries, setEntryCell } = require('./helpers');
+
+function report(app) {
+    return app.get('storage/report').data;
+}
+
+test('reports orphaned files and dangling references', () => {
+    const app = createApp();
+    const used = uploadImage(app);
+    const orphan = uploadImage(app);
+    const entry = createEntry(app, 'Technology', 'Alpha', { images: JSON.stringify([used]) });
+    setEntryCell(app, 'Technology', entry.id, 'GALLERY IMAGES', JSON.stringify(['missing-file']));
+
+    const data = report(app);
+    assert.strictEqual(data.totalFiles, 2);
+    assert.deepStrictEqual(data.orphans.map(file => file.fileId), [orphan]);
+    assert.deepStrictEqual(data.dangling.map(reference => [reference.entryId, reference.fileId]), [[entry.id, 'missing-file']]);
+});
+
+test('counts a file a legacy row links to as in use', () => {
+    const app = createApp();
+    const linked = uploadImage(app);
+    const entry = createEntry(app, 'Technology', 'Alpha');
+    setEntryCell(app, 'Technology', entry.id, 'WEB IMAGE', `https://drive.google.com/file/d/${linked}/view`);
+
+    const data = report(app);
+    assert.deepStrictEqual(data.orphans, []);
+    assert.deepStrictEqual(data.dangling, []);
+
+    assert.strictEqual(app.post('storage/deleteOrphans', { fileIds: [linked] }).data.deleted, 0);
+    assert.strictEqual(app.runtime.services.DriveApp.getFileById(linked).isTrashed(), false);
+});
+
+test('deletes only orphans and audits them', () => {
+    const app = createApp();
+    const used = uploadImage(app);
+    const orphan = uploadImage(app);
+    createEntry(app, 'Technology', 'Alpha', { images: JSON.stringify([used]) });
+
+    const deleted = app.post('storage/deleteOrphans', { fileIds: [used, orphan, 'not-in-folder'] });
+    assert.strictEqual(deleted.data.deleted, 1);
+    assert.strictEqual(report(app).totalFiles, 1);
+
+    const record = app.get('audit/list', { type: 'file.delete' }).data.records[0];
+    assert.deepStrictEqual(record.before.FILES, [orphan]);
+});
+
+test('relinks a dangling reference to an orphan or drops it', () => {
+    const app = createApp();
+    const orphan = uploadImage(app);
+    const first = createEntry(app, 'Technology', 'Alpha');
+    const second = createEntry(app, 'Technology', 'Beta');
+    setEntryCell(app, 'Technology', first.id, 'WEB IMAGE', 'missing-1');
+    setEntryCell(app, 'Technology', second.id, 'WEB IMAGE', 'missing-2');
+
+    const relinked = app.post('storage/relink', {
+        links: [
+            { entryId: first.id, fileId: 'missing-1', replacementId: orphan },
+            { entryId: second.id, fileId: 'missing-2', replacementId: '' }
+        ]
+    });
+    assert.deepStrictEqual(relinked.data, { relinked: 1, removed: 1 });
+    assert.deepStrictEqual(listEntries(app, 'Technology').map(entry => entry.imageFileId), [orphan, '']);
+
+    const gone = app.post('storage/relink', { links: [{ entryId: second.id, fileId: 'missing-2', replacementId: '' }] });
+    assert.strictEqual(gone.code, 409);
+
+    const third = createEntry(app, 'Technology', 'Gamma');
+    setEntryCell(app, 'Technology', third.id, 'WEB IMAGE', 'missing-3');
+    const reused = app.post('storage/relink', { links: [{ entryId: third.id, fileId: 'missing-3', replacementId: orphan }] });
+    assert.strictEqual(reused.code, 400);
+});
@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createApp, signInAs, createEntry, uploadImage, listEntries, getSheet } = require('./helpers');
+
+function trashItems(app) {
+    return app.get('trash/list').data.items;
+}
+
+test('restores a deleted entry to its category with its images', () => {
+    const app = createApp();
+    const fileId = uploadImage(app);
+    createEntry(app, 'Technology', 'Alpha');
+    const entry = createEntry(app, 'Technology', 'Beta', { images: JSON.stringify([fileId]) });
+
+    const { trashId } = app.post('entries/delete', { id: entry.id }).data;
+    const restored = app.post('trash/restore', { id: trashId });
+    assert.strictEqual(restored.success, true);
+
+    const entries = listEntries(app, 'Technology');
+    assert.deepStrictEqual(entries.map(e => `${e.serial}:${e.name}`), ['1:Alpha', '2:Beta']);
+    assert.deepStrictEqual(entries[1].images.map(image => image.fileId), [fileId]);
+    assert.deepStrictEqual(trashItems(app), []);
+
+    assert.strictEqual(app.post('trash/restore', { id: trashId }).code, 404);
+});
+
+test('restores a deleted category with every entry it held', () => {
+    const app = createApp();
+    app.post('categories/create', { name: 'Gone' });
+    ['Alpha', 'Beta', 'Gamma'].forEach(name => createEntry(app, 'Gone', name));
+
+    const { trashId } = app.post('categories/delete', { name: 'Gone', confirmName: 'Gone' }).data;
+    assert.strictEqual(trashItems(app).length, 1);
+
+    const restored = app.post('trash/restore', { id: trashId });
+    assert.strictEqual(restored.success, true);
+    assert.deepStrictEqual(listEntries(app, 'Gone').map(e => `${e.serial}:${e.name}`), ['1:Alpha', '2:Beta', '3:Gamma']);
+    assert.deepStrictEqual(trashItems(app), []);
+});
+
+test('refuses a restore whose category is gone or whose name is taken', () => {
+    const app = createApp();
+    app.post('categories/create', { name: 'Gone' });
+    const entry = createEntry(app, 'Gone', 'Alpha');
+    const entryTrashId = app.post('entries/delete', { id: entry.id }).data.trashId;
+    const categoryTrashId = app.post('categories/delete', { name: 'Gone' }).data.trashId;
+
+    assert.strictEqual(app.post('trash/restore', { id: entryTrashId }).code, 400);
+
+    app.post('categories/create', { name: 'Gone' });
+    assert.strictEqual(app.post('trash/restore', { id: categoryTrashId }).code, 409);
+    assert.strictEqual(trashItems(app).length, 2);
+});
+
+test('purges an item together with its Drive files', () => {
+    const app = createApp();
+    const fileId = uploadImage(app);
+    const entry = createEntry(app, 'Technology', 'Alpha', { images: JSON.stringify([fileId]) });
+    const { trashId } = app.post('entries/delete', { id: entry.id }).data;
+    assert.strictEqual(app.runtime.services.DriveApp.getFileById(fileId).isTrashed(), false);
+
+    const purged = app.post('trash/purge', { id: trashId });
+    assert.strictEqual(purged.success, true);
+    assert.deepStrictEqual(trashItems(app), []);
+    assert.strictEqual(app.runtime.services.DriveApp.getFileById(fileId).isTrashed(), true);
+    assert.strictEqual(app.post('trash/restore', { id: trashId }).code, 404);
+});
+
+test('answers callers without the permission the same for every id', () => {
+    const app = createApp();
+    const viewer = signInAs(app, 'viewer1', 'viewer');
+    const editor = signInAs(app, 'editor1', 'editor');
+    app.post('categories/create', { name: 'Gone' });
+    const { trashId } = app.post('categories/delete', { name: 'Gone' }).data;
+
+    ['trash/restore', 'trash/purge'].forEach(action => {
+        const anonymous = body => app.runtime.request('POST', action, { body });
+        assert.strictEqual(anonymous({ id: trashId }).code, 401);
+        assert.strictEqual(anonymous({ id: 'missing' }).code, 401);
+        assert.strictEqual(viewer.post(action, { id: trashId }).code, 403);
+        assert.strictEqual(viewer.post(action, { id: 'missing' }).code, 403);
+        assert.strictEqual(editor.post(action, { id: trashId }).code, 403);
+        assert.strictEqual(editor.post(action, { id: 'missing' }).code, 404);
+    });
+});
+
+test('lists, renames around and purges an item whose values are damaged', () => {
+    const app = createApp();
+    app.post('categories/create', { name: 'Old' });
+    const entry = createEntry(app, 'Old', 'Alpha');
+    const { trashId } = app.post('entries/delete', { id: entry.id }).data;
+    const { values } = getSheet(app, 'Trash');
+    values[1][values[0].indexOf('VALUES')] = '{"row":';
+
+    assert.deepStrictEqual(app.get('trash/list').data.items.map(item => [item.name, item.category]), [['Alpha', '']]);
+    const category = app.get('categories/list').data.find(current => current.name === 'Old');
+    assert.strictEqual(app.post('categories/update', { originalName: 'Old', newName: 'New', revision: category.revision }).success, true);
+
+    assert.strictEqual(app.post('trash/restore', { id: trashId }).code, 400);
+    assert.strictEqual(app.post('trash/purge', { id: trashId }).success, true);
+    assert.deepStrictEqual(app.get('trash/list').data.items, []);
+});
@@ -0,0 +1,127 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { ADMIN, createApp, getSheet } = require('./helpers');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function currentStep() {
+    return Math.floor(Date.now() / 1000 / 30);
+}
+
+// RFC 6238 as an authenticator app computes it for a 30 s time step
+function totp(secret, step = currentStep()) {
+    let bits = '';
+    secret.split('').forEach(char => {
+        bits += BASE32_ALPHABET.indexOf(char).toString(2).padStart(5, '0');
+    });
+    const key = Buffer.from(bits.match(/.{8}/g).map(byte => parseInt(byte, 2)));
+
+    const counter = Buffer.alloc(8);
+    counter.writeUInt32BE(step, 4);
+    const hash = crypto.createHmac('sha1', key).update(counter).digest();
+    const position = hash[hash.length - 1] & 15;
+    return String((hash.readUInt32BE(position) & 0x7fffffff) % 1000000).padStart(6, '0');
+}
+
+// The step of the last accepted code; later steps within the window are still valid
+function lastStep(app) {
+    const { values } = getSheet(app, 'Admin-info');
+    const row = values.find(current => current[values[0].indexOf('USERNAME')] === ADMIN.username);
+    return parseInt(row[values[0].indexOf('TOTP LAST STEP')], 10);
+}
+
+function login(app) {
+    return app.runtime.request('POST', 'auth/login', { body: { ...ADMIN } });
+}
+
+function verify(app, challenge, code) {
+    return app.runtime.request('POST', 'auth/2fa/verify', { body: { challenge, code } });
+}
+
+function enableTwoFactor(app) {
+    const { secret } = app.post('auth/2fa/setup').data;
+    const enabled = app.post('auth/2fa/enable', { code: totp(secret) });
+    assert.strictEqual(enabled.success, true);
+    return { secret, recoveryCodes: enabled.data.recoveryCodes };
+}
+
+test('enables two-factor only with a code from the new secret', () => {
+    const app = createApp();
+    const setup = app.post('auth/2fa/setup').data;
+    assert.match(setup.otpauthUrl, /^otpauth:\/\/totp\/.+secret=/);
+
+    const valid = [-1, 0, 1, 2].map(offset => totp(setup.secret, currentStep() + offset));
+    const wrong = ['000000', '111111', '222222', '333333', '444444'].find(code => valid.indexOf(code) === -1);
+    assert.strictEqual(app.post('auth/2fa/enable', { code: wrong }).code, 400);
+    const enabled = app.post('auth/2fa/enable', { code: totp(setup.secret) });
+    assert.strictEqual(enabled.success, true);
+    assert.strictEqual(enabled.data.recoveryCodes.length, 10);
+
+    assert.deepStrictEqual(app.get('auth/2fa/status').data, { enabled: true, recoveryCodesLeft: 10 });
+    assert.strictEqual(app.post('auth/2fa/setup').code, 400);
+});
+
+test('asks for a code after the password and refuses a replayed one', () => {
+    const app = createApp();
+    const { secret } = enableTwoFactor(app);
+
+    const first = login(app);
+    assert.strictEqual(first.data.twoFactorRequired, true);
+    assert.strictEqual(first.data.token, undefined);
+
+    const used = lastStep(app);
+    assert.strictEqual(verify(app, first.data.challenge, totp(secret, used)).code, 400);
+
+    const session = verify(app, first.data.challenge, totp(secret, used + 1));
+    assert.strictEqual(session.success, true);
+    assert.ok(session.data.token);
+
+    const second = login(app);
+    assert.strictEqual(verify(app, second.data.challenge, totp(secret, used + 1)).code, 400);
+});
+
+test('accepts each recovery code once', () => {
+    const app = createApp();
+    const { recoveryCodes } = enableTwoFactor(app);
+
+    const session = verify(app, login(app).data.challenge, recoveryCodes[0].toLowerCase());
+    assert.strictEqual(session.success, true);
+    assert.strictEqual(session.data.recoveryCodesLeft, 9);
+
+    assert.strictEqual(verify(app, login(app).data.challenge, recoveryCodes[0]).code, 400);
+});
+
+test('ends the challenge after too many wrong codes and counts a failed login', () => {
+    const app = createApp();
+    enableTwoFactor(app);
+    const { challenge } = login(app).data;
+
+    for (let i = 0; i < 4; i++) {
+        assert.strictEqual(verify(app, challenge, 'AAAAA-AAAAA').code, 400);
+    }
+    assert.strictEqual(verify(app, challenge, 'AAAAA-AAAAA').code, 401);
+    assert.strictEqual(verify(app, challenge, 'AAAAA-AAAAA').code, 401);
+    assert.strictEqual(app.get('users/lockouts').data.find(lockout => lockout.type === 'user').failures, 1);
+});
+
+test('disables two-factor and reissues recovery codes only with the password', () => {
+    const app = createApp();
+    enableTwoFactor(app);
+
+    assert.strictEqual(app.post('auth/2fa/recoveryCodes', { password: 'wrong-password' }).code, 400);
+    const reissued = app.post('auth/2fa/recoveryCodes', { password: ADMIN.password });
+    assert.strictEqual(reissued.data.recoveryCodes.length, 10);
+
+    const refused = app.post('auth/2fa/disable', { password: 'wrong-password' });
+    assert.strictEqual(refused.code, 400);
+    assert.strictEqual(refused.data.attemptsRemaining, 4);
+
+    assert.strictEqual(app.post('auth/2fa/disable', { password: ADMIN.password }).success, true);
+    assert.deepStrictEqual(app.get('auth/2fa/status').data, { enabled: false, recoveryCodesLeft: 0 });
+    assert.ok(login(app).data.token);
+
+    const actions = app.get('audit/list').data.records.map(record => record.action);
+    assert.deepStrictEqual(actions.filter(action => action.startsWith('user.2fa')),
+        ['user.2fa.disable', 'user.2fa.recoveryCodes', 'user.2fa.enable']);
+});
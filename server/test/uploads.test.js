@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createApp, createEntry, uploadImage, listEntries, setEntryCell } = require('./helpers');
+
+function driveFile(app, fileId) {
+    return app.runtime.services.DriveApp.getFileById(fileId);
+}
+
+// Dates the file back past STALE_UPLOAD_HOURS and lets the next upload sweep again
+function makeStale(app, fileId) {
+    app.runtime.state.drive.files[fileId].createdAt = new Date(Date.now() - 48 * 60 * 60 * 1000).toISOString();
+    delete app.runtime.state.cache['upload-sweep:last'];
+}
+
+test('saves several images on an entry, cover first', () => {
+    const app = createApp();
+    const fileIds = [uploadImage(app), uploadImage(app), uploadImage(app)];
+
+    const entry = createEntry(app, 'Technology', 'Alpha', { images: JSON.stringify(fileIds) });
+    assert.strictEqual(entry.imageFileId, fileIds[0]);
+    assert.deepStrictEqual(entry.images.map(image => image.fileId), fileIds);
+
+    const reordered = [fileIds[2], fileIds[0]];
+    const updated = app.post('entries/update', { id: entry.id, revision: entry.revision, images: JSON.stringify(reordered) });
+    assert.deepStrictEqual(updated.data.images.map(image => image.fileId), reordered);
+});
+
+test('refuses images from outside the folder or of another entry', () => {
+    const app = createApp();
+    const fileId = uploadImage(app);
+    createEntry(app, 'Technology', 'Alpha', { images: JSON.stringify([fileId]) });
+
+    const taken = app.post('entries/create', {
+        category: 'Technology', name: 'Beta', description: 'd', url: 'https://beta.example', images: JSON.stringify([fileId])
+    });
+    assert.strictEqual(taken.code, 400);
+
+    const unknown = app.post('entries/create', {
+        category: 'Technology', name: 'Beta', description: 'd', url: 'https://beta.example', images: JSON.stringify(['nope'])
+    });
+    assert.strictEqual(unknown.code, 400);
+});
+
+test('discards only unsaved uploads of the same session', () => {
+    const app = createApp();
+    const saved = uploadImage(app);
+    const unsaved = uploadImage(app);
+    createEntry(app, 'Technology', 'Alpha', { images: JSON.stringify([saved]) });
+
+    // Another session of the same admin cannot discard it
+    const token = app.runtime.request('POST', 'auth/login', { body: { username: 'admin', password: 'admin123' } }).data.token;
+    const foreign = app.runtime.request('POST', 'files/discard', { token, body: { fileIds: [unsaved] } });
+    assert.strictEqual(foreign.data.discarded, 0);
+
+    const discarded = app.post('files/discard', { fileIds: [saved, unsaved] });
+    assert.strictEqual(discarded.data.discarded, 1);
+    assert.strictEqual(driveFile(app, saved).isTrashed(), false);
+    assert.strictEqual(driveFile(app, unsaved).isTrashed(), true);
+});
+
+test('sweeps stale uploads no entry uses', () => {
+    const app = createApp();
+    const saved = uploadImage(app);
+    const abandoned = uploadImage(app);
+    createEntry(app, 'Technology', 'Alpha', { images: JSON.stringify([saved]) });
+
+    makeStale(app, saved);
+    makeStale(app, abandoned);
+    uploadImage(app);
+
+    assert.strictEqual(driveFile(app, saved).isTrashed(), false);
+    assert.strictEqual(driveFile(app, abandoned).isTrashed(), true);
+});
+
+test('keeps files that legacy rows reference by Drive link', () => {
+    const app = createApp();
+    const cover = uploadImage(app);
+    const gallery = uploadImage(app);
+    const entry = createEntry(app, 'Technology', 'Alpha');
+    setEntryCell(app, 'Technology', entry.id, 'WEB IMAGE', `https://drive.google.com/uc?id=${cover}`);
+    setEntryCell(app, 'Technology', entry.id, 'GALLERY IMAGES',
+        JSON.stringify([`https://drive.google.com/file/d/${gallery}/view?usp=sharing`]));
+
+    makeStale(app, cover);
+    makeStale(app, gallery);
+    uploadImage(app);
+
+    assert.strictEqual(driveFile(app, cover).isTrashed(), false);
+    assert.strictEqual(driveFile(app, gallery).isTrashed(), false);
+    assert.strictEqual(listEntries(app, 'Technology')[0].image, `https://drive.google.com/uc?id=${cover}`);
+});
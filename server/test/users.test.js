@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ADMIN, createApp, signInAs, createEntry } = require('./helpers');
+
+test('invites an admin who must choose a password before the account is active', () => {
+    const app = createApp();
+
+    const invited = app.post('users/invite', { username: 'editor1', role: 'editor' });
+    assert.strictEqual(invited.success, true);
+    assert.strictEqual(invited.data.user.status, 'invited');
+    assert.ok(invited.data.temporaryPassword);
+
+    assert.strictEqual(app.post('users/invite', { username: 'editor1', role: 'editor' }).code, 409);
+    assert.strictEqual(app.post('users/invite', { username: 'x', role: 'editor' }).code, 400);
+    assert.strictEqual(app.post('users/invite', { username: 'someone', role: 'boss' }).code, 400);
+
+    signInAs(app, 'editor2', 'editor');
+    const users = app.get('users/list').data;
+    assert.strictEqual(users.find(user => user.username === 'editor2').status, 'active');
+});
+
+test('lets each role do only what it is allowed to', () => {
+    const app = createApp();
+    const editor = signInAs(app, 'editor1', 'editor');
+    const viewer = signInAs(app, 'viewer1', 'viewer');
+
+    assert.strictEqual(viewer.get('entries/list').success, true);
+    assert.strictEqual(viewer.post('entries/create', {
+        category: 'Technology', name: 'Alpha', description: 'd', url: 'https://alpha.example'
+    }).code, 403);
+
+    const entry = createEntry(editor, 'Technology', 'Alpha');
+    assert.strictEqual(editor.post('entries/delete', { id: entry.id }).success, true);
+    assert.strictEqual(editor.post('categories/create', { name: 'Tools' }).code, 403);
+    assert.strictEqual(editor.get('users/list').code, 403);
+    assert.strictEqual(editor.get('audit/list').code, 403);
+});
+
+test('applies a role change to live sessions and keeps an active owner', () => {
+    const app = createApp();
+    const editor = signInAs(app, 'editor1', 'editor');
+
+    assert.strictEqual(app.post('users/update', { username: 'editor1', role: 'viewer' }).success, true);
+    assert.strictEqual(editor.post('auth/verify').data.role, 'viewer');
+
+    assert.strictEqual(app.post('users/update', { username: 'editor1', active: false }).success, true);
+    assert.strictEqual(editor.post('auth/verify').code, 401);
+
+    assert.strictEqual(app.post('users/update', { username: ADMIN.username, active: false }).code, 400);
+    assert.strictEqual(app.post('users/update', { username: ADMIN.username, role: 'editor' }).code, 400);
+});
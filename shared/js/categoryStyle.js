@@ -0,0 +1,63 @@
+/**
+ * Category Style
+ * Draws a category badge with the category's color and icon, and its
+ * description as the tooltip. Styles come from the API as { color, icon,
+ * description }; a category without a color keeps the badge's CSS colors.
+ *
+ * Icons are an emoji or an SVG data URL. SVG is only shown through <img>,
+ * where its scripts do not run.
+ */
+class CategoryStyle {
+    static isImageIcon(icon) {
+        return typeof icon === 'string' && icon.indexOf('data:image/svg+xml') === 0;
+    }
+
+    // Dark text on light colors, white on the rest
+    static textColor(hex) {
+        const value = parseInt(String(hex).slice(1), 16);
+        if (isNaN(value)) return '';
+
+        const luminance = (0.299 * (value >> 16) + 0.587 * ((value >> 8) & 255) + 0.114 * (value & 255)) / 255;
+        return luminance > 0.6 ? '#1E293B' : '#FFFFFF';
+    }
+
+    static createIcon(icon) {
+        let element;
+        if (CategoryStyle.isImageIcon(icon)) {
+            element = document.createElement('img');
+            element.src = icon;
+            element.alt = '';
+        } else {
+            element = document.createElement('span');
+            element.textContent = icon;
+        }
+        element.className = 'category-icon';
+        return element;
+    }
+
+    // Can be applied again with a new style, as the admin preview does
+    static apply(badge, style) {
+        if (!badge) return;
+
+        const { color = '', icon = '', description = '' } = style || {};
+        badge.style.background = color;
+        badge.style.color = color ? CategoryStyle.textColor(color) : '';
+        badge.title = description;
+
+        const previous = badge.querySelector('.category-icon');
+        if (previous) {
+            previous.remove();
+        }
+        if (icon) {
+            badge.insertBefore(CategoryStyle.createIcon(icon), badge.firstChild);
+        }
+    }
+}
+
+// Create global reference
+window.CategoryStyle = CategoryStyle;
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CategoryStyle;
+}
@@ -0,0 +1,94 @@
+/**
+ * Image Framing
+ * Focal point or crop rectangle stored with an entry's image and applied to
+ * every <img> that shows it inside a 4:3 ".image-frame" container
+ *
+ *   { mode: 'focus', x, y }       - point kept visible by object-fit: cover
+ *   { mode: 'crop', x, y, w, h }  - 4:3 rectangle shown edge to edge
+ * All values are fractions (0-1) of the natural image size.
+ */
+class ImageFraming {
+    static get CARD_RATIO() {
+        return 4 / 3;
+    }
+
+    // Accepts the API object or its JSON string; returns null when unusable
+    static parse(value) {
+        if (!value) return null;
+
+        let framing = value;
+        if (typeof value === 'string') {
+            try {
+                framing = JSON.parse(value);
+            } catch (error) {
+                return null;
+            }
+        }
+        if (!framing || typeof framing !== 'object') return null;
+
+        const inRange = (number) => typeof number === 'number' && number >= 0 && number <= 1;
+
+        if (framing.mode === 'focus' && inRange(framing.x) && inRange(framing.y)) {
+            return { mode: 'focus', x: framing.x, y: framing.y };
+        }
+
+        if (framing.mode === 'crop' && [framing.x, framing.y, framing.w, framing.h].every(inRange)
+            && framing.w > 0 && framing.h > 0) {
+            return { mode: 'crop', x: framing.x, y: framing.y, w: framing.w, h: framing.h };
+        }
+
+        return null;
+    }
+
+    static serialize(framing) {
+        const parsed = ImageFraming.parse(framing);
+        return parsed ? JSON.stringify(parsed) : '';
+    }
+
+    // Largest centred 4:3 crop for an image of the given width / height ratio
+    static defaultCrop(aspectRatio) {
+        if (aspectRatio >= ImageFraming.CARD_RATIO) {
+            const w = ImageFraming.CARD_RATIO / aspectRatio;
+            return { mode: 'crop', x: (1 - w) / 2, y: 0, w, h: 1 };
+        }
+
+        const h = aspectRatio / ImageFraming.CARD_RATIO;
+        return { mode: 'crop', x: 0, y: (1 - h) / 2, w: 1, h };
+    }
+
+    static apply(img, value) {
+        if (!img) return;
+
+        const framing = ImageFraming.parse(value);
+        img.classList.remove('image-cropped');
+        ['objectPosition', 'width', 'height', 'left', 'top'].forEach(property => {
+            img.style[property] = '';
+        });
+
+        if (!framing) return;
+
+        if (framing.mode === 'focus') {
+            img.style.objectPosition = `${ImageFraming.percent(framing.x)} ${ImageFraming.percent(framing.y)}`;
+            return;
+        }
+
+        // Scale the image so the crop rectangle fills the 4:3 frame exactly
+        img.classList.add('image-cropped');
+        img.style.width = ImageFraming.percent(1 / framing.w);
+        img.style.height = ImageFraming.percent(1 / framing.h);
+        img.style.left = ImageFraming.percent(-framing.x / framing.w);
+        img.style.top = ImageFraming.percent(-framing.y / framing.h);
+    }
+
+    static percent(fraction) {
+        return `${Math.round(fraction * 10000) / 100}%`;
+    }
+}
+
+// Create global reference
+window.ImageFraming = ImageFraming;
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ImageFraming;
+}
@@ -0,0 +1,163 @@
+/**
+ * API Transport
+ * Adapts requests for Google Apps Script web apps, which cannot answer CORS
+ * preflight (OPTIONS) requests and cannot read request headers.
+ *
+ * In "gas" mode every request is a CORS "simple request":
+ *   GET  -> ?action=<route>&token=...&<params>
+ *   POST -> text/plain body with { action, token, ...fields }, files as base64
+ * In "rest" mode requests are sent unchanged to <baseUrl><endpoint>.
+ */
+class ApiTransport {
+    static get MODES() {
+        return { GAS: 'gas', REST: 'rest' };
+    }
+
+    // Picks the mode from an explicit override or from the shape of the base URL
+    static resolveMode(baseUrl, override) {
+        const mode = (override || '').trim().toLowerCase();
+        if (mode === ApiTransport.MODES.GAS || mode === ApiTransport.MODES.REST) {
+            return mode;
+        }
+
+        return /^https:\/\/script\.google(usercontent)?\.com\//i.test(baseUrl || '')
+            ? ApiTransport.MODES.GAS
+            : ApiTransport.MODES.REST;
+    }
+
+    // Splits "/entries/list?page=1" into the route name and its query parameters
+    static parseEndpoint(endpoint) {
+        const [path, query = ''] = endpoint.split('?');
+        return {
+            action: path.replace(/^\/+|\/+$/g, ''),
+            params: Object.fromEntries(new URLSearchParams(query))
+        };
+    }
+
+    static getBearerToken(headers = {}) {
+        const header = headers.Authorization || headers.authorization || '';
+        const match = /^Bearer\s+(.+)$/i.exec(header);
+        return match ? match[1].trim() : null;
+    }
+
+    // Returns { url, options } ready for fetch()
+    static async prepare(mode, baseUrl, endpoint, options = {}) {
+        if (mode !== ApiTransport.MODES.GAS) {
+            return { url: `${baseUrl}${endpoint}`, options };
+        }
+
+        const method = (options.method || 'GET').toUpperCase();
+        const { action, params } = ApiTransport.parseEndpoint(endpoint);
+        const token = ApiTransport.getBearerToken(options.headers);
+
+        if (method === 'GET') {
+            const query = new URLSearchParams({ ...params, action });
+            if (token) {
+                query.set('token', token);
+            }
+            return { url: `${baseUrl}?${query.toString()}`, options: { method: 'GET' } };
+        }
+
+        const payload = await ApiTransport.buildPayload(action, token, options.body);
+
+        return {
+            url: baseUrl,
+            options: {
+                method: 'POST',
+                // text/plain keeps the request "simple", so no preflight is sent
+                headers: { 'Content-Type': 'text/plain;charset=utf-8' },
+                body: JSON.stringify(payload)
+            }
+        };
+    }
+
+    static async buildPayload(action, token, body) {
+        let fields = {};
+
+        if (body instanceof FormData) {
+            fields = await ApiTransport.formDataToObject(body);
+        } else if (typeof body === 'string' && body !== '') {
+            fields = JSON.parse(body);
+        } else if (body && typeof body === 'object') {
+            fields = { ...body };
+        }
+
+        const payload = { ...fields, action };
+        if (token) {
+            payload.token = token;
+        }
+        return payload;
+    }
+
+    static async formDataToObject(formData) {
+        const result = {};
+
+        for (const [key, value] of formData.entries()) {
+            if (value instanceof Blob) {
+                // Browsers submit an empty file part when nothing was chosen
+                if (value.size > 0) {
+                    result[key] = await ApiTransport.fileToPayload(value);
+                }
+            } else {
+                result[key] = value;
+            }
+        }
+
+        return result;
+    }
+
+    // Encodes a File/Blob as { name, mimeType, data } with base64 data
+    static fileToPayload(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => {
+                const dataUrl = reader.result;
+                resolve({
+                    name: file.name || 'upload',
+                    mimeType: file.type || 'application/octet-stream',
+                    data: dataUrl.slice(dataUrl.indexOf(',') + 1)
+                });
+            };
+            reader.onerror = () => reject(new Error('Could not read the selected file'));
+            reader.readAsDataURL(file);
+        });
+    }
+
+    // Random id kept per browser so the backend can count failed logins per
+    // client as well as per username
+    static getClientId() {
+        let clientId = localStorage.getItem('loginClientId');
+        if (!clientId) {
+            clientId = window.crypto && window.crypto.randomUUID
+                ? window.crypto.randomUUID()
+                : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+            localStorage.setItem('loginClientId', clientId);
+        }
+        return clientId;
+    }
+
+    // A { success, message, data } body from the backend. REST mode sends it
+    // with the real status code; it is returned either way, so callers branch
+    // on success and see the same result Apps Script would give them.
+    static isEnvelope(data) {
+        return !!data && typeof data === 'object' && typeof data.success === 'boolean';
+    }
+
+    // Apps Script always answers 200, so auth failures are reported in the body
+    static isUnauthorized(status, data) {
+        return status === 401 || (data && data.success === false && data.code === 401);
+    }
+
+    // A write rejected because the record changed since it was loaded
+    static isConflict(data) {
+        return !!data && data.success === false && data.code === 409 && !!data.data && data.data.conflict === true;
+    }
+}
+
+// Create global reference
+window.ApiTransport = ApiTransport;
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ApiTransport;
+}
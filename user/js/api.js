@@ -5,6 +5,7 @@
 class UserAPI {
     constructor() {
         this.baseUrl = null;
+        this.transportMode = null;
         this.initialized = false;
     }
 
@@ -13,6 +14,7 @@ class UserAPI {
         
         await window.AppConfig.load();
         this.baseUrl = window.AppConfig.get('APP_SCRIPT_URL');
+        this.transportMode = window.ApiTransport.resolveMode(this.baseUrl, window.AppConfig.get('API_TRANSPORT'));
         
         if (!this.baseUrl) {
             console.warn('APP_SCRIPT_URL not configured');
@@ -28,7 +30,6 @@ class UserAPI {
             throw new Error('API not configured. Please check your configuration.');
         }
 
-        const url = `${this.baseUrl}${endpoint}`;
         const defaultOptions = {
             method: 'GET',
             headers: {
@@ -39,13 +40,16 @@ class UserAPI {
         const finalOptions = { ...defaultOptions, ...options };
 
         try {
-            const response = await fetch(url, finalOptions);
+            const { url, options: fetchOptions } = await window.ApiTransport.prepare(
+                this.transportMode, this.baseUrl, endpoint, finalOptions
+            );
+            const response = await fetch(url, fetchOptions);
+            const data = await response.json().catch(() => null);
             
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
+            if (!window.ApiTransport.isEnvelope(data)) {
+                throw new Error((data && data.message) || `HTTP error! status: ${response.status}`);
             }
             
-            const data = await response.json();
             return data;
         } catch (error) {
             console.error('API request failed:', error);
@@ -72,6 +76,14 @@ class UserAPI {
         });
     }
 
+    // Second login step for accounts with two-factor authentication
+    async verifyTwoFactor(challenge, code) {
+        return this.request('/auth/2fa/verify', {
+            method: 'POST',
+            body: JSON.stringify({ challenge, code }),
+        });
+    }
+
     async verifyToken(token) {
         return this.request('/auth/verify', {
             method: 'POST',
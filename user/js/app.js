@@ -78,7 +78,9 @@ class UserApp {
             const response = await window.userAPI.getPublicEntries(params);
             
             if (response.success) {
-                this.entries = response.data.entries || [];
+                // Badge details come once per category
+                const styles = response.data.categoryStyles || {};
+                this.entries = (response.data.entries || []).map(entry => ({ ...entry, categoryStyle: styles[entry.sheetName] }));
                 this.totalEntries = response.data.total || 0;
                 const totalPages = Math.ceil(this.totalEntries / 12);
                 
@@ -204,6 +206,8 @@ class UserApp {
     // Utility methods
     refresh() {
         this.currentPage = 1;
+        // Categories may have been renamed or deleted since the page loaded
+        this.components.filters.loadCategories();
         this.loadEntries();
     }
 
@@ -17,7 +17,7 @@ class Card {
         const imageUrl = this.data.image || 'data:image/svg+xml,%3Csvg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 400 300"%3E%3Crect width="400" height="300" fill="%23f0f0f0"/%3E%3Ctext x="200" y="150" text-anchor="middle" fill="%23999" font-size="16"%3ENo Image%3C/text%3E%3C/svg%3E';
         
         card.innerHTML = `
-            <div class="card-image-container">
+            <div class="card-image-container image-frame">
                 <img src="${imageUrl}" alt="${this.data.name}" class="card-image" loading="lazy">
             </div>
             <div class="card-content">
@@ -40,6 +40,9 @@ class Card {
             </div>
         `;
 
+        window.ImageFraming.apply(card.querySelector('.card-image'), this.data.imageFraming);
+        window.CategoryStyle.apply(card.querySelector('.card-category'), this.data.categoryStyle);
+
         // Add click event for opening detail modal
         card.addEventListener('click', () => this.onClick());
 
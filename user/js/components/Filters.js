@@ -12,6 +12,7 @@ class Filters {
         this.onFiltersChange = options.onFiltersChange || null;
         this.searchDebounceTime = options.searchDebounceTime || 250;
         this.searchDebounceTimer = null;
+        this.categories = [];
         
         this.filters = {
             search: '',
@@ -87,13 +88,35 @@ class Filters {
             this.categoryFilter.removeChild(this.categoryFilter.lastChild);
         }
 
-        // Add category options
+        // Add category options in the order set by the admins
+        this.categories = categories;
         categories.forEach(category => {
             const option = document.createElement('option');
             option.value = category.name;
             option.textContent = category.name;
+            option.title = category.description || '';
             this.categoryFilter.appendChild(option);
         });
+
+        // Keep the chosen category; drop the filter if it was renamed or deleted
+        const current = this.filters.category;
+        this.categoryFilter.value = current;
+        if (current && this.categoryFilter.value !== current) {
+            this.categoryFilter.value = '';
+            this.filters.category = '';
+            this.notifyFiltersChange();
+        }
+        this.showCategoryColor();
+    }
+
+    // Edges the select in the chosen category's badge color
+    showCategoryColor() {
+        if (!this.categoryFilter) return;
+
+        const category = this.categories.find(item => item.name === this.filters.category);
+        const color = category && category.color ? category.color : '';
+        this.categoryFilter.style.borderLeftColor = color;
+        this.categoryFilter.classList.toggle('category-select-colored', !!color);
     }
 
     handleSearchChange(value) {
@@ -115,6 +138,8 @@ class Filters {
     }
 
     notifyFiltersChange() {
+        this.showCategoryColor();
+
         if (this.onFiltersChange) {
             this.onFiltersChange({ ...this.filters });
         }
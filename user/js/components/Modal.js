@@ -129,6 +129,15 @@ class LoginModal extends Modal {
         super('loginModal');
         this.form = document.getElementById('loginForm');
         this.backLink = document.getElementById('backToShowcase');
+        this.credentialsStep = document.getElementById('loginCredentials');
+        this.twoFactorStep = document.getElementById('loginTwoFactor');
+        this.startOverLink = document.getElementById('loginStartOver');
+        this.status = document.getElementById('loginStatus');
+        // Issued by the password step when the account has two-factor authentication
+        this.challenge = null;
+        // Set while the server refuses logins after too many failures
+        this.lockedUntil = null;
+        this.lockTimer = null;
         
         this.initLoginForm();
     }
@@ -140,42 +149,37 @@ class LoginModal extends Modal {
             e.preventDefault();
             
             const formData = new FormData(this.form);
-            const credentials = {
-                username: formData.get('username'),
-                password: formData.get('password')
-            };
+            const submitBtn = this.form.querySelector('button[type="submit"]');
 
             try {
                 // Show loading state
-                const submitBtn = this.form.querySelector('button[type="submit"]');
-                const originalText = submitBtn.textContent;
-                submitBtn.innerHTML = '<span class="spinner"></span> Logging in...';
+                submitBtn.innerHTML = `<span class="spinner"></span> ${this.challenge ? 'Verifying...' : 'Logging in...'}`;
                 submitBtn.disabled = true;
 
-                const response = await window.userAPI.login(credentials);
+                const response = this.challenge
+                    ? await window.userAPI.verifyTwoFactor(this.challenge, formData.get('code'))
+                    : await window.userAPI.login({
+                        username: formData.get('username'),
+                        password: formData.get('password'),
+                        clientId: window.ApiTransport.getClientId(),
+                        userAgent: navigator.userAgent
+                    });
                 
-                if (response.success) {
-                    // Store token
-                    sessionStorage.setItem('adminToken', response.data.token);
-                    sessionStorage.setItem('tokenExpires', response.data.expiresAt);
-                    
-                    // Show success message
-                    window.showToast('Login successful! Redirecting...', 'success');
-                    
-                    // Redirect to admin
-                    setTimeout(() => {
-                        window.location.href = '../admin/';
-                    }, 1500);
+                if (response.success && response.data.twoFactorRequired) {
+                    this.showStatus('');
+                    this.showTwoFactorStep(response.data.challenge);
+                } else if (response.success) {
+                    this.showStatus('');
+                    this.completeLogin(response.data);
                 } else {
-                    window.showToast(response.message || 'Login failed', 'error');
+                    this.handleFailure(response);
                 }
             } catch (error) {
                 window.showToast(window.userAPI.handleError(error, 'Login failed'), 'error');
             } finally {
                 // Reset button
-                const submitBtn = this.form.querySelector('button[type="submit"]');
-                submitBtn.textContent = 'Login';
-                submitBtn.disabled = false;
+                submitBtn.textContent = this.challenge ? 'Verify' : 'Login';
+                submitBtn.disabled = !!this.lockedUntil;
             }
         });
 
@@ -186,11 +190,139 @@ class LoginModal extends Modal {
                 this.close();
             });
         }
+
+        if (this.startOverLink) {
+            this.startOverLink.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.showCredentialsStep();
+            });
+        }
+    }
+
+    handleFailure(response) {
+        const data = response.data || {};
+
+        if (response.code === 429 && data.lockedUntil) {
+            this.showCredentialsStep();
+            this.startLockCountdown(new Date(data.lockedUntil));
+            return;
+        }
+
+        // An expired challenge or too many wrong codes needs the password again
+        if (this.challenge && window.ApiTransport.isUnauthorized(null, response)) {
+            this.showCredentialsStep();
+        }
+
+        if (data.attemptsRemaining !== undefined) {
+            const attempts = data.attemptsRemaining;
+            this.showStatus(`${response.message}. ${attempts} attempt${attempts === 1 ? '' : 's'} left before login is locked.`);
+        } else {
+            this.showStatus('');
+            window.showToast(response.message || 'Login failed', 'error');
+        }
+    }
+
+    // Keeps the submit button disabled and counts down until logins are accepted again
+    startLockCountdown(lockedUntil) {
+        clearInterval(this.lockTimer);
+        this.lockedUntil = lockedUntil;
+
+        const update = () => {
+            const seconds = Math.ceil((this.lockedUntil - Date.now()) / 1000);
+            const submitBtn = this.form.querySelector('button[type="submit"]');
+
+            if (seconds <= 0) {
+                clearInterval(this.lockTimer);
+                this.lockedUntil = null;
+                submitBtn.disabled = false;
+                this.showStatus('');
+                return;
+            }
+
+            submitBtn.disabled = true;
+            this.showStatus(`Too many failed attempts. Try again in ${this.formatWait(seconds)}.`, true);
+        };
+
+        update();
+        this.lockTimer = setInterval(update, 1000);
+    }
+
+    formatWait(seconds) {
+        const hours = Math.floor(seconds / 3600);
+        const minutes = Math.floor((seconds % 3600) / 60);
+        const rest = String(seconds % 60).padStart(2, '0');
+        return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${rest}` : `${minutes}:${rest}`;
+    }
+
+    showStatus(message, locked = false) {
+        if (!this.status) return;
+
+        this.status.textContent = message;
+        this.status.classList.toggle('locked', locked);
+        this.status.classList.toggle('hidden', !message);
+    }
+
+    completeLogin(data) {
+        // Store token
+        sessionStorage.setItem('adminToken', data.token);
+        sessionStorage.setItem('tokenExpires', data.expiresAt);
+        
+        // Show success message
+        if (data.recoveryCodesLeft !== undefined) {
+            window.showToast(`Recovery code used. ${data.recoveryCodesLeft} left. Redirecting...`, 'warning');
+        } else {
+            window.showToast('Login successful! Redirecting...', 'success');
+        }
+        
+        // Redirect to admin
+        setTimeout(() => {
+            window.location.href = '../admin/';
+        }, 1500);
+    }
+
+    showTwoFactorStep(challenge) {
+        this.challenge = challenge;
+        this.setStep(true);
+        document.getElementById('twoFactorCode').focus();
+    }
+
+    showCredentialsStep() {
+        this.challenge = null;
+        this.setStep(false);
+        this.form.querySelector('#password').value = '';
+        this.form.querySelector('#username').focus();
+    }
+
+    // Inputs of the hidden step are disabled so their required attribute
+    // does not block submitting the visible one
+    setStep(twoFactor) {
+        this.credentialsStep.classList.toggle('hidden', twoFactor);
+        this.twoFactorStep.classList.toggle('hidden', !twoFactor);
+        this.credentialsStep.querySelectorAll('input').forEach(input => {
+            input.disabled = twoFactor;
+        });
+
+        const codeInput = this.twoFactorStep.querySelector('input');
+        codeInput.disabled = !twoFactor;
+        codeInput.value = '';
+
+        this.form.querySelector('button[type="submit"]').textContent = twoFactor ? 'Verify' : 'Login';
+    }
+
+    close() {
+        super.close();
+        this.reset();
     }
 
+    // A running lockout countdown survives closing the modal
     reset() {
         if (this.form) {
             this.form.reset();
+            this.challenge = null;
+            this.setStep(false);
+            if (!this.lockedUntil) {
+                this.showStatus('');
+            }
         }
     }
 }
@@ -200,6 +332,63 @@ class DetailModal extends Modal {
     constructor() {
         super('detailModal');
         this.currentData = null;
+        this.images = [];
+        this.imageIndex = 0;
+        this.swipeStartX = null;
+        
+        this.initGallery();
+    }
+
+    initGallery() {
+        const prevBtn = document.getElementById('galleryPrev');
+        const nextBtn = document.getElementById('galleryNext');
+        const frame = document.getElementById('detailImageFrame');
+        const thumbs = document.getElementById('galleryThumbs');
+
+        if (prevBtn) {
+            prevBtn.addEventListener('click', () => this.showImage(this.imageIndex - 1));
+        }
+        if (nextBtn) {
+            nextBtn.addEventListener('click', () => this.showImage(this.imageIndex + 1));
+        }
+
+        if (thumbs) {
+            thumbs.addEventListener('click', (e) => {
+                const thumb = e.target.closest('.gallery-thumb');
+                if (thumb) {
+                    this.showImage(parseInt(thumb.dataset.index, 10));
+                }
+            });
+        }
+
+        // Arrow keys browse the gallery while the modal is open
+        document.addEventListener('keydown', (e) => {
+            if (!this.isOpen || this.images.length < 2) return;
+            if (e.key === 'ArrowLeft') {
+                this.showImage(this.imageIndex - 1);
+            } else if (e.key === 'ArrowRight') {
+                this.showImage(this.imageIndex + 1);
+            }
+        });
+
+        // Horizontal swipe on touch screens
+        if (frame) {
+            frame.addEventListener('pointerdown', (e) => {
+                this.swipeStartX = e.pointerType === 'mouse' ? null : e.clientX;
+            });
+            frame.addEventListener('pointerup', (e) => {
+                if (this.swipeStartX === null) return;
+
+                const distance = e.clientX - this.swipeStartX;
+                this.swipeStartX = null;
+                if (Math.abs(distance) >= 40) {
+                    this.showImage(this.imageIndex + (distance < 0 ? 1 : -1));
+                }
+            });
+            frame.addEventListener('pointercancel', () => {
+                this.swipeStartX = null;
+            });
+        }
     }
 
     showWebsiteData(data) {
@@ -215,10 +404,20 @@ class DetailModal extends Modal {
 
         if (titleEl) titleEl.textContent = data.name;
         if (imageEl) {
-            imageEl.src = data.image || 'data:image/svg+xml,%3Csvg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 400 300"%3E%3Crect width="400" height="300" fill="%23f0f0f0"/%3E%3Ctext x="200" y="150" text-anchor="middle" fill="%23999" font-size="16"%3ENo Image%3C/text%3E%3C/svg%3E';
             imageEl.alt = data.name;
         }
-        if (categoryEl) categoryEl.textContent = data.category;
+
+        // Entries saved before galleries only carry the cover image
+        this.images = data.images && data.images.length > 0
+            ? data.images.map(image => image.url)
+            : [data.image].filter(Boolean);
+        this.renderThumbs();
+        this.showImage(0);
+
+        if (categoryEl) {
+            categoryEl.textContent = data.category;
+            window.CategoryStyle.apply(categoryEl, data.categoryStyle);
+        }
         if (dateEl) dateEl.textContent = this.formatDate(data.date, data.time);
         if (descriptionEl) descriptionEl.textContent = data.description;
         if (urlEl) {
@@ -229,6 +428,61 @@ class DetailModal extends Modal {
         this.open();
     }
 
+    showImage(index) {
+        const imageEl = document.getElementById('detailImage');
+        const count = this.images.length;
+        if (!imageEl) return;
+
+        // Wrap around in both directions
+        this.imageIndex = count > 0 ? (index + count) % count : 0;
+        imageEl.src = this.images[this.imageIndex] || 'data:image/svg+xml,%3Csvg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 400 300"%3E%3Crect width="400" height="300" fill="%23f0f0f0"/%3E%3Ctext x="200" y="150" text-anchor="middle" fill="%23999" font-size="16"%3ENo Image%3C/text%3E%3C/svg%3E';
+
+        // The framing was chosen for the cover; other images are shown whole
+        const isCover = this.imageIndex === 0;
+        window.ImageFraming.apply(imageEl, isCover && this.currentData ? this.currentData.imageFraming : null);
+        imageEl.classList.toggle('detail-image-contain', !isCover);
+
+        const counter = document.getElementById('galleryCounter');
+        if (counter) {
+            counter.textContent = `${this.imageIndex + 1} / ${count}`;
+        }
+
+        ['galleryPrev', 'galleryNext', 'galleryCounter'].forEach(id => {
+            const el = document.getElementById(id);
+            if (el) el.classList.toggle('hidden', count < 2);
+        });
+
+        document.querySelectorAll('#galleryThumbs .gallery-thumb').forEach(thumb => {
+            const active = parseInt(thumb.dataset.index, 10) === this.imageIndex;
+            thumb.classList.toggle('active', active);
+            thumb.setAttribute('aria-current', active ? 'true' : 'false');
+        });
+    }
+
+    renderThumbs() {
+        const thumbs = document.getElementById('galleryThumbs');
+        if (!thumbs) return;
+
+        thumbs.innerHTML = '';
+        thumbs.classList.toggle('hidden', this.images.length < 2);
+
+        this.images.forEach((url, index) => {
+            const thumb = document.createElement('button');
+            thumb.type = 'button';
+            thumb.className = 'gallery-thumb';
+            thumb.dataset.index = index;
+            thumb.setAttribute('aria-label', `Show image ${index + 1}`);
+
+            const img = document.createElement('img');
+            img.src = url;
+            img.alt = '';
+            img.loading = 'lazy';
+            thumb.appendChild(img);
+
+            thumbs.appendChild(thumb);
+        });
+    }
+
     formatDate(date, time) {
         if (!date) return '';
         